@@ -0,0 +1,413 @@
+// Load environment variables
+require('dotenv').config();
+
+const path = require('path');
+const fs = require('fs').promises;
+const { parseArgs } = require('util');
+const { PNG } = require('pngjs');
+const { GIFEncoder, quantize, applyPalette } = require('gifenc');
+const SimpleScreenshotCapture = require('./capture-simple');
+const { startServer, stopServer } = require('../server');
+
+// Exit codes for unattended runs (same as capture.js)
+const EXIT_CODES = {
+    OK: 0,
+    CAPTURE_FAILED: 1,
+    USAGE: 2,
+    SERVER_FAILED: 3
+};
+
+// Defaults for an animation export
+const ANIMATION_DEFAULTS = {
+    outputDir: path.join(__dirname, '..', 'src', 'screenshots', 'animation'),
+    viewport: { width: 540, height: 960, deviceScaleFactor: 1 },
+    fps: 15,
+    duration: 8, // Seconds of output
+    camera: 'overview'
+};
+
+// How the camera moves while the aircraft flies
+const CAMERA_MODES = ['overview', 'fit', 'follow'];
+
+const USAGE = `Usage: npm run screenshot-animation -- [options]
+
+Options:
+  -o, --out <dir>        Output directory (default: src/screenshots/animation)
+      --start <min>      First flight time in minutes (default: 0)
+      --end <min>        Last flight time in minutes (default: end of the flight)
+      --fps <n>          Frames per second of output (default: ${ANIMATION_DEFAULTS.fps})
+      --duration <s>     Seconds of output (default: ${ANIMATION_DEFAULTS.duration})
+      --camera <mode>    Camera: ${CAMERA_MODES.join(', ')} (default: ${ANIMATION_DEFAULTS.camera})
+      --zoom <n>         Zoom while following the aircraft (default: MAP_CONFIG.zoom.zoom)
+      --pitch <deg>      Camera pitch (default: 0)
+      --heading-up       Rotate the map with the aircraft heading while following
+      --width <px>       Viewport width (default: ${ANIMATION_DEFAULTS.viewport.width})
+      --height <px>      Viewport height (default: ${ANIMATION_DEFAULTS.viewport.height})
+      --scale <n>        Device scale factor (default: 1)
+      --frames-only      Write the PNG sequence without encoding a GIF
+      --hide-legend      Leave the map legend out of the frames
+      --hud              Show the flight HUD in the frames (HUD_CONFIG.showInScreenshots)
+      --hide-hud         Leave the flight HUD out of the frames
+      --scene <id>       Scene ID or path, as in ?scene= (default: the app's default scene)
+      --theme <name>     Map theme, as in ?theme= (default: MAP_CONFIG.defaultTheme)
+      --offline          Render from the local style and tiles (no network or token needed)
+      --url <url>        Capture a running app instead of starting the bundled server
+  -h, --help             Show this help
+
+Exit codes: 0 success, 1 capture failed, 2 invalid arguments, 3 server failed to start`;
+
+/**
+ * Evenly spaced flight times from start to end, both included
+ * @param {number} start - First flight time in minutes
+ * @param {number} end - Last flight time in minutes
+ * @param {number} count - Number of frames
+ * @returns {Array<number>} Flight time of each frame
+ */
+function getFrameTimes(start, end, count) {
+    if (count === 1) {
+        return [start];
+    }
+    const step = (end - start) / (count - 1);
+    return Array.from({ length: count }, (_, index) => start + step * index);
+}
+
+/**
+ * File name of a numbered frame
+ * @param {number} index - Zero-based frame index
+ * @param {number} count - Number of frames (sets the zero padding)
+ * @returns {string} File name, e.g. frame-0001.png
+ */
+function getFrameFilename(index, count) {
+    const digits = Math.max(4, String(count).length);
+    return `frame-${String(index + 1).padStart(digits, '0')}.png`;
+}
+
+/**
+ * Steps the aircraft through a time range and captures one image per frame
+ */
+class AnimationCapture extends SimpleScreenshotCapture {
+    /**
+     * @param {Object} options - Capture options (see SimpleScreenshotCapture) plus
+     *                           { start, end, fps, duration, camera, zoom, pitch, headingUp, gif }
+     */
+    constructor(options = {}) {
+        super({
+            ...options,
+            screenshotDir: options.screenshotDir || ANIMATION_DEFAULTS.outputDir,
+            viewport: { ...ANIMATION_DEFAULTS.viewport, ...options.viewport },
+            format: 'png'
+        });
+        this.start = options.start || 0;
+        this.end = options.end;
+        this.fps = options.fps || ANIMATION_DEFAULTS.fps;
+        this.duration = options.duration || ANIMATION_DEFAULTS.duration;
+        this.camera = options.camera || ANIMATION_DEFAULTS.camera;
+        this.zoom = options.zoom;
+        this.pitch = options.pitch || 0;
+        this.headingUp = Boolean(options.headingUp);
+        this.gif = options.gif !== false;
+    }
+
+    /**
+     * Number of frames in the animation
+     * @returns {number} Frame count (at least 1)
+     */
+    getFrameCount() {
+        return Math.max(1, Math.round(this.fps * this.duration));
+    }
+
+    /**
+     * Resolve the time range against the loaded scene
+     * @returns {Promise<Object>} { start, end } in minutes
+     */
+    async resolveTimeRange() {
+        const totalFlightTime = await this.page.evaluate(() => window.flightPathMap.scene.flight.totalFlightTime);
+        const end = this.end !== undefined ? this.end : totalFlightTime;
+
+        if (this.start > totalFlightTime || end > totalFlightTime) {
+            throw new Error(`Time range ${this.start}-${end} min is outside the flight (0-${totalFlightTime} min)`);
+        }
+        if (end < this.start) {
+            throw new Error(`End time ${end} min is before start time ${this.start} min`);
+        }
+
+        return { start: this.start, end };
+    }
+
+    /**
+     * Stop anything that moves the aircraft by itself and frame the fixed cameras
+     */
+    async prepareAnimation() {
+        // Hide the UI first so fitted cameras only make room for a legend or HUD that is captured
+        await this.hideMapUI();
+
+        await this.page.evaluate(async ({ camera, pitch }) => {
+            const app = window.flightPathMap;
+
+            // Frames are stepped explicitly, never by real-time playback
+            if (app.playback) {
+                app.playback.pause();
+            }
+            document.body.classList.toggle('zoom-view', camera === 'follow');
+
+            if (camera === 'overview') {
+                await app.setCamera({ ...app.getOverviewCamera(), pitch });
+            } else if (camera === 'fit') {
+                await app.fitToMarkers({ pitch });
+            }
+        }, { camera: this.camera, pitch: this.pitch });
+    }
+
+    /**
+     * Place the aircraft (and a following camera) at a flight time and wait until it has rendered
+     * @param {number} minutes - Flight time in minutes
+     */
+    async renderFrame(minutes) {
+        await this.page.evaluate(async ({ minutes, camera, zoom, pitch, headingUp }) => {
+            const app = window.flightPathMap;
+            const state = app.seek(minutes);
+
+            if (camera === 'follow') {
+                await app.setCamera(app.getAnchoredCamera(state.coordinates, {
+                    zoom,
+                    bearing: headingUp && Number.isFinite(state.heading) ? state.heading : 0,
+                    pitch
+                }));
+            } else {
+                await app.whenReady();
+            }
+        }, { minutes, camera: this.camera, zoom: this.zoom, pitch: this.pitch, headingUp: this.headingUp });
+
+        await this.waitForPaint();
+    }
+
+    /**
+     * Remove frames left over from an earlier, longer export
+     */
+    async clearFrames() {
+        await this.ensureScreenshotDirectory();
+        const files = await fs.readdir(this.screenshotDir);
+        await Promise.all(files
+            .filter(file => /^frame-\d+\.png$/.test(file))
+            .map(file => fs.unlink(path.join(this.screenshotDir, file))));
+    }
+
+    /**
+     * Capture every frame and encode the GIF
+     * @returns {Promise<Object>} { frames: paths of the PNG sequence, gif: path of the GIF or null }
+     */
+    async captureAnimation() {
+        await this.initialize();
+        await this.navigateToMap();
+        await this.waitForMapReady();
+
+        const { start, end } = await this.resolveTimeRange();
+        const times = getFrameTimes(start, end, this.getFrameCount());
+        console.log(`Capturing ${times.length} frames from ${start.toFixed(1)} to ${end.toFixed(1)} min ` +
+            `at ${this.fps} fps (${this.camera} camera)`);
+
+        await this.prepareAnimation();
+        await this.clearFrames();
+
+        // gifenc takes milliseconds; GIF stores them rounded to hundredths of a second
+        const delay = Math.round(1000 / this.fps);
+        const encoder = this.gif ? GIFEncoder() : null;
+        const frames = [];
+
+        for (let index = 0; index < times.length; index++) {
+            await this.renderFrame(times[index]);
+
+            const buffer = await this.page.screenshot({ fullPage: false, type: 'png' });
+            const framePath = path.join(this.screenshotDir, getFrameFilename(index, times.length));
+            await fs.writeFile(framePath, buffer);
+            frames.push(framePath);
+
+            if (encoder) {
+                const { width, height, data } = PNG.sync.read(buffer);
+                const palette = quantize(data, 256);
+                encoder.writeFrame(applyPalette(data, palette), width, height, { palette, delay });
+            }
+
+            if ((index + 1) % 10 === 0 || index === times.length - 1) {
+                console.log(`  ${index + 1}/${times.length} frames`);
+            }
+        }
+
+        let gifPath = null;
+        if (encoder) {
+            encoder.finish();
+            gifPath = path.join(this.screenshotDir, 'animation.gif');
+            await fs.writeFile(gifPath, encoder.bytes());
+        }
+
+        return { frames, gif: gifPath };
+    }
+}
+
+/**
+ * Parse and validate command line arguments
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} Animation options ({ help } when help was requested)
+ */
+function parseAnimationArgs(argv) {
+    const { values } = parseArgs({
+        args: argv,
+        options: {
+            out: { type: 'string', short: 'o' },
+            start: { type: 'string' },
+            end: { type: 'string' },
+            fps: { type: 'string' },
+            duration: { type: 'string' },
+            camera: { type: 'string' },
+            zoom: { type: 'string' },
+            pitch: { type: 'string' },
+            'heading-up': { type: 'boolean' },
+            width: { type: 'string' },
+            height: { type: 'string' },
+            scale: { type: 'string' },
+            'frames-only': { type: 'boolean' },
+            'hide-legend': { type: 'boolean' },
+            hud: { type: 'boolean' },
+            'hide-hud': { type: 'boolean' },
+            scene: { type: 'string' },
+            theme: { type: 'string' },
+            offline: { type: 'boolean' },
+            url: { type: 'string' },
+            help: { type: 'boolean', short: 'h' }
+        },
+        strict: true
+    });
+
+    if (values.help) {
+        return { help: true };
+    }
+
+    /**
+     * Read a numeric flag
+     * @param {string} name - Flag name
+     * @param {number} fallback - Value when the flag is absent
+     * @param {Function} isValid - Validity check
+     * @param {string} expected - Description used in the error message
+     * @returns {number} Flag value
+     */
+    const number = (name, fallback, isValid, expected) => {
+        if (values[name] === undefined) return fallback;
+        const value = Number(values[name]);
+        if (!isValid(value)) {
+            throw new Error(`--${name} must be ${expected}, got "${values[name]}"`);
+        }
+        return value;
+    };
+
+    const camera = values.camera || ANIMATION_DEFAULTS.camera;
+    if (!CAMERA_MODES.includes(camera)) {
+        throw new Error(`--camera must be one of ${CAMERA_MODES.join(', ')}, got "${values.camera}"`);
+    }
+
+    if (values.hud && values['hide-hud']) {
+        throw new Error('--hud and --hide-hud cannot be combined');
+    }
+
+    if (values.url !== undefined && !/^https?:\/\//.test(values.url)) {
+        throw new Error(`--url must be an http(s) URL, got "${values.url}"`);
+    }
+
+    const positiveInteger = value => Number.isInteger(value) && value > 0;
+    const nonNegative = value => Number.isFinite(value) && value >= 0;
+
+    const start = number('start', 0, nonNegative, 'a non-negative number of minutes');
+    const end = number('end', undefined, nonNegative, 'a non-negative number of minutes');
+    if (end !== undefined && end < start) {
+        throw new Error(`--end (${end}) must not be before --start (${start})`);
+    }
+
+    return {
+        screenshotDir: values.out ? path.resolve(values.out) : undefined,
+        start,
+        end,
+        fps: number('fps', ANIMATION_DEFAULTS.fps, value => value > 0 && value <= 60, 'a number between 0 and 60'),
+        duration: number('duration', ANIMATION_DEFAULTS.duration, value => value > 0, 'a positive number of seconds'),
+        camera,
+        zoom: number('zoom', undefined, value => Number.isFinite(value) && value >= 0 && value <= 22, 'a number from 0 to 22'),
+        pitch: number('pitch', 0, value => Number.isFinite(value) && value >= 0 && value <= 85, 'a number from 0 to 85'),
+        headingUp: Boolean(values['heading-up']),
+        viewport: {
+            width: number('width', ANIMATION_DEFAULTS.viewport.width, positiveInteger, 'a positive integer'),
+            height: number('height', ANIMATION_DEFAULTS.viewport.height, positiveInteger, 'a positive integer'),
+            deviceScaleFactor: number('scale', 1, value => value > 0 && value <= 4, 'a number between 0 and 4')
+        },
+        gif: !values['frames-only'],
+        legend: values['hide-legend'] ? false : undefined,
+        hud: values.hud ? true : (values['hide-hud'] ? false : undefined),
+        scene: values.scene,
+        theme: values.theme,
+        offline: Boolean(values.offline),
+        baseUrl: values.url
+    };
+}
+
+async function main() {
+    let options;
+    try {
+        options = parseAnimationArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`❌ ${error.message}\n\n${USAGE}`);
+        return EXIT_CODES.USAGE;
+    }
+
+    if (options.help) {
+        console.log(USAGE);
+        return EXIT_CODES.OK;
+    }
+
+    // Serve the app ourselves on a free port unless pointed at a running one
+    let server = null;
+    if (!options.baseUrl) {
+        try {
+            server = await startServer(0);
+            options.baseUrl = `http://localhost:${server.address().port}`;
+            console.log(`🚀 Started bundled server at ${options.baseUrl}`);
+        } catch (error) {
+            console.error('❌ Could not start the bundled server:', error.message);
+            return EXIT_CODES.SERVER_FAILED;
+        }
+    }
+
+    const capture = new AnimationCapture(options);
+
+    try {
+        const { frames, gif } = await capture.captureAnimation();
+        console.log(`\n🎬 Animation captured: ${frames.length} frames in ${path.relative(process.cwd(), capture.screenshotDir)}`);
+        if (gif) {
+            console.log(`  ${path.relative(process.cwd(), gif)}`);
+        }
+        return EXIT_CODES.OK;
+
+    } catch (error) {
+        console.error('\n❌ Animation capture failed:', error.message);
+        return EXIT_CODES.CAPTURE_FAILED;
+
+    } finally {
+        await capture.cleanup();
+        if (server) {
+            await stopServer(server);
+            console.log('🛑 Bundled server stopped');
+        }
+    }
+}
+
+// Run the script
+if (require.main === module) {
+    main().then(code => {
+        process.exitCode = code;
+    }).catch(error => {
+        console.error(error);
+        process.exitCode = EXIT_CODES.CAPTURE_FAILED;
+    });
+}
+
+module.exports = AnimationCapture;
+module.exports.parseAnimationArgs = parseAnimationArgs;
+module.exports.getFrameTimes = getFrameTimes;
+module.exports.getFrameFilename = getFrameFilename;
+module.exports.EXIT_CODES = EXIT_CODES;
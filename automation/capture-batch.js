@@ -0,0 +1,472 @@
+// Load environment variables
+require('dotenv').config();
+
+const path = require('path');
+const fs = require('fs').promises;
+const SimpleScreenshotCapture = require('./capture-simple');
+
+// Defaults applied to every shot unless the manifest overrides them
+const BATCH_DEFAULTS = {
+    outputDir: path.join(__dirname, '..', 'src', 'screenshots', 'batch'),
+    viewport: { width: 1080, height: 1920, deviceScaleFactor: 1 },
+    quality: 90
+};
+
+// Virtual path that inline scene data is served from
+const INLINE_SCENE_PATH = '/__batch__/';
+
+/**
+ * Captures every shot listed in a manifest in a single browser session
+ */
+class BatchScreenshotCapture extends SimpleScreenshotCapture {
+    /**
+     * @param {Object} manifest - Parsed manifest ({ baseUrl, outputDir, offline, defaults, shots })
+     * @param {string} manifestDir - Directory relative paths in the manifest resolve from
+     */
+    constructor(manifest, manifestDir = process.cwd()) {
+        super({
+            baseUrl: manifest.baseUrl,
+            screenshotDir: manifest.outputDir
+                ? path.resolve(manifestDir, manifest.outputDir)
+                : BATCH_DEFAULTS.outputDir,
+            viewport: BATCH_DEFAULTS.viewport,
+            offline: manifest.offline
+        });
+        this.manifest = manifest;
+        this.inlineScenes = new Map();
+        this.currentUrl = null;
+    }
+
+    /**
+     * Check a manifest before launching the browser
+     * @param {Object} manifest - Parsed manifest
+     * @returns {Array<string>} List of problems, empty when the manifest is valid
+     */
+    static validateManifest(manifest) {
+        const errors = [];
+
+        if (!manifest || !Array.isArray(manifest.shots) || manifest.shots.length === 0) {
+            return ['manifest must have a non-empty "shots" array'];
+        }
+        if (manifest.offline !== undefined && typeof manifest.offline !== 'boolean') {
+            errors.push('"offline" must be true or false');
+        }
+
+        const filenames = new Set();
+        manifest.shots.forEach((shot, index) => {
+            const label = `shots[${index}]`;
+            const filename = BatchScreenshotCapture.getShotFilename(
+                BatchScreenshotCapture.applyShotDefaults(manifest.defaults, shot),
+                index
+            );
+
+            if (!/\.(png|jpe?g)$/i.test(filename)) {
+                errors.push(`"${label}.filename" must end in .png, .jpg or .jpeg`);
+            }
+            if (filenames.has(filename)) {
+                errors.push(`"${label}.filename" duplicates "${filename}"`);
+            }
+            filenames.add(filename);
+
+            if (shot.url !== undefined && (shot.scene !== undefined || shot.track !== undefined)) {
+                errors.push(`"${label}.url" cannot be combined with "scene" or "track"`);
+            }
+
+            const camera = shot.camera || {};
+            if (camera.center !== undefined && camera.fit !== undefined) {
+                errors.push(`"${label}.camera" cannot have both "center" and "fit"`);
+            }
+            if (camera.view !== undefined && !['overview', 'zoom'].includes(camera.view)) {
+                errors.push(`"${label}.camera.view" must be "overview" or "zoom"`);
+            }
+            if (camera.anchor !== undefined && (camera.view !== 'zoom' || !Array.isArray(camera.anchor) ||
+                camera.anchor.length !== 2 || !camera.anchor.every(value => value >= 0 && value <= 1))) {
+                errors.push(`"${label}.camera.anchor" must be [x, y] fractions of the viewport, with view "zoom"`);
+            }
+            if (shot.legend !== undefined && typeof shot.legend !== 'boolean') {
+                errors.push(`"${label}.legend" must be true or false`);
+            }
+            if (shot.hud !== undefined && typeof shot.hud !== 'boolean') {
+                errors.push(`"${label}.hud" must be true or false`);
+            }
+            if (shot.theme !== undefined && (typeof shot.theme !== 'string' || !shot.theme)) {
+                errors.push(`"${label}.theme" must be a theme name`);
+            }
+            if (shot.tourStep !== undefined && (!Number.isInteger(shot.tourStep) || shot.tourStep < 1)) {
+                errors.push(`"${label}.tourStep" must be a step number, starting at 1`);
+            }
+            if (shot.tourStep !== undefined && shot.camera !== undefined) {
+                errors.push(`"${label}.tourStep" cannot be combined with "camera"; the step sets the camera`);
+            }
+            if (shot.flightTime !== undefined && (!Number.isFinite(shot.flightTime) || shot.flightTime < 0)) {
+                errors.push(`"${label}.flightTime" must be a non-negative number of minutes`);
+            }
+
+            const { viewport } = BatchScreenshotCapture.applyShotDefaults(manifest.defaults, shot);
+            ['width', 'height'].forEach(key => {
+                if (!Number.isInteger(viewport[key]) || viewport[key] <= 0) {
+                    errors.push(`"${label}.viewport.${key}" must be a positive integer`);
+                }
+            });
+        });
+
+        return errors;
+    }
+
+    /**
+     * Apply manifest defaults to a shot. Viewports merge key by key, so a shot
+     * can change its size and keep the default deviceScaleFactor.
+     * @param {Object} defaults - Manifest defaults, if any
+     * @param {Object} shot - Shot as listed in the manifest
+     * @returns {Object} Shot with defaults applied
+     */
+    static applyShotDefaults(defaults, shot) {
+        return {
+            ...defaults,
+            ...shot,
+            viewport: { ...BATCH_DEFAULTS.viewport, ...(defaults || {}).viewport, ...shot.viewport }
+        };
+    }
+
+    /**
+     * Output filename for a shot
+     * @param {Object} shot - Shot with defaults applied
+     * @param {number} index - Position of the shot in the manifest
+     * @returns {string} File name
+     */
+    static getShotFilename(shot, index) {
+        if (shot.filename) {
+            return shot.filename;
+        }
+        return `${shot.name || `shot-${index + 1}`}.png`;
+    }
+
+    /**
+     * Serve inline scene data from a virtual URL so the page loads it like a scene file
+     */
+    async interceptInlineScenes() {
+        await this.page.setRequestInterception(true);
+        this.page.on('request', request => {
+            const { pathname } = new URL(request.url());
+            if (pathname.startsWith(INLINE_SCENE_PATH) && this.inlineScenes.has(pathname)) {
+                request.respond({
+                    status: 200,
+                    contentType: 'application/json',
+                    body: JSON.stringify(this.inlineScenes.get(pathname))
+                });
+                return;
+            }
+            request.continue();
+        });
+    }
+
+    /**
+     * Build the page URL for a shot's shared link, or its scene and track
+     * @param {Object} shot - Shot with defaults applied
+     * @param {number} index - Position of the shot in the manifest
+     * @returns {string} Page URL
+     */
+    getShotUrl(shot, index) {
+        if (shot.url) {
+            // Links may be absolute or relative to the app, e.g. "?scene=cvg-mco&t=47"
+            const url = new URL(shot.url, `${this.baseUrl}/`);
+            if (this.offline) {
+                url.searchParams.set('offline', '1');
+            }
+            return url.href;
+        }
+
+        const params = new URLSearchParams();
+        if (this.offline) {
+            params.set('offline', '1');
+        }
+
+        if (shot.scene && typeof shot.scene === 'object') {
+            const scenePath = `${INLINE_SCENE_PATH}scene-${index + 1}.json`;
+            this.inlineScenes.set(scenePath, shot.scene);
+            params.set('scene', scenePath.slice(1));
+        } else if (shot.scene) {
+            params.set('scene', shot.scene);
+        }
+
+        if (shot.track) {
+            params.set('track', shot.track);
+        }
+
+        const query = params.toString();
+        return `${this.baseUrl}/${query ? `?${query}` : ''}`;
+    }
+
+    /**
+     * Load a page, reusing the current one when the shot needs the same scene
+     * @param {string} url - Page URL
+     */
+    async openPage(url) {
+        if (url === this.currentUrl) {
+            return;
+        }
+
+        console.log(`Loading ${url}`);
+        this.currentUrl = null;
+        await this.page.goto(url, { waitUntil: 'networkidle2', timeout: 30000 });
+
+        // The app reports scene errors on the page rather than throwing; without WebGL
+        // it draws the canvas fallback instead of the map
+        await this.page.waitForFunction(() => {
+            const error = document.getElementById('error');
+            const app = window.flightPathMap;
+            return (app && (app.isInitialized || app.fallback)) ||
+                (error && !error.classList.contains('hidden'));
+        }, { timeout: 30000 });
+
+        const pageError = await this.page.evaluate(() => {
+            const message = document.getElementById('error-message');
+            const app = window.flightPathMap;
+            return app && (app.isInitialized || app.fallback)
+                ? null
+                : (message && message.textContent.trim()) || 'Map failed to initialize';
+        });
+        if (pageError) {
+            throw new Error(pageError);
+        }
+
+        await this.waitForMapReady();
+        this.currentUrl = url;
+    }
+
+    /**
+     * Apply a shot's viewport, theme, flight time, layers and camera (or tour step) to the page.
+     * Shots from a shared link keep the link's view except for the fields they set.
+     * @param {Object} shot - Shot with defaults applied
+     */
+    async prepareShot(shot) {
+        await this.page.setViewport(shot.viewport);
+
+        // Hide the UI first so fitted cameras only make room for a legend or HUD that is captured
+        this.legend = shot.legend !== undefined ? shot.legend : null;
+        this.hud = shot.hud !== undefined ? shot.hud : null;
+        await this.hideMapUI();
+
+        await this.page.evaluate(async ({ theme, flightTime, layers, camera, tourStep, linked }) => {
+            const app = window.flightPathMap;
+
+            // Switch the theme first; it rebuilds the markers the rest of the shot adjusts
+            if (theme !== undefined || !linked) {
+                await app.setTheme(theme || MAP_CONFIG.defaultTheme);
+            }
+
+            // Only tour shots show a tour caption
+            if (app.tour && tourStep === undefined) {
+                app.tour.stop();
+            }
+
+            // The map does not track resizes by itself; the fallback redraws at the new size
+            if (app.map) {
+                app.map.resize();
+            } else if (app.fallback) {
+                app.fallback.render();
+            }
+            document.body.classList.remove('zoom-view');
+
+            if (flightTime !== undefined || !linked) {
+                app.seek(flightTime !== undefined ? flightTime : app.scene.flight.aircraftTime);
+            }
+
+            // Every shot starts from all layers visible so shots do not leak into each other
+            if (layers || !linked) {
+                Object.keys(MARKER_TYPES).forEach(type => {
+                    const visible = (layers || {})[type.toLowerCase()];
+                    app.setMarkerVisibility(type, visible !== false);
+                });
+                app.setFlightPathVisibility((layers || {}).flightPath !== false);
+            }
+
+            if (tourStep !== undefined) {
+                if (!app.tour) {
+                    throw new Error(app.fallback ? 'Tour shots need WebGL' : 'The scene has no story tour');
+                }
+                // The step's flight time wins unless the shot sets one
+                await app.tour.goTo(tourStep - 1, { animate: false });
+                if (flightTime !== undefined) {
+                    app.seek(flightTime);
+                }
+            } else if (!camera) {
+                if (!linked) {
+                    await app.setCamera(app.getOverviewCamera());
+                }
+            } else if (camera.view === 'overview') {
+                await app.setOverviewView();
+            } else if (camera.view === 'zoom') {
+                await app.setZoomView({
+                    anchor: camera.anchor,
+                    zoom: camera.zoom,
+                    bearing: camera.bearing,
+                    pitch: camera.pitch
+                });
+            } else if (camera.fit) {
+                await app.fitToMarkers({
+                    types: Array.isArray(camera.fit) ? camera.fit : undefined,
+                    includePath: camera.includePath,
+                    padding: camera.padding,
+                    avoidLegend: camera.avoidLegend,
+                    bearing: camera.bearing,
+                    pitch: camera.pitch,
+                    maxZoom: camera.maxZoom
+                });
+            } else {
+                // Unspecified camera values fall back to the linked view, or the scene overview
+                await app.setCamera({ ...(linked ? {} : app.getOverviewCamera()), ...camera });
+            }
+        }, {
+            theme: shot.theme,
+            flightTime: shot.flightTime,
+            layers: shot.layers,
+            camera: shot.camera,
+            tourStep: shot.tourStep,
+            linked: Boolean(shot.url)
+        });
+
+        await this.waitForPaint();
+    }
+
+    /**
+     * Capture a single shot
+     * @param {Object} shot - Shot with defaults applied
+     * @param {number} index - Position of the shot in the manifest
+     * @returns {Object} Summary entry for the produced file
+     */
+    async captureShot(shot, index) {
+        const startedAt = Date.now();
+        const filename = BatchScreenshotCapture.getShotFilename(shot, index);
+        const screenshotPath = path.join(this.screenshotDir, filename);
+        const type = /\.jpe?g$/i.test(filename) ? 'jpeg' : 'png';
+
+        // A shared link is applied on page load, so earlier shots must not leave changes behind
+        if (shot.url) {
+            this.currentUrl = null;
+        }
+        await this.openPage(this.getShotUrl(shot, index));
+        await this.prepareShot(shot);
+
+        await fs.mkdir(path.dirname(screenshotPath), { recursive: true });
+        await this.page.screenshot({
+            path: screenshotPath,
+            fullPage: false,
+            type,
+            ...(type === 'jpeg' ? { quality: shot.quality !== undefined ? shot.quality : BATCH_DEFAULTS.quality } : {})
+        });
+
+        const camera = await this.page.evaluate(() => {
+            const { map, fallback } = window.flightPathMap;
+            if (!map) {
+                return { ...fallback.camera };
+            }
+            const center = map.getCenter();
+            return {
+                center: [center.lng, center.lat],
+                zoom: map.getZoom(),
+                bearing: map.getBearing(),
+                pitch: map.getPitch()
+            };
+        });
+
+        console.log(`✅ ${filename}`);
+        return {
+            name: shot.name || filename,
+            file: path.relative(process.cwd(), screenshotPath),
+            url: this.currentUrl,
+            viewport: shot.viewport,
+            flightTime: shot.flightTime,
+            camera,
+            durationMs: Date.now() - startedAt
+        };
+    }
+
+    /**
+     * Capture every shot in the manifest, continuing past failures
+     * @returns {Object} Summary ({ produced, failed, ... }), also written to summary.json
+     */
+    async captureAll() {
+        const startedAt = new Date();
+        const produced = [];
+        const failed = [];
+
+        await this.initialize();
+        await this.interceptInlineScenes();
+
+        const { shots, defaults } = this.manifest;
+        for (let index = 0; index < shots.length; index++) {
+            const shot = BatchScreenshotCapture.applyShotDefaults(defaults, shots[index]);
+            const name = shot.name || BatchScreenshotCapture.getShotFilename(shot, index);
+            console.log(`\n=== Shot ${index + 1}/${shots.length}: ${name} ===`);
+
+            try {
+                produced.push(await this.captureShot(shot, index));
+            } catch (error) {
+                console.error(`❌ ${name}: ${error.message}`);
+                failed.push({ name, index, error: error.message });
+                // Start the next shot from a fresh page load
+                this.currentUrl = null;
+            }
+        }
+
+        const summary = {
+            startedAt: startedAt.toISOString(),
+            finishedAt: new Date().toISOString(),
+            outputDir: path.relative(process.cwd(), this.screenshotDir),
+            total: shots.length,
+            produced,
+            failed
+        };
+
+        await fs.mkdir(this.screenshotDir, { recursive: true });
+        await fs.writeFile(path.join(this.screenshotDir, 'summary.json'), `${JSON.stringify(summary, null, 2)}\n`);
+        return summary;
+    }
+}
+
+async function main() {
+    const manifestPath = process.argv[2];
+    if (!manifestPath) {
+        console.error('Usage: node automation/capture-batch.js <manifest.json>');
+        process.exit(2);
+    }
+
+    let manifest;
+    try {
+        manifest = JSON.parse(await fs.readFile(manifestPath, 'utf8'));
+    } catch (error) {
+        console.error(`❌ Could not read manifest "${manifestPath}": ${error.message}`);
+        process.exit(2);
+    }
+
+    const errors = BatchScreenshotCapture.validateManifest(manifest);
+    if (errors.length > 0) {
+        console.error(`❌ Invalid manifest "${manifestPath}":\n  - ${errors.join('\n  - ')}`);
+        process.exit(2);
+    }
+
+    console.log(`Starting batch capture of ${manifest.shots.length} shots from ${manifestPath}...`);
+    const capture = new BatchScreenshotCapture(manifest, path.dirname(path.resolve(manifestPath)));
+
+    try {
+        const summary = await capture.captureAll();
+        console.log(`\n📸 ${summary.produced.length} produced, ${summary.failed.length} failed`);
+        console.log(`Summary written to ${path.join(summary.outputDir, 'summary.json')}`);
+        process.exitCode = summary.failed.length > 0 ? 1 : 0;
+
+    } catch (error) {
+        console.error('\n❌ Batch capture failed:', error.message);
+        process.exitCode = 1;
+
+    } finally {
+        await capture.cleanup();
+    }
+}
+
+// Run the script
+if (require.main === module) {
+    main().catch(console.error);
+}
+
+module.exports = BatchScreenshotCapture;
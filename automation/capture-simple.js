@@ -7,17 +7,49 @@ const fs = require('fs').promises;
 
 // Configuration
 const SCREENSHOT_CONFIG = {
-    tileLoadWait: 5000, // 5 seconds after page load
-    animationWait: 2000, // 2 seconds for animations
+    readyTimeout: 30000, // Longest wait for the map to finish rendering
     maxRetries: 3,
     retryDelay: 2000,
 };
 
+// Views that can be captured, by output file name
+// 'current' keeps the view the page opened with, e.g. from a shared link;
+// 'tour' saves every step of the scene's story tour as tour-01, tour-02, ...
+const CAPTURE_VIEWS = ['overview', 'zoom', 'current', 'tour'];
+
+// Views captured when none are requested
+const DEFAULT_VIEWS = ['overview', 'zoom'];
+
 class SimpleScreenshotCapture {
-    constructor() {
+    /**
+     * @param {Object} options - Capture options
+     * @param {string} options.baseUrl - App URL, optionally a shared link with map state
+     *                                   (default: CAPTURE_BASE_URL or http://localhost:3000)
+     * @param {string} options.scene - Scene ID or path passed as ?scene= (default: the app's default scene)
+     * @param {string} options.theme - Theme name passed as ?theme= (default: the link's theme or MAP_CONFIG.defaultTheme)
+     * @param {boolean} options.offline - Render from the server's local style and tiles (?offline=1)
+     * @param {string} options.screenshotDir - Output directory (default: src/screenshots)
+     * @param {Object} options.viewport - { width, height, deviceScaleFactor } (default: 1080x1920 at 1x)
+     * @param {string} options.format - 'png' or 'jpeg' (default: 'png')
+     * @param {number} options.quality - JPEG quality 0-100 (default: 90)
+     * @param {boolean} options.legend - Show the legend in screenshots (default: LEGEND_CONFIG.showInScreenshots)
+     * @param {boolean} options.hud - Show the flight HUD in screenshots (default: HUD_CONFIG.showInScreenshots)
+     */
+    constructor(options = {}) {
         this.browser = null;
         this.page = null;
-        this.screenshotDir = path.join(__dirname, '..', 'src', 'screenshots');
+        this.pageUrl = options.baseUrl || process.env.CAPTURE_BASE_URL || 'http://localhost:3000';
+        const { origin, pathname } = new URL(this.pageUrl);
+        this.baseUrl = `${origin}${pathname}`.replace(/\/$/, '');
+        this.scene = options.scene || null;
+        this.theme = options.theme || null;
+        this.offline = Boolean(options.offline);
+        this.screenshotDir = options.screenshotDir || path.join(__dirname, '..', 'src', 'screenshots');
+        this.viewport = { width: 1080, height: 1920, deviceScaleFactor: 1, ...options.viewport };
+        this.format = options.format || 'png';
+        this.quality = options.quality !== undefined ? options.quality : 90;
+        this.legend = options.legend !== undefined ? options.legend : null;
+        this.hud = options.hud !== undefined ? options.hud : null;
     }
 
     async initialize() {
@@ -48,12 +80,8 @@ class SimpleScreenshotCapture {
 
             this.page = await this.browser.newPage();
             
-            // Set viewport for portrait orientation
-            await this.page.setViewport({
-                width: 1080,
-                height: 1920,
-                deviceScaleFactor: 1
-            });
+            // Set viewport (portrait 1080x1920 by default)
+            await this.page.setViewport(this.viewport);
 
             // Set user agent
             await this.page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
@@ -87,17 +115,24 @@ class SimpleScreenshotCapture {
         try {
             console.log('Navigating to map page...');
             
-            // Navigate to the development server
-            await this.page.goto('http://localhost:3000', {
+            // Navigate to the app, keeping any map state in a shared link
+            const url = new URL(this.pageUrl);
+            if (this.scene) {
+                url.searchParams.set('scene', this.scene);
+            }
+            if (this.theme) {
+                url.searchParams.set('theme', this.theme);
+            }
+            if (this.offline) {
+                url.searchParams.set('offline', '1');
+            }
+            await this.page.goto(url.href, {
                 waitUntil: 'networkidle2',
                 timeout: 30000
             });
 
             console.log('Page loaded successfully');
             
-            // Wait for the page to be fully loaded
-            await new Promise(resolve => setTimeout(resolve, SCREENSHOT_CONFIG.tileLoadWait));
-            
         } catch (error) {
             console.error('Failed to navigate to map page:', error);
             throw error;
@@ -108,19 +143,37 @@ class SimpleScreenshotCapture {
         try {
             console.log('Waiting for map to be ready...');
             
-            // Wait for the map to be initialized and idle
-            await this.page.waitForFunction(() => {
-                return window.flightPathMap && window.flightPathMap.isInitialized && window.flightPathMap.map && window.flightPathMap.map.isStyleLoaded();
-            }, { timeout: 30000 });
+            // The app exposes flightPathMap as soon as it starts initializing
+            await this.page.waitForFunction(() => window.flightPathMap, { timeout: SCREENSHOT_CONFIG.readyTimeout });
             
-            console.log('Map style loaded');
+            // Wait for style, tiles, marker icons and camera (see FlightPathMap.whenReady)
+            const result = await this.page.evaluate(async timeout => {
+                try {
+                    return await window.flightPathMap.whenReady({ timeout });
+                } catch (error) {
+                    return { error: { message: error.message, reason: error.reason, pending: error.pending } };
+                }
+            }, SCREENSHOT_CONFIG.readyTimeout);
             
-            // Wait for map to be idle (all tiles loaded)
-            await this.page.waitForFunction(() => {
-                return window.flightPathMap && window.flightPathMap.map && window.flightPathMap.map.loaded();
-            }, { timeout: 30000 });
+            if (result.error) {
+                const error = new Error(result.error.message);
+                error.reason = result.error.reason;
+                error.pending = result.error.pending;
+                throw error;
+            }
             
-            console.log('Map fully loaded');
+            console.log(`Map fully loaded after ${result.waited} ms`);
+            
+            // The app falls back to the default theme for names it does not know
+            if (this.theme) {
+                const { theme, themes } = await this.page.evaluate(() => ({
+                    theme: window.flightPathMap.theme,
+                    themes: Object.keys(MAP_CONFIG.themes)
+                }));
+                if (theme !== this.theme) {
+                    throw new Error(`Unknown theme "${this.theme}" (expected one of ${themes.join(', ')})`);
+                }
+            }
             
             // Check if map is visible
             const isVisible = await this.page.evaluate(() => {
@@ -133,8 +186,7 @@ class SimpleScreenshotCapture {
                 console.warn('Map may not be visible, but continuing...');
             }
             
-            // Additional wait to ensure everything is rendered
-            await new Promise(resolve => setTimeout(resolve, 3000));
+            await this.waitForPaint();
             
         } catch (error) {
             console.error('Error waiting for map ready:', error);
@@ -142,35 +194,49 @@ class SimpleScreenshotCapture {
         }
     }
 
+    /**
+     * Wait until the browser has painted the latest DOM changes (marker icons, hidden controls)
+     */
+    async waitForPaint() {
+        await this.page.evaluate(() => new Promise(resolve => {
+            requestAnimationFrame(() => requestAnimationFrame(resolve));
+        }));
+    }
+
     async hideMapUI() {
         // Hide map controls and attribution for clean screenshots
-        await this.page.evaluate(() => {
-            document.querySelectorAll('.mapboxgl-ctrl').forEach(el => el.style.display = 'none');
+        await this.page.evaluate(({ legend, hud }) => {
+            document.body.classList.add('screenshot-mode');
+            document.querySelectorAll('.mapboxgl-ctrl, .playback-controls').forEach(el => el.style.display = 'none');
             const attrib = document.querySelector('.mapboxgl-ctrl-attrib');
             if (attrib) attrib.style.display = 'none';
-        });
+            
+            // The legend stays, without its toggles, unless turned off
+            if (window.flightPathMap && window.flightPathMap.legend) {
+                window.flightPathMap.legend.setShowInScreenshots(legend !== null ? legend : LEGEND_CONFIG.showInScreenshots);
+            }
+            
+            // The flight HUD is left out unless turned on
+            if (window.flightPathMap && window.flightPathMap.hud) {
+                window.flightPathMap.hud.setShowInScreenshots(hud !== null ? hud : HUD_CONFIG.showInScreenshots);
+            }
+        }, { legend: this.legend, hud: this.hud });
     }
 
     async captureOverview() {
         try {
             console.log('Capturing overview screenshot...');
             await this.waitForMapReady();
+            // Hide the UI first so the overview only makes room for a legend that is captured
+            await this.hideMapUI();
             // Set map to overview view
             await this.page.evaluate(async () => {
                 if (window.flightPathMap && window.flightPathMap.setOverviewView) {
                     await window.flightPathMap.setOverviewView();
                 }
             });
-            await this.waitForMapReady();
-            await this.hideMapUI();
-            await new Promise(resolve => setTimeout(resolve, SCREENSHOT_CONFIG.animationWait));
-            await this.ensureScreenshotDirectory();
-            const screenshotPath = path.join(this.screenshotDir, 'overview.png');
-            await this.page.screenshot({
-                path: screenshotPath,
-                fullPage: false,
-                type: 'png'
-            });
+            await this.waitForPaint();
+            const screenshotPath = await this.saveScreenshot('overview');
             console.log(`Overview screenshot saved to: ${screenshotPath}`);
             return screenshotPath;
         } catch (error) {
@@ -198,16 +264,13 @@ class SimpleScreenshotCapture {
             });
             console.log('Map state before zoom view:', mapState);
             
-            // Set map to zoom view
+            // Set map to zoom view (resolves once the animation and tiles are done)
             await this.page.evaluate(async () => {
                 if (window.flightPathMap && window.flightPathMap.setZoomView) {
                     await window.flightPathMap.setZoomView();
                 }
             });
             
-            // Wait for zoom animation to complete
-            await new Promise(resolve => setTimeout(resolve, 3000));
-            
             // Debug: Check map state after setting zoom view
             const mapStateAfter = await this.page.evaluate(() => {
                 if (window.flightPathMap && window.flightPathMap.map) {
@@ -221,14 +284,8 @@ class SimpleScreenshotCapture {
             console.log('Map state after zoom view:', mapStateAfter);
             
             await this.hideMapUI();
-            await new Promise(resolve => setTimeout(resolve, SCREENSHOT_CONFIG.animationWait));
-            await this.ensureScreenshotDirectory();
-            const screenshotPath = path.join(this.screenshotDir, 'zoom.png');
-            await this.page.screenshot({
-                path: screenshotPath,
-                fullPage: false,
-                type: 'png'
-            });
+            await this.waitForPaint();
+            const screenshotPath = await this.saveScreenshot('zoom');
             console.log(`Zoom screenshot saved to: ${screenshotPath}`);
             return screenshotPath;
         } catch (error) {
@@ -237,6 +294,72 @@ class SimpleScreenshotCapture {
         }
     }
 
+    /**
+     * Capture the view the page opened with, without moving the camera
+     * @returns {Promise<string>} Path of the saved file
+     */
+    async captureCurrent() {
+        console.log('Capturing current view...');
+        await this.waitForMapReady();
+        await this.hideMapUI();
+        await this.waitForPaint();
+        const screenshotPath = await this.saveScreenshot('current');
+        console.log(`Current view screenshot saved to: ${screenshotPath}`);
+        return screenshotPath;
+    }
+
+    /**
+     * Capture every step of the scene's story tour, caption included
+     * @returns {Promise<Array<string>>} Paths of the saved files, in step order
+     */
+    async captureTour() {
+        console.log('Capturing story tour...');
+        await this.waitForMapReady();
+        await this.hideMapUI();
+
+        const stepCount = await this.page.evaluate(() => {
+            const { tour } = window.flightPathMap;
+            return tour ? tour.steps.length : 0;
+        });
+        if (stepCount === 0) {
+            throw new Error('The scene has no story tour to capture');
+        }
+
+        const screenshotPaths = [];
+        for (let index = 0; index < stepCount; index++) {
+            // Jump straight to each step; goTo() resolves once the step has rendered
+            await this.page.evaluate(async step => {
+                await window.flightPathMap.tour.goTo(step, { animate: false });
+            }, index);
+            await this.waitForPaint();
+
+            const screenshotPath = await this.saveScreenshot(`tour-${String(index + 1).padStart(2, '0')}`);
+            console.log(`Tour step ${index + 1}/${stepCount} saved to: ${screenshotPath}`);
+            screenshotPaths.push(screenshotPath);
+        }
+
+        await this.page.evaluate(() => window.flightPathMap.tour.stop());
+        return screenshotPaths;
+    }
+
+    /**
+     * Save the current page as an image in the screenshot directory
+     * @param {string} name - File name without extension
+     * @returns {Promise<string>} Path of the saved file
+     */
+    async saveScreenshot(name) {
+        await this.ensureScreenshotDirectory();
+        const extension = this.format === 'jpeg' ? 'jpg' : 'png';
+        const screenshotPath = path.join(this.screenshotDir, `${name}.${extension}`);
+        await this.page.screenshot({
+            path: screenshotPath,
+            fullPage: false,
+            type: this.format,
+            ...(this.format === 'jpeg' ? { quality: this.quality } : {})
+        });
+        return screenshotPath;
+    }
+
     async ensureScreenshotDirectory() {
         try {
             await fs.access(this.screenshotDir);
@@ -246,7 +369,12 @@ class SimpleScreenshotCapture {
         }
     }
 
-    async captureAllScreenshots() {
+    /**
+     * Capture the requested views, relaunching the browser on failure
+     * @param {Array<string>} views - Views to capture (default: DEFAULT_VIEWS)
+     * @returns {Promise<Array<string>>} Paths of the saved files
+     */
+    async captureAllScreenshots(views = DEFAULT_VIEWS) {
         let retries = 0;
         
         while (retries < SCREENSHOT_CONFIG.maxRetries) {
@@ -259,14 +387,22 @@ class SimpleScreenshotCapture {
                 // Navigate to map
                 await this.navigateToMap();
                 
-                // Capture overview screenshot
-                await this.captureOverview();
-                
-                // Capture zoom screenshot
-                await this.captureZoom();
+                // Capture each requested view in order
+                const screenshotPaths = [];
+                const captureView = {
+                    overview: () => this.captureOverview(),
+                    zoom: () => this.captureZoom(),
+                    current: () => this.captureCurrent(),
+                    tour: () => this.captureTour()
+                };
+                for (const view of views) {
+                    // The tour view saves one file per step
+                    const result = await captureView[view]();
+                    screenshotPaths.push(...(Array.isArray(result) ? result : [result]));
+                }
                 
                 console.log('\n✅ All screenshots captured successfully!');
-                return true;
+                return screenshotPaths;
                 
             } catch (error) {
                 console.error(`\nScreenshot capture attempt ${retries + 1} failed:`, error.message);
@@ -320,4 +456,6 @@ if (require.main === module) {
     main().catch(console.error);
 }
 
-module.exports = SimpleScreenshotCapture; 
\ No newline at end of file
+module.exports = SimpleScreenshotCapture;
+module.exports.CAPTURE_VIEWS = CAPTURE_VIEWS;
+module.exports.DEFAULT_VIEWS = DEFAULT_VIEWS; 
\ No newline at end of file
@@ -0,0 +1,197 @@
+// Load environment variables
+require('dotenv').config();
+
+const path = require('path');
+const { parseArgs } = require('util');
+const SimpleScreenshotCapture = require('./capture-simple');
+const { CAPTURE_VIEWS, DEFAULT_VIEWS } = require('./capture-simple');
+const { startServer, stopServer } = require('../server');
+
+// Exit codes for unattended runs
+const EXIT_CODES = {
+    OK: 0,
+    CAPTURE_FAILED: 1,
+    USAGE: 2,
+    SERVER_FAILED: 3
+};
+
+const IMAGE_FORMATS = ['png', 'jpeg'];
+
+const USAGE = `Usage: npm run screenshot -- [options]
+
+Options:
+  -o, --out <dir>        Output directory (default: src/screenshots)
+      --views <list>     Comma-separated views: ${CAPTURE_VIEWS.join(', ')} (default: ${DEFAULT_VIEWS.join(',')})
+      --width <px>       Viewport width (default: 1080)
+      --height <px>      Viewport height (default: 1920)
+      --scale <n>        Device scale factor (default: 1)
+      --format <fmt>     Image format: ${IMAGE_FORMATS.join(', ')} (default: png)
+      --quality <0-100>  JPEG quality (default: 90)
+      --scene <id>       Scene ID or path, as in ?scene= (default: the app's default scene)
+      --theme <name>     Map theme, as in ?theme= (default: MAP_CONFIG.defaultTheme)
+      --offline          Render from the local style and tiles (no network or token needed)
+      --hide-legend      Leave the map legend out of the screenshots
+      --hud              Show the flight HUD in the screenshots (HUD_CONFIG.showInScreenshots)
+      --hide-hud         Leave the flight HUD out of the screenshots
+      --url <url>        Capture a running app instead of starting the bundled server;
+                         a shared link also restores its camera, time and layers
+  -h, --help             Show this help
+
+Exit codes: 0 success, 1 capture failed, 2 invalid arguments, 3 server failed to start`;
+
+/**
+ * Parse and validate command line arguments
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} Capture options ({ help } when help was requested)
+ */
+function parseCaptureArgs(argv) {
+    const { values } = parseArgs({
+        args: argv,
+        options: {
+            out: { type: 'string', short: 'o' },
+            views: { type: 'string' },
+            width: { type: 'string' },
+            height: { type: 'string' },
+            scale: { type: 'string' },
+            format: { type: 'string' },
+            quality: { type: 'string' },
+            scene: { type: 'string' },
+            theme: { type: 'string' },
+            offline: { type: 'boolean' },
+            'hide-legend': { type: 'boolean' },
+            hud: { type: 'boolean' },
+            'hide-hud': { type: 'boolean' },
+            url: { type: 'string' },
+            help: { type: 'boolean', short: 'h' }
+        },
+        strict: true
+    });
+
+    if (values.help) {
+        return { help: true };
+    }
+
+    /**
+     * Read a numeric flag
+     * @param {string} name - Flag name
+     * @param {number} fallback - Value when the flag is absent
+     * @param {Function} isValid - Validity check
+     * @param {string} expected - Description used in the error message
+     * @returns {number} Flag value
+     */
+    const number = (name, fallback, isValid, expected) => {
+        if (values[name] === undefined) return fallback;
+        const value = Number(values[name]);
+        if (!isValid(value)) {
+            throw new Error(`--${name} must be ${expected}, got "${values[name]}"`);
+        }
+        return value;
+    };
+
+    const views = values.views
+        ? values.views.split(',').map(view => view.trim()).filter(Boolean)
+        : DEFAULT_VIEWS;
+    const unknownViews = views.filter(view => !CAPTURE_VIEWS.includes(view));
+    if (views.length === 0 || unknownViews.length > 0) {
+        throw new Error(`--views must list ${CAPTURE_VIEWS.join(', ')}, got "${values.views}"`);
+    }
+
+    const format = values.format === 'jpg' ? 'jpeg' : (values.format || 'png');
+    if (!IMAGE_FORMATS.includes(format)) {
+        throw new Error(`--format must be one of ${IMAGE_FORMATS.join(', ')}, got "${values.format}"`);
+    }
+
+    if (values.hud && values['hide-hud']) {
+        throw new Error('--hud and --hide-hud cannot be combined');
+    }
+
+    if (values.url !== undefined && !/^https?:\/\//.test(values.url)) {
+        throw new Error(`--url must be an http(s) URL, got "${values.url}"`);
+    }
+
+    const positiveInteger = value => Number.isInteger(value) && value > 0;
+
+    return {
+        screenshotDir: values.out ? path.resolve(values.out) : undefined,
+        views,
+        viewport: {
+            width: number('width', 1080, positiveInteger, 'a positive integer'),
+            height: number('height', 1920, positiveInteger, 'a positive integer'),
+            deviceScaleFactor: number('scale', 1, value => value > 0 && value <= 4, 'a number between 0 and 4')
+        },
+        format,
+        quality: number('quality', 90, value => Number.isInteger(value) && value >= 0 && value <= 100, 'an integer from 0 to 100'),
+        scene: values.scene,
+        theme: values.theme,
+        offline: Boolean(values.offline),
+        legend: values['hide-legend'] ? false : undefined,
+        hud: values.hud ? true : (values['hide-hud'] ? false : undefined),
+        baseUrl: values.url
+    };
+}
+
+async function main() {
+    let options;
+    try {
+        options = parseCaptureArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`❌ ${error.message}\n\n${USAGE}`);
+        return EXIT_CODES.USAGE;
+    }
+
+    if (options.help) {
+        console.log(USAGE);
+        return EXIT_CODES.OK;
+    }
+
+    // Serve the app ourselves on a free port unless pointed at a running one
+    let server = null;
+    if (!options.baseUrl) {
+        try {
+            server = await startServer(0);
+            options.baseUrl = `http://localhost:${server.address().port}`;
+            console.log(`🚀 Started bundled server at ${options.baseUrl}`);
+        } catch (error) {
+            console.error('❌ Could not start the bundled server:', error.message);
+            return EXIT_CODES.SERVER_FAILED;
+        }
+    }
+
+    console.log(`Capturing ${options.views.join(', ')} from ${options.baseUrl} at ` +
+        `${options.viewport.width}x${options.viewport.height} @${options.viewport.deviceScaleFactor}x (${options.format})`);
+
+    const capture = new SimpleScreenshotCapture(options);
+
+    try {
+        const screenshotPaths = await capture.captureAllScreenshots(options.views);
+        console.log('\n🎉 Screenshot capture completed successfully!');
+        screenshotPaths.forEach(screenshotPath => console.log(`  ${path.relative(process.cwd(), screenshotPath)}`));
+        return EXIT_CODES.OK;
+
+    } catch (error) {
+        console.error('\n❌ Screenshot capture failed:', error.message);
+        return EXIT_CODES.CAPTURE_FAILED;
+
+    } finally {
+        await capture.cleanup();
+        if (server) {
+            await stopServer(server);
+            console.log('🛑 Bundled server stopped');
+        }
+    }
+}
+
+// Run the script
+if (require.main === module) {
+    main().then(code => {
+        process.exitCode = code;
+    }).catch(error => {
+        console.error(error);
+        process.exitCode = EXIT_CODES.CAPTURE_FAILED;
+    });
+}
+
+module.exports = {
+    parseCaptureArgs,
+    EXIT_CODES
+};
@@ -0,0 +1,348 @@
+const path = require('path');
+const fs = require('fs').promises;
+const { parseArgs } = require('util');
+const { PNG } = require('pngjs');
+const pixelmatch = require('pixelmatch');
+
+// Comparison defaults
+const COMPARE_CONFIG = {
+    baselineDir: path.join(__dirname, '..', 'src', 'screenshots'),
+    actualDir: path.join(__dirname, '..', 'src', 'screenshots', 'current'),
+    reportDir: path.join(__dirname, '..', 'src', 'screenshots', 'report'),
+    pixelThreshold: 0.1, // Per-pixel color distance (0-1) before a pixel counts as changed
+    maxDiffRatio: 0.001 // Share of changed pixels (0-1) before a shot fails
+};
+
+// Exit codes for unattended runs
+const EXIT_CODES = {
+    OK: 0,
+    DRIFT: 1,
+    USAGE: 2
+};
+
+const USAGE = `Usage: npm run compare -- [options] [name ...]
+
+Compares fresh captures against the baselines and writes a diff report.
+Names (e.g. overview zoom) limit the run to those shots.
+
+Options:
+      --actual <dir>     Fresh captures (default: src/screenshots/current)
+      --baseline <dir>   Baselines (default: src/screenshots)
+      --report <dir>     Report output (default: src/screenshots/report)
+      --threshold <0-1>  Per-pixel color threshold (default: ${COMPARE_CONFIG.pixelThreshold})
+      --max-diff <0-1>   Changed-pixel ratio allowed per shot (default: ${COMPARE_CONFIG.maxDiffRatio})
+      --accept           Copy the fresh captures over the baselines instead of comparing
+  -h, --help             Show this help
+
+Exit codes: 0 all shots match (or accepted), 1 a shot drifted or is missing, 2 invalid arguments`;
+
+/**
+ * Parse and validate command line arguments
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} Compare options ({ help } when help was requested)
+ */
+function parseCompareArgs(argv) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        options: {
+            actual: { type: 'string' },
+            baseline: { type: 'string' },
+            report: { type: 'string' },
+            threshold: { type: 'string' },
+            'max-diff': { type: 'string' },
+            accept: { type: 'boolean' },
+            help: { type: 'boolean', short: 'h' }
+        },
+        allowPositionals: true,
+        strict: true
+    });
+
+    if (values.help) {
+        return { help: true };
+    }
+
+    /**
+     * Read a ratio flag between 0 and 1
+     * @param {string} name - Flag name
+     * @param {number} fallback - Value when the flag is absent
+     * @returns {number} Flag value
+     */
+    const ratio = (name, fallback) => {
+        if (values[name] === undefined) return fallback;
+        const value = Number(values[name]);
+        if (!Number.isFinite(value) || value < 0 || value > 1) {
+            throw new Error(`--${name} must be a number from 0 to 1, got "${values[name]}"`);
+        }
+        return value;
+    };
+
+    return {
+        actualDir: values.actual ? path.resolve(values.actual) : COMPARE_CONFIG.actualDir,
+        baselineDir: values.baseline ? path.resolve(values.baseline) : COMPARE_CONFIG.baselineDir,
+        reportDir: values.report ? path.resolve(values.report) : COMPARE_CONFIG.reportDir,
+        pixelThreshold: ratio('threshold', COMPARE_CONFIG.pixelThreshold),
+        maxDiffRatio: ratio('max-diff', COMPARE_CONFIG.maxDiffRatio),
+        accept: Boolean(values.accept),
+        names: positionals.map(name => name.replace(/\.png$/i, ''))
+    };
+}
+
+/**
+ * List the PNG shots in a directory by name
+ * @param {string} dir - Directory to read
+ * @returns {Promise<Array<string>>} Shot names without extension; empty when the directory is missing
+ */
+async function listShots(dir) {
+    try {
+        const files = await fs.readdir(dir);
+        return files.filter(file => /\.png$/i.test(file)).map(file => file.replace(/\.png$/i, '')).sort();
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+}
+
+/**
+ * Read a PNG file
+ * @param {string} filePath - PNG path
+ * @returns {Promise<PNG>} Decoded image
+ */
+async function readPng(filePath) {
+    return PNG.sync.read(await fs.readFile(filePath));
+}
+
+/**
+ * Compare one shot against its baseline and write the report images
+ * @param {string} name - Shot name
+ * @param {Object} options - Compare options
+ * @returns {Promise<Object>} Result ({ name, status: 'pass' | 'fail' | 'new' | 'missing' | 'size', ... })
+ */
+async function compareShot(name, options) {
+    const file = `${name}.png`;
+    const baselinePath = path.join(options.baselineDir, file);
+    const actualPath = path.join(options.actualDir, file);
+    const result = { name, file };
+
+    const [hasBaseline, hasActual] = await Promise.all([baselinePath, actualPath].map(filePath =>
+        fs.access(filePath).then(() => true, () => false)
+    ));
+
+    // Copy both images next to the report so it can be opened on its own
+    if (hasBaseline) {
+        await fs.copyFile(baselinePath, path.join(options.reportDir, 'baseline', file));
+        result.baseline = `baseline/${file}`;
+    }
+    if (hasActual) {
+        await fs.copyFile(actualPath, path.join(options.reportDir, 'actual', file));
+        result.actual = `actual/${file}`;
+    }
+
+    if (!hasBaseline) {
+        return { ...result, status: 'new', message: 'No baseline yet (run with --accept to store it)' };
+    }
+    if (!hasActual) {
+        return { ...result, status: 'missing', message: 'Not found among the fresh captures' };
+    }
+
+    const [baseline, actual] = await Promise.all([readPng(baselinePath), readPng(actualPath)]);
+    if (baseline.width !== actual.width || baseline.height !== actual.height) {
+        return {
+            ...result,
+            status: 'size',
+            message: `Size changed from ${baseline.width}x${baseline.height} to ${actual.width}x${actual.height}`
+        };
+    }
+
+    const { width, height } = baseline;
+    const diff = new PNG({ width, height });
+    const changedPixels = pixelmatch(baseline.data, actual.data, diff.data, width, height, {
+        threshold: options.pixelThreshold,
+        diffColor: [255, 0, 64],
+        alpha: 0.2
+    });
+
+    await fs.writeFile(path.join(options.reportDir, 'diff', file), PNG.sync.write(diff));
+
+    const diffRatio = changedPixels / (width * height);
+    const passed = diffRatio <= options.maxDiffRatio;
+    return {
+        ...result,
+        diff: `diff/${file}`,
+        status: passed ? 'pass' : 'fail',
+        changedPixels,
+        diffRatio,
+        message: `${(diffRatio * 100).toFixed(3)}% of pixels changed (limit ${(options.maxDiffRatio * 100).toFixed(3)}%)`
+    };
+}
+
+/**
+ * Escape text for HTML
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, char => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    }[char]));
+}
+
+/**
+ * Build the HTML report with baseline, capture and diff side by side
+ * @param {Array<Object>} results - Results from compareShot()
+ * @param {Object} options - Compare options
+ * @returns {string} HTML document
+ */
+function buildReport(results, options) {
+    const failed = results.filter(result => result.status !== 'pass').length;
+
+    const image = (src, label) => src
+        ? `<figure><figcaption>${label}</figcaption><a href="${src}"><img src="${src}" alt="${label}"></a></figure>`
+        : `<figure><figcaption>${label}</figcaption><div class="empty">none</div></figure>`;
+
+    const rows = results.map(result => `
+    <section class="shot ${result.status}">
+        <h2>${escapeHtml(result.name)} <span class="status">${result.status.toUpperCase()}</span></h2>
+        <p>${escapeHtml(result.message)}</p>
+        <div class="images">
+            ${image(result.baseline, 'Baseline')}
+            ${image(result.actual, 'Capture')}
+            ${image(result.diff, 'Diff')}
+        </div>
+    </section>`).join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>Screenshot comparison: ${failed === 0 ? 'passed' : `${failed} failed`}</title>
+    <style>
+        body { font-family: Arial, sans-serif; background: #1a1a1a; color: #fff; margin: 24px; }
+        .summary { color: #9ca3af; }
+        .shot { border-left: 4px solid #10B981; padding: 8px 16px; margin: 24px 0; background: #262626; }
+        .shot:not(.pass) { border-left-color: #EF4444; }
+        .status { font-size: 14px; padding: 2px 8px; border-radius: 4px; background: #10B981; }
+        .shot:not(.pass) .status { background: #EF4444; }
+        .images { display: flex; gap: 16px; }
+        figure { flex: 1; margin: 0; }
+        figcaption { color: #9ca3af; margin-bottom: 4px; }
+        img { width: 100%; border: 1px solid #404040; }
+        .empty { border: 1px dashed #404040; padding: 48px; text-align: center; color: #6b7280; }
+    </style>
+</head>
+<body>
+    <h1>Screenshot comparison</h1>
+    <p class="summary">${results.length - failed} of ${results.length} shots match.
+        Per-pixel threshold ${options.pixelThreshold}, changed pixels allowed ${(options.maxDiffRatio * 100).toFixed(3)}%.
+        Generated ${new Date().toISOString()}.</p>
+${rows}
+</body>
+</html>
+`;
+}
+
+/**
+ * Copy fresh captures over the baselines
+ * @param {Array<string>} names - Shot names to accept
+ * @param {Object} options - Compare options
+ * @returns {Promise<Array<string>>} Accepted file names
+ */
+async function acceptShots(names, options) {
+    await fs.mkdir(options.baselineDir, { recursive: true });
+    const accepted = [];
+
+    for (const name of names) {
+        const file = `${name}.png`;
+        await fs.copyFile(path.join(options.actualDir, file), path.join(options.baselineDir, file));
+        accepted.push(file);
+    }
+
+    return accepted;
+}
+
+async function main() {
+    let options;
+    try {
+        options = parseCompareArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`❌ ${error.message}\n\n${USAGE}`);
+        return EXIT_CODES.USAGE;
+    }
+
+    if (options.help) {
+        console.log(USAGE);
+        return EXIT_CODES.OK;
+    }
+
+    const actualShots = await listShots(options.actualDir);
+    const unknown = options.names.filter(name => !actualShots.includes(name));
+
+    if (options.accept) {
+        if (unknown.length > 0) {
+            console.error(`❌ Not found in ${options.actualDir}: ${unknown.join(', ')}`);
+            return EXIT_CODES.USAGE;
+        }
+        const names = options.names.length > 0 ? options.names : actualShots;
+        if (names.length === 0) {
+            console.error(`❌ No captures to accept in ${options.actualDir}`);
+            return EXIT_CODES.USAGE;
+        }
+
+        const accepted = await acceptShots(names, options);
+        console.log(`✅ Stored ${accepted.length} captures as baselines in ${path.relative(process.cwd(), options.baselineDir)}:`);
+        accepted.forEach(file => console.log(`  ${file}`));
+        return EXIT_CODES.OK;
+    }
+
+    const baselineShots = await listShots(options.baselineDir);
+    const names = options.names.length > 0
+        ? options.names
+        : [...new Set([...baselineShots, ...actualShots])].sort();
+
+    if (names.length === 0) {
+        console.error(`❌ No screenshots found in ${options.baselineDir} or ${options.actualDir}`);
+        return EXIT_CODES.USAGE;
+    }
+
+    await Promise.all(['baseline', 'actual', 'diff'].map(dir =>
+        fs.mkdir(path.join(options.reportDir, dir), { recursive: true })
+    ));
+
+    console.log(`Comparing ${names.length} shots against ${path.relative(process.cwd(), options.baselineDir) || '.'}...`);
+    const results = [];
+    for (const name of names) {
+        const result = await compareShot(name, options);
+        results.push(result);
+        console.log(`${result.status === 'pass' ? '✅' : '❌'} ${name}: ${result.message}`);
+    }
+
+    const reportPath = path.join(options.reportDir, 'index.html');
+    await fs.writeFile(reportPath, buildReport(results, options));
+    await fs.writeFile(path.join(options.reportDir, 'results.json'), `${JSON.stringify(results, null, 2)}\n`);
+    console.log(`\nReport written to ${path.relative(process.cwd(), reportPath)}`);
+
+    const failed = results.filter(result => result.status !== 'pass');
+    if (failed.length > 0) {
+        console.error(`❌ ${failed.length} of ${results.length} shots drifted from their baselines`);
+        return EXIT_CODES.DRIFT;
+    }
+
+    console.log(`✅ All ${results.length} shots match their baselines`);
+    return EXIT_CODES.OK;
+}
+
+// Run the script
+if (require.main === module) {
+    main().then(code => {
+        process.exitCode = code;
+    }).catch(error => {
+        console.error('❌ Comparison failed:', error.message);
+        process.exitCode = EXIT_CODES.DRIFT;
+    });
+}
+
+module.exports = {
+    parseCompareArgs,
+    compareShot,
+    buildReport,
+    EXIT_CODES
+};
@@ -0,0 +1,214 @@
+/**
+ * Live aircraft position feed for the development server
+ * Fans position reports out to server-sent event clients, fed either by
+ * POSTed live reports or by replaying a recorded position file
+ */
+
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const path = require('path');
+
+// Recorded position files served by the replay source
+const RECORDINGS_DIR = path.join(__dirname, '..', 'data', 'recordings');
+
+// Interval between keep-alive comments on idle streams
+const HEARTBEAT_INTERVAL = 15000;
+
+/**
+ * Validate a position report
+ * @param {Object} position - Position report
+ * @returns {Array<string>} List of problems, empty when the report is valid
+ */
+function validatePosition(position) {
+    const errors = [];
+
+    if (!position || typeof position !== 'object') {
+        return ['position must be a JSON object'];
+    }
+
+    const { coordinates } = position;
+    if (!Array.isArray(coordinates) || coordinates.length < 2 ||
+        !Number.isFinite(coordinates[0]) || !Number.isFinite(coordinates[1]) ||
+        Math.abs(coordinates[0]) > 180 || Math.abs(coordinates[1]) > 90) {
+        errors.push('"coordinates" must be [longitude, latitude]');
+    }
+
+    ['altitude', 'groundSpeed', 'heading', 'timestamp'].forEach(key => {
+        if (position[key] !== undefined && !Number.isFinite(position[key])) {
+            errors.push(`"${key}" must be a number`);
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Shared position channel that live reports are published to
+ */
+class PositionFeed extends EventEmitter {
+    constructor() {
+        super();
+        this.lastPosition = null;
+        this.setMaxListeners(0); // One listener per connected client
+    }
+
+    /**
+     * Publish a position report to every subscriber
+     * @param {Object} position - Position report with coordinates and optional altitude, groundSpeed, heading
+     * @returns {Object} The published report, stamped with a timestamp
+     */
+    publish(position) {
+        const errors = validatePosition(position);
+        if (errors.length > 0) {
+            throw new Error(`Invalid position: ${errors.join('; ')}`);
+        }
+
+        const report = {
+            ...position,
+            timestamp: position.timestamp !== undefined ? position.timestamp : Date.now()
+        };
+
+        this.lastPosition = report;
+        this.emit('position', report);
+        return report;
+    }
+}
+
+/**
+ * Replays a recorded position file into a feed in (accelerated) real time
+ */
+class ReplaySource {
+    /**
+     * @param {PositionFeed} feed - Feed to publish into
+     * @param {Object} recording - Parsed recording ({ positions: [{ t, coordinates, ... }] })
+     * @param {Object} options - { speed: time multiplier, loop: restart at the end }
+     */
+    constructor(feed, recording, options = {}) {
+        this.feed = feed;
+        this.positions = [...recording.positions].sort((a, b) => a.t - b.t);
+        this.speed = options.speed || 1;
+        this.loop = options.loop || false;
+        this.timer = null;
+        this.index = 0;
+        this.startedAt = null;
+    }
+
+    /**
+     * Load a recording from the recordings directory
+     * @param {string} name - Recording name, without the .json extension
+     * @returns {Object} Parsed recording
+     */
+    static load(name) {
+        // Recording names are plain identifiers so they cannot escape the directory
+        if (!/^[\w-]+$/.test(name)) {
+            throw new Error(`Invalid recording name "${name}"`);
+        }
+
+        const filePath = path.join(RECORDINGS_DIR, `${name}.json`);
+        if (!fs.existsSync(filePath)) {
+            throw new Error(`Recording "${name}" not found`);
+        }
+
+        const recording = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        if (!Array.isArray(recording.positions) || recording.positions.length === 0) {
+            throw new Error(`Recording "${name}" has no positions`);
+        }
+
+        recording.positions.forEach((position, index) => {
+            const errors = validatePosition(position);
+            if (!Number.isFinite(position.t)) {
+                errors.push('"t" must be seconds from the start of the recording');
+            }
+            if (errors.length > 0) {
+                throw new Error(`Recording "${name}" position ${index}: ${errors.join('; ')}`);
+            }
+        });
+
+        return recording;
+    }
+
+    /**
+     * Start publishing positions from the beginning of the recording
+     */
+    start() {
+        this.stop();
+        this.index = 0;
+        this.startedAt = Date.now();
+        this.scheduleNext();
+    }
+
+    /**
+     * Schedule the next position at its recorded offset
+     */
+    scheduleNext() {
+        if (this.index >= this.positions.length) {
+            if (this.loop) {
+                this.start();
+            }
+            return;
+        }
+
+        const position = this.positions[this.index];
+        const firstTime = this.positions[0].t;
+        const dueAt = this.startedAt + ((position.t - firstTime) * 1000) / this.speed;
+
+        this.timer = setTimeout(() => {
+            const { t, ...report } = position;
+            this.feed.publish({ ...report, recordedTime: t, timestamp: Date.now() });
+            this.index++;
+            this.scheduleNext();
+        }, Math.max(0, dueAt - Date.now()));
+    }
+
+    /**
+     * Stop publishing
+     */
+    stop() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+}
+
+/**
+ * Stream a feed to an HTTP client as server-sent events
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ * @param {PositionFeed} feed - Feed to subscribe to
+ * @param {Function} onClose - Called when the client disconnects
+ */
+function openEventStream(req, res, feed, onClose) {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive'
+    });
+    res.write('retry: 3000\n\n');
+
+    const send = position => {
+        res.write(`event: position\ndata: ${JSON.stringify(position)}\n\n`);
+    };
+
+    // Late subscribers start from the most recent report
+    if (feed.lastPosition) {
+        send(feed.lastPosition);
+    }
+
+    feed.on('position', send);
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        feed.off('position', send);
+        if (onClose) onClose();
+    });
+}
+
+module.exports = {
+    PositionFeed,
+    ReplaySource,
+    validatePosition,
+    openEventStream,
+    RECORDINGS_DIR
+};
@@ -0,0 +1,406 @@
+/**
+ * Tile archives for offline maps
+ * Reads vector or raster tiles from a PMTiles (v3) or MBTiles file for the
+ * development server, so the map can render without reaching Mapbox
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+// PMTiles compression and tile type codes (header bytes 97-99)
+const PMTILES_COMPRESSION = { 0: 'unknown', 1: 'none', 2: 'gzip', 3: 'brotli', 4: 'zstd' };
+const PMTILES_TILE_TYPES = { 0: 'unknown', 1: 'pbf', 2: 'png', 3: 'jpg', 4: 'webp', 5: 'avif' };
+
+// PMTiles header length, and the bytes read up front: header and root directory together
+const PMTILES_HEADER_LENGTH = 127;
+const PMTILES_INITIAL_READ = 16384;
+
+// Leaf directories kept in memory; most maps only ever need a few
+const LEAF_CACHE_SIZE = 64;
+
+// Content-Encoding for compressed tiles, sent as stored so the browser inflates them
+const CONTENT_ENCODINGS = { gzip: 'gzip', brotli: 'br' };
+
+/**
+ * Decompress a PMTiles directory or metadata block
+ * @param {Buffer} data - Stored bytes
+ * @param {string} compression - 'none', 'gzip' or 'brotli'
+ * @returns {Buffer} Decompressed bytes
+ */
+function decompress(data, compression) {
+    switch (compression) {
+        case 'none':
+        case 'unknown':
+            return data;
+        case 'gzip':
+            return zlib.gunzipSync(data);
+        case 'brotli':
+            return zlib.brotliDecompressSync(data);
+        default:
+            throw new Error(`Unsupported PMTiles compression "${compression}"`);
+    }
+}
+
+/**
+ * Position of a tile on the PMTiles Hilbert curve, counting every tile of lower zooms first
+ * @param {number} z - Zoom
+ * @param {number} x - Column
+ * @param {number} y - Row (XYZ, 0 at the top)
+ * @returns {number} Tile ID
+ */
+function zxyToTileId(z, x, y) {
+    const n = 2 ** z;
+    if (z > 26 || x < 0 || y < 0 || x >= n || y >= n) {
+        throw new Error(`Tile ${z}/${x}/${y} is out of range`);
+    }
+
+    let id = (4 ** z - 1) / 3;
+    for (let s = n / 2; s >= 1; s /= 2) {
+        const rx = (x & s) > 0 ? 1 : 0;
+        const ry = (y & s) > 0 ? 1 : 0;
+        id += s * s * ((3 * rx) ^ ry);
+
+        // Rotate the quadrant so the curve stays continuous
+        if (ry === 0) {
+            if (rx === 1) {
+                x = n - 1 - x;
+                y = n - 1 - y;
+            }
+            [x, y] = [y, x];
+        }
+    }
+    return id;
+}
+
+/**
+ * Read an unsigned LEB128 varint; values may exceed 32 bits, so no bit shifts
+ * @param {Buffer} buffer - Directory bytes
+ * @param {Object} cursor - { offset }, advanced past the varint
+ * @returns {number} Value
+ */
+function readVarint(buffer, cursor) {
+    let value = 0;
+    let factor = 1;
+    let byte;
+    do {
+        if (cursor.offset >= buffer.length) {
+            throw new Error('Truncated PMTiles directory');
+        }
+        byte = buffer[cursor.offset++];
+        value += (byte & 0x7f) * factor;
+        factor *= 128;
+    } while (byte & 0x80);
+    return value;
+}
+
+/**
+ * Decode a PMTiles directory: tile IDs, run lengths, lengths and offsets, column by column
+ * @param {Buffer} buffer - Decompressed directory
+ * @returns {Array<Object>} Entries { tileId, runLength, length, offset }, by tile ID
+ */
+function parseDirectory(buffer) {
+    const cursor = { offset: 0 };
+    const count = readVarint(buffer, cursor);
+    const entries = [];
+
+    let tileId = 0;
+    for (let index = 0; index < count; index++) {
+        tileId += readVarint(buffer, cursor);
+        entries.push({ tileId, runLength: 0, length: 0, offset: 0 });
+    }
+    entries.forEach(entry => { entry.runLength = readVarint(buffer, cursor); });
+    entries.forEach(entry => { entry.length = readVarint(buffer, cursor); });
+
+    // 0 means "right after the previous entry"; other values are offset + 1
+    entries.forEach((entry, index) => {
+        const value = readVarint(buffer, cursor);
+        entry.offset = value === 0 && index > 0
+            ? entries[index - 1].offset + entries[index - 1].length
+            : value - 1;
+    });
+
+    return entries;
+}
+
+/**
+ * Entry covering a tile ID: a run of tiles that includes it, or the leaf directory that may
+ * @param {Array<Object>} entries - Directory entries
+ * @param {number} tileId - Tile ID
+ * @returns {Object|null} Entry, or null when the tile is not in the directory
+ */
+function findEntry(entries, tileId) {
+    let low = 0;
+    let high = entries.length - 1;
+    while (low <= high) {
+        const middle = (low + high) >> 1;
+        if (entries[middle].tileId <= tileId) {
+            low = middle + 1;
+        } else {
+            high = middle - 1;
+        }
+    }
+
+    const entry = entries[high];
+    if (!entry) {
+        return null;
+    }
+    // Run length 0 marks a leaf directory, which covers the IDs up to the next entry
+    if (entry.runLength === 0 || tileId - entry.tileId < entry.runLength) {
+        return entry;
+    }
+    return null;
+}
+
+class PMTilesArchive {
+    /**
+     * @param {string} file - Path to a .pmtiles file
+     */
+    constructor(file) {
+        this.file = file;
+        this.handle = null;
+        this.header = null;
+        this.root = null;
+        this.metadata = null;
+        this.leaves = new Map();
+    }
+
+    /**
+     * Read the header, root directory and metadata
+     * @returns {Promise<PMTilesArchive>} This archive
+     */
+    async open() {
+        this.handle = await fs.promises.open(this.file, 'r');
+        const start = await this.read(0, PMTILES_INITIAL_READ);
+
+        if (start.length < PMTILES_HEADER_LENGTH || start.toString('ascii', 0, 7) !== 'PMTiles') {
+            throw new Error(`${this.file} is not a PMTiles file`);
+        }
+        if (start[7] !== 3) {
+            throw new Error(`${this.file} is PMTiles version ${start[7]}; only version 3 is supported`);
+        }
+
+        const u64 = offset => Number(start.readBigUInt64LE(offset));
+        const e7 = offset => start.readInt32LE(offset) / 1e7;
+        this.header = {
+            rootOffset: u64(8),
+            rootLength: u64(16),
+            metadataOffset: u64(24),
+            metadataLength: u64(32),
+            leafOffset: u64(40),
+            tileDataOffset: u64(56),
+            internalCompression: PMTILES_COMPRESSION[start[97]],
+            tileCompression: PMTILES_COMPRESSION[start[98]],
+            format: PMTILES_TILE_TYPES[start[99]],
+            minzoom: start[100],
+            maxzoom: start[101],
+            bounds: [e7(102), e7(106), e7(110), e7(114)],
+            center: [e7(119), e7(123), start[118]]
+        };
+
+        if (this.header.tileCompression === 'zstd') {
+            throw new Error(`${this.file} uses zstd tile compression, which browsers cannot inflate; convert it with gzip`);
+        }
+
+        const { rootOffset, rootLength, metadataOffset, metadataLength, internalCompression } = this.header;
+        const root = rootOffset + rootLength <= start.length
+            ? start.subarray(rootOffset, rootOffset + rootLength)
+            : await this.read(rootOffset, rootLength);
+        this.root = parseDirectory(decompress(root, internalCompression));
+
+        const metadata = metadataLength > 0 ? await this.read(metadataOffset, metadataLength) : null;
+        this.metadata = metadata ? JSON.parse(decompress(metadata, internalCompression).toString('utf8')) : {};
+
+        return this;
+    }
+
+    /**
+     * Read a byte range of the file
+     * @param {number} offset - First byte
+     * @param {number} length - Byte count
+     * @returns {Promise<Buffer>} Bytes read (shorter at the end of the file)
+     */
+    async read(offset, length) {
+        const buffer = Buffer.alloc(length);
+        const { bytesRead } = await this.handle.read(buffer, 0, length, offset);
+        return buffer.subarray(0, bytesRead);
+    }
+
+    /**
+     * Load a leaf directory, keeping the most recent ones in memory
+     * @param {number} offset - Offset within the leaf directory section
+     * @param {number} length - Byte count
+     * @returns {Promise<Array<Object>>} Directory entries
+     */
+    async getLeaf(offset, length) {
+        if (this.leaves.has(offset)) {
+            const leaf = this.leaves.get(offset);
+            this.leaves.delete(offset);
+            this.leaves.set(offset, leaf);
+            return leaf;
+        }
+
+        const data = await this.read(this.header.leafOffset + offset, length);
+        const leaf = parseDirectory(decompress(data, this.header.internalCompression));
+
+        this.leaves.set(offset, leaf);
+        if (this.leaves.size > LEAF_CACHE_SIZE) {
+            this.leaves.delete(this.leaves.keys().next().value);
+        }
+        return leaf;
+    }
+
+    /**
+     * Read one tile
+     * @param {number} z - Zoom
+     * @param {number} x - Column
+     * @param {number} y - Row (XYZ)
+     * @returns {Promise<Object|null>} { data, encoding } (encoding: Content-Encoding or null), or null when the archive has no such tile
+     */
+    async getTile(z, x, y) {
+        const tileId = zxyToTileId(z, x, y);
+
+        // The spec allows at most three levels of leaf directories
+        let entries = this.root;
+        for (let depth = 0; depth < 4; depth++) {
+            const entry = findEntry(entries, tileId);
+            if (!entry) {
+                return null;
+            }
+            if (entry.runLength > 0) {
+                const data = await this.read(this.header.tileDataOffset + entry.offset, entry.length);
+                return { data, encoding: CONTENT_ENCODINGS[this.header.tileCompression] || null };
+            }
+            entries = await this.getLeaf(entry.offset, entry.length);
+        }
+        throw new Error(`${this.file} nests leaf directories too deeply`);
+    }
+
+    /**
+     * Zoom range, extent and layers of the tileset
+     * @returns {Object} { format, minzoom, maxzoom, bounds, center, name, attribution, vector_layers }
+     */
+    getInfo() {
+        const { format, minzoom, maxzoom, bounds, center } = this.header;
+        const { name, attribution, vector_layers: vectorLayers } = this.metadata;
+        return { format, minzoom, maxzoom, bounds, center, name, attribution, vector_layers: vectorLayers };
+    }
+
+    /**
+     * Release the file handle
+     */
+    async close() {
+        if (this.handle) {
+            await this.handle.close();
+            this.handle = null;
+        }
+    }
+}
+
+class MBTilesArchive {
+    /**
+     * @param {string} file - Path to a .mbtiles file
+     */
+    constructor(file) {
+        this.file = file;
+        this.db = null;
+        this.metadata = {};
+        this.statement = null;
+    }
+
+    /**
+     * Open the SQLite database and read its metadata table.
+     * Uses node:sqlite, which ships with Node.js 22.5 and later.
+     * @returns {Promise<MBTilesArchive>} This archive
+     */
+    async open() {
+        let sqlite;
+        try {
+            sqlite = require('node:sqlite');
+        } catch (error) {
+            throw new Error(`Reading ${path.basename(this.file)} needs node:sqlite (Node.js 22.5 or later); ` +
+                'use a PMTiles file on this Node.js version');
+        }
+
+        this.db = new sqlite.DatabaseSync(this.file, { readOnly: true });
+        this.db.prepare('SELECT name, value FROM metadata').all().forEach(({ name, value }) => {
+            this.metadata[name] = value;
+        });
+        this.statement = this.db.prepare(
+            'SELECT tile_data FROM tiles WHERE zoom_level = ? AND tile_column = ? AND tile_row = ?'
+        );
+        return this;
+    }
+
+    /**
+     * Read one tile
+     * @param {number} z - Zoom
+     * @param {number} x - Column
+     * @param {number} y - Row (XYZ; MBTiles stores TMS rows, counted from the bottom)
+     * @returns {Promise<Object|null>} { data, encoding }, or null when the archive has no such tile
+     */
+    async getTile(z, x, y) {
+        const row = this.statement.get(z, x, 2 ** z - 1 - y);
+        if (!row) {
+            return null;
+        }
+
+        const data = Buffer.from(row.tile_data);
+        // Vector tiles in MBTiles are usually gzipped, but the format does not say
+        const gzipped = data[0] === 0x1f && data[1] === 0x8b;
+        return { data, encoding: gzipped ? 'gzip' : null };
+    }
+
+    /**
+     * Zoom range, extent and layers of the tileset
+     * @returns {Object} { format, minzoom, maxzoom, bounds, center, name, attribution, vector_layers }
+     */
+    getInfo() {
+        const { format, minzoom, maxzoom, bounds, center, name, attribution, json } = this.metadata;
+        const numbers = value => (value ? value.split(',').map(Number) : undefined);
+        return {
+            format: format === 'jpeg' ? 'jpg' : format,
+            minzoom: minzoom !== undefined ? Number(minzoom) : 0,
+            maxzoom: maxzoom !== undefined ? Number(maxzoom) : 14,
+            bounds: numbers(bounds),
+            center: numbers(center),
+            name,
+            attribution,
+            vector_layers: json ? JSON.parse(json).vector_layers : undefined
+        };
+    }
+
+    /**
+     * Close the database
+     */
+    async close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+}
+
+/**
+ * Open a tile archive by its extension
+ * @param {string} file - Path to a .pmtiles or .mbtiles file
+ * @returns {Promise<PMTilesArchive|MBTilesArchive>} Open archive
+ */
+async function openTileArchive(file) {
+    const extension = path.extname(file).toLowerCase();
+    if (extension === '.pmtiles') {
+        return new PMTilesArchive(file).open();
+    }
+    if (extension === '.mbtiles') {
+        return new MBTilesArchive(file).open();
+    }
+    throw new Error(`Unsupported tile archive "${path.basename(file)}" (expected .pmtiles or .mbtiles)`);
+}
+
+module.exports = {
+    PMTilesArchive,
+    MBTilesArchive,
+    openTileArchive,
+    zxyToTileId,
+    parseDirectory
+};
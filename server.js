@@ -10,17 +10,36 @@ const http = require('http');
 const fs = require('fs');
 const path = require('path');
 const url = require('url');
+const { PositionFeed, ReplaySource, validatePosition, openEventStream } = require('./lib/position-feed');
+const { openTileArchive } = require('./lib/tile-archive');
 
 // Configuration
 const PORT = process.env.PORT || 3000;
 const PUBLIC_DIR = path.join(__dirname, 'src');
 
+// Offline maps: local style, glyphs and sprites, and the tile archive (default: the first
+// .pmtiles or .mbtiles file in OFFLINE_DIR)
+const OFFLINE_DIR = process.env.OFFLINE_DIR ? path.resolve(process.env.OFFLINE_DIR) : path.join(__dirname, 'offline');
+const OFFLINE_TILES = process.env.OFFLINE_TILES ? path.resolve(process.env.OFFLINE_TILES) : null;
+
+// Tile content types by tileset format
+const TILE_TYPES = {
+    pbf: 'application/x-protobuf',
+    png: 'image/png',
+    jpg: 'image/jpeg',
+    webp: 'image/webp',
+    avif: 'image/avif'
+};
+
 // MIME types
 const MIME_TYPES = {
     '.html': 'text/html',
     '.js': 'application/javascript',
     '.css': 'text/css',
     '.json': 'application/json',
+    '.pbf': 'application/x-protobuf',
+    '.geojson': 'application/geo+json',
+    '.csv': 'text/csv',
     '.png': 'image/png',
     '.jpg': 'image/jpeg',
     '.jpeg': 'image/jpeg',
@@ -33,93 +52,478 @@ const MIME_TYPES = {
     '.eot': 'application/vnd.ms-fontobject'
 };
 
-// Create HTTP server
-const server = http.createServer((req, res) => {
+// Live position reports POSTed to the server are fanned out through this feed
+const liveFeed = new PositionFeed();
+
+// Largest accepted position POST body
+const MAX_BODY_SIZE = 1024 * 1024;
+
+// Tile archive, opened on the first tile request
+let tileArchive = null;
+
+// Whether the missing-glyphs warning was already logged
+let glyphWarningShown = false;
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status code
+ * @param {Object} body - Response body
+ */
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Stream aircraft positions to the client as server-sent events
+ * ?source=replay&recording=<name>&speed=<n>&loop=1 replays a recording for this client only;
+ * otherwise the client receives the shared live feed
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ * @param {Object} query - Parsed query string
+ */
+function handlePositionStream(req, res, query) {
+    if (query.source !== 'replay') {
+        openEventStream(req, res, liveFeed);
+        return;
+    }
+
+    const speed = parseFloat(query.speed) || 1;
+    if (speed <= 0) {
+        sendJson(res, 400, { error: `Invalid replay speed "${query.speed}"` });
+        return;
+    }
+
+    let recording;
     try {
-        // Parse URL
-        const parsedUrl = url.parse(req.url);
-        let pathname = parsedUrl.pathname;
-        
-        // Default to index.html
-        if (pathname === '/') {
-            pathname = '/index.html';
+        recording = ReplaySource.load(query.recording || 'cvg-mco');
+    } catch (error) {
+        sendJson(res, 404, { error: error.message });
+        return;
+    }
+
+    const replayFeed = new PositionFeed();
+    const replay = new ReplaySource(replayFeed, recording, { speed, loop: query.loop === '1' });
+
+    openEventStream(req, res, replayFeed, () => replay.stop());
+    replay.start();
+    console.log(`▶️  Replaying "${query.recording || 'cvg-mco'}" at ${speed}x`);
+}
+
+/**
+ * Accept one position report or an array of reports and publish them to the live feed
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ */
+function handlePositionPost(req, res) {
+    let body = '';
+
+    const handleData = chunk => {
+        body += chunk;
+        if (body.length > MAX_BODY_SIZE) {
+            // Stop reading and close the connection once the 413 has been written
+            req.off('data', handleData);
+            req.pause();
+            res.setHeader('Connection', 'close');
+            sendJson(res, 413, { error: 'Request body too large' });
+        }
+    };
+    req.on('data', handleData);
+
+    req.on('end', () => {
+        if (res.writableEnded) return;
+
+        let positions;
+        try {
+            const payload = JSON.parse(body);
+            positions = Array.isArray(payload) ? payload : [payload];
+        } catch (error) {
+            sendJson(res, 400, { error: error.message });
+            return;
+        }
+
+        // Reject the whole request before publishing any of it
+        const errors = [];
+        positions.forEach((position, index) => {
+            const problems = validatePosition(position);
+            if (problems.length > 0) {
+                errors.push(`${positions.length > 1 ? `position ${index}` : 'position'}: ${problems.join('; ')}`);
+            }
+        });
+        if (errors.length > 0) {
+            sendJson(res, 400, { error: `Invalid ${errors.join('; ')}` });
+            return;
+        }
+
+        positions.forEach(position => liveFeed.publish(position));
+        sendJson(res, 202, { accepted: positions.length });
+    });
+}
+
+/**
+ * Stream a file with its content type, or answer 404 when it does not exist
+ * @param {http.ServerResponse} res - Response
+ * @param {string|null} filePath - File to send
+ */
+function serveFile(res, filePath) {
+    if (!filePath || !fs.existsSync(filePath) || fs.statSync(filePath).isDirectory()) {
+        res.writeHead(404, { 'Content-Type': 'text/plain' });
+        res.end('404 Not Found');
+        return;
+    }
+    
+    // Get file extension
+    const ext = path.extname(filePath).toLowerCase();
+    const contentType = MIME_TYPES[ext] || 'application/octet-stream';
+    
+    res.writeHead(200, { 
+        'Content-Type': contentType,
+        'Cache-Control': 'no-cache, no-store, must-revalidate',
+        'Pragma': 'no-cache',
+        'Expires': '0'
+    });
+    
+    fs.createReadStream(filePath).pipe(res);
+}
+
+/**
+ * Resolve a request path inside a directory, refusing paths that climb out of it
+ * @param {string} root - Directory served
+ * @param {string} relativePath - Decoded path below the route prefix
+ * @returns {string|null} File path, or null when it lies outside root
+ */
+function resolveInside(root, relativePath) {
+    const filePath = path.join(root, relativePath);
+    return filePath.startsWith(root + path.sep) ? filePath : null;
+}
+
+/**
+ * Directory of the installed Mapbox GL JS bundle
+ * @returns {string|null} node_modules/mapbox-gl/dist, or null when the package is not installed
+ */
+function getMapboxGlDir() {
+    try {
+        return path.join(path.dirname(require.resolve('mapbox-gl/package.json')), 'dist');
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Open the tile archive (OFFLINE_TILES, or the first one found in OFFLINE_DIR) once
+ * @returns {Promise<PMTilesArchive|MBTilesArchive>} Open archive
+ */
+function getTileArchive() {
+    if (!tileArchive) {
+        let file = OFFLINE_TILES;
+        if (!file) {
+            const found = fs.existsSync(OFFLINE_DIR)
+                ? fs.readdirSync(OFFLINE_DIR).sort().find(name => /\.(pmtiles|mbtiles)$/i.test(name))
+                : null;
+            file = found ? path.join(OFFLINE_DIR, found) : null;
         }
         
-        // Resolve file path
-        const filePath = path.join(PUBLIC_DIR, pathname);
+        tileArchive = file
+            ? openTileArchive(file).then(archive => {
+                console.log(`🗺️  Offline tiles: ${path.relative(__dirname, file)}`);
+                return archive;
+            })
+            : Promise.reject(new Error(`No tile archive: set OFFLINE_TILES or put a .pmtiles or .mbtiles file in ${OFFLINE_DIR}`));
         
-        // Check if file exists
-        if (!fs.existsSync(filePath)) {
-            res.writeHead(404, { 'Content-Type': 'text/plain' });
-            res.end('404 Not Found');
+        // Let a later request retry, e.g. after the file has been copied in
+        tileArchive.catch(() => { tileArchive = null; });
+    }
+    return tileArchive;
+}
+
+/**
+ * Origin the browser reached the server on, for URLs that GL JS loads from its workers
+ * @param {http.IncomingMessage} req - Request
+ * @returns {string} e.g. http://localhost:3000
+ */
+function getOrigin(req) {
+    return `http://${req.headers.host || `localhost:${PORT}`}`;
+}
+
+/**
+ * Serve the local style with its root-relative glyph, sprite and source URLs made absolute
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ */
+function handleOfflineStyle(req, res) {
+    let style;
+    try {
+        style = JSON.parse(fs.readFileSync(path.join(OFFLINE_DIR, 'style.json'), 'utf8'));
+    } catch (error) {
+        sendJson(res, 404, { error: `Offline style not available: ${error.message}` });
+        return;
+    }
+    
+    const origin = getOrigin(req);
+    const absolute = value => (typeof value === 'string' && value.startsWith('/') ? `${origin}${value}` : value);
+    
+    style.glyphs = absolute(style.glyphs);
+    style.sprite = absolute(style.sprite);
+    Object.values(style.sources || {}).forEach(source => {
+        source.url = absolute(source.url);
+        if (Array.isArray(source.tiles)) {
+            source.tiles = source.tiles.map(absolute);
+        }
+    });
+    
+    sendJson(res, 200, style);
+}
+
+/**
+ * Serve TileJSON for the tile archive
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ */
+async function handleOfflineTileJson(req, res) {
+    try {
+        const info = (await getTileArchive()).getInfo();
+        sendJson(res, 200, {
+            tilejson: '3.0.0',
+            ...info,
+            tiles: [`${getOrigin(req)}/offline/tiles/{z}/{x}/{y}.${info.format || 'pbf'}`]
+        });
+    } catch (error) {
+        sendJson(res, 404, { error: error.message });
+    }
+}
+
+/**
+ * Serve one tile from the archive. Tiles the archive does not have are empty (204),
+ * which GL JS draws as blank rather than reporting an error.
+ * @param {http.ServerResponse} res - Response
+ * @param {Array<string>} zxy - Zoom, column and row from the path
+ */
+async function handleOfflineTile(res, zxy) {
+    try {
+        const [z, x, y] = zxy.map(Number);
+        const archive = await getTileArchive();
+        const tile = await archive.getTile(z, x, y);
+        
+        if (!tile) {
+            res.writeHead(204);
+            res.end();
             return;
         }
         
-        // Get file stats
-        const stat = fs.statSync(filePath);
+        res.writeHead(200, {
+            'Content-Type': TILE_TYPES[archive.getInfo().format] || 'application/octet-stream',
+            ...(tile.encoding ? { 'Content-Encoding': tile.encoding } : {}),
+            'Cache-Control': 'public, max-age=3600'
+        });
+        res.end(tile.data);
+    } catch (error) {
+        sendJson(res, 404, { error: error.message });
+    }
+}
+
+/**
+ * Serve a glyph range. GL JS asks for a font stack ("DIN Pro Medium,Arial Unicode MS Bold");
+ * the first font of the stack found in OFFLINE_DIR/fonts is sent, else any font that is there,
+ * else an empty range so labels are left out instead of failing the map.
+ * @param {http.ServerResponse} res - Response
+ * @param {string} fontstack - Comma-separated font names
+ * @param {string} range - e.g. 0-255
+ */
+function handleOfflineGlyphs(res, fontstack, range) {
+    const fontsDir = path.join(OFFLINE_DIR, 'fonts');
+    const available = fs.existsSync(fontsDir) ? fs.readdirSync(fontsDir).sort() : [];
+    const font = fontstack.split(',').map(name => name.trim()).find(name => available.includes(name)) || available[0];
+    const filePath = font ? resolveInside(fontsDir, path.join(font, `${range}.pbf`)) : null;
+    
+    if (filePath && fs.existsSync(filePath)) {
+        serveFile(res, filePath);
+        return;
+    }
+    
+    if (!glyphWarningShown) {
+        console.warn(`⚠️  No glyphs for "${fontstack}" in ${fontsDir}; map labels are left out`);
+        glyphWarningShown = true;
+    }
+    res.writeHead(200, { 'Content-Type': 'application/x-protobuf' });
+    res.end();
+}
+
+/**
+ * Serve the offline map routes: style, TileJSON, tiles, glyphs and sprites
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ * @param {string} pathname - Decoded path below /offline/
+ */
+function handleOfflineRequest(req, res, pathname) {
+    let match;
+    if (pathname === 'style.json') {
+        handleOfflineStyle(req, res);
+    } else if (pathname === 'tiles.json') {
+        handleOfflineTileJson(req, res);
+    } else if ((match = pathname.match(/^tiles\/(\d+)\/(\d+)\/(\d+)\.\w+$/))) {
+        handleOfflineTile(res, match.slice(1));
+    } else if ((match = pathname.match(/^fonts\/([^/]+)\/(\d+-\d+)\.pbf$/))) {
+        handleOfflineGlyphs(res, match[1], match[2]);
+    } else if (pathname.startsWith('sprites/')) {
+        const filePath = resolveInside(path.join(OFFLINE_DIR, 'sprites'), pathname.slice('sprites/'.length));
+        serveFile(res, filePath);
+    } else {
+        res.writeHead(404, { 'Content-Type': 'text/plain' });
+        res.end('404 Not Found');
+    }
+}
+
+/**
+ * Serve the API routes and static files
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ */
+function handleRequest(req, res) {
+    try {
+        // Parse URL
+        const parsedUrl = url.parse(req.url, true);
+        let pathname = parsedUrl.pathname;
         
-        // Check if it's a directory
-        if (stat.isDirectory()) {
-            res.writeHead(404, { 'Content-Type': 'text/plain' });
-            res.end('404 Not Found');
+        // Live position API
+        if (pathname === '/api/positions/stream' && req.method === 'GET') {
+            handlePositionStream(req, res, parsedUrl.query);
+            return;
+        }
+        if (pathname === '/api/positions') {
+            if (req.method === 'POST') {
+                handlePositionPost(req, res);
+            } else {
+                res.writeHead(405, { 'Allow': 'POST', 'Content-Type': 'text/plain' });
+                res.end('405 Method Not Allowed');
+            }
             return;
         }
         
-        // Get file extension
-        const ext = path.extname(filePath).toLowerCase();
-        const contentType = MIME_TYPES[ext] || 'application/octet-stream';
+        // Offline maps (font stacks in glyph URLs are percent-encoded)
+        if (pathname.startsWith('/offline/')) {
+            let offlinePath;
+            try {
+                offlinePath = decodeURIComponent(pathname.slice('/offline/'.length));
+            } catch (error) {
+                sendJson(res, 400, { error: `Malformed URL: ${pathname}` });
+                return;
+            }
+            handleOfflineRequest(req, res, offlinePath);
+            return;
+        }
         
-        // Read and serve file
-        const fileStream = fs.createReadStream(filePath);
+        // Mapbox GL JS bundle from node_modules, so the page does not need the CDN
+        if (pathname.startsWith('/vendor/mapbox-gl/')) {
+            const glDir = getMapboxGlDir();
+            serveFile(res, glDir && resolveInside(glDir, pathname.slice('/vendor/mapbox-gl/'.length)));
+            return;
+        }
         
-        res.writeHead(200, { 
-            'Content-Type': contentType,
-            'Cache-Control': 'no-cache, no-store, must-revalidate',
-            'Pragma': 'no-cache',
-            'Expires': '0'
-        });
+        // Default to index.html
+        if (pathname === '/') {
+            pathname = '/index.html';
+        }
         
-        fileStream.pipe(res);
+        // Resolve file path and serve the file
+        serveFile(res, path.join(PUBLIC_DIR, pathname));
         
     } catch (error) {
         console.error('Server error:', error);
         res.writeHead(500, { 'Content-Type': 'text/plain' });
         res.end('500 Internal Server Error');
     }
-});
+}
+
+/**
+ * Create the HTTP server without starting it
+ * @returns {http.Server} Server
+ */
+function createServer() {
+    return http.createServer(handleRequest);
+}
+
+/**
+ * Create the HTTP server and start listening
+ * @param {number} port - Port to listen on; 0 picks a free port
+ * @returns {Promise<http.Server>} Listening server (see server.address().port)
+ */
+function startServer(port = PORT) {
+    return new Promise((resolve, reject) => {
+        const server = createServer();
+        server.once('error', reject);
+        server.listen(port, () => {
+            server.off('error', reject);
+            resolve(server);
+        });
+    });
+}
+
+/**
+ * Stop a server started with startServer(), closing open position streams and the tile archive
+ * @param {http.Server} server - Server to stop
+ * @returns {Promise<void>} Resolves once the server has closed
+ */
+function stopServer(server) {
+    return new Promise(resolve => {
+        server.close(() => resolve());
+        // Position streams never end on their own
+        server.closeAllConnections();
+        
+        if (tileArchive) {
+            tileArchive.then(archive => archive.close()).catch(() => {});
+            tileArchive = null;
+        }
+    });
+}
+
+module.exports = {
+    createServer,
+    startServer,
+    stopServer,
+    PUBLIC_DIR
+};
 
-// Start server
-server.listen(PORT, () => {
-    console.log(`🚀 Development server running at http://localhost:${PORT}`);
-    console.log(`📁 Serving files from: ${PUBLIC_DIR}`);
-    console.log(`🔧 Environment: ${process.env.NODE_ENV || 'development'}`);
+// Run the development server when started directly (npm run dev)
+if (require.main === module) {
+    startServer(PORT).then(server => {
+        const { port } = server.address();
+        console.log(`🚀 Development server running at http://localhost:${port}`);
+        console.log(`📁 Serving files from: ${PUBLIC_DIR}`);
+        console.log(`📡 Live positions: GET /api/positions/stream, POST /api/positions`);
+        console.log(`🗺️  Offline maps: /offline/style.json from ${OFFLINE_DIR} (open the app with ?offline)`);
+        console.log(`🔧 Environment: ${process.env.NODE_ENV || 'development'}`);
+        
+        // Check if Mapbox token is configured
+        if (process.env.MAPBOX_ACCESS_TOKEN && process.env.MAPBOX_ACCESS_TOKEN !== 'YOUR_MAPBOX_ACCESS_TOKEN_HERE') {
+            console.log(`✅ Mapbox access token configured`);
+        } else {
+            console.log(`⚠️  Mapbox access token not configured. Please set MAPBOX_ACCESS_TOKEN in your .env file.`);
+        }
+        
+        console.log(`\nPress Ctrl+C to stop the server`);
+        
+        // Handle graceful shutdown
+        process.on('SIGINT', () => {
+            console.log('\n🛑 Shutting down server...');
+            stopServer(server).then(() => {
+                console.log('✅ Server stopped');
+                process.exit(0);
+            });
+        });
+    }).catch(error => {
+        console.error(`❌ Could not start server on port ${PORT}:`, error.message);
+        process.exit(1);
+    });
     
-    // Check if Mapbox token is configured
-    if (process.env.MAPBOX_ACCESS_TOKEN && process.env.MAPBOX_ACCESS_TOKEN !== 'YOUR_MAPBOX_ACCESS_TOKEN_HERE') {
-        console.log(`✅ Mapbox access token configured`);
-    } else {
-        console.log(`⚠️  Mapbox access token not configured. Please set MAPBOX_ACCESS_TOKEN in your .env file.`);
-    }
+    // Handle uncaught exceptions
+    process.on('uncaughtException', (error) => {
+        console.error('Uncaught Exception:', error);
+        process.exit(1);
+    });
     
-    console.log(`\nPress Ctrl+C to stop the server`);
-});
-
-// Handle graceful shutdown
-process.on('SIGINT', () => {
-    console.log('\n🛑 Shutting down server...');
-    server.close(() => {
-        console.log('✅ Server stopped');
-        process.exit(0);
+    process.on('unhandledRejection', (reason, promise) => {
+        console.error('Unhandled Rejection at:', promise, 'reason:', reason);
+        process.exit(1);
     });
-});
-
-// Handle uncaught exceptions
-process.on('uncaughtException', (error) => {
-    console.error('Uncaught Exception:', error);
-    process.exit(1);
-});
-
-process.on('unhandledRejection', (reason, promise) => {
-    console.error('Unhandled Rejection at:', promise, 'reason:', reason);
-    process.exit(1);
-}); 
\ No newline at end of file
+}
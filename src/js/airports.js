@@ -0,0 +1,200 @@
+/**
+ * Offline airport database for Mapbox Flight Path Visualization
+ * Bundled airport records with IATA/ICAO lookup, usable in the browser and Node.js
+ */
+
+// Airport records:
+// [IATA, ICAO, name, city, country, latitude, longitude, elevation (ft), timezone]
+const AIRPORT_DATA = [
+    // United States
+    ['ANC', 'PANC', 'Ted Stevens Anchorage International Airport', 'Anchorage', 'US', 61.1743, -149.9963, 152, 'America/Anchorage'],
+    ['ATL', 'KATL', 'Hartsfield-Jackson Atlanta International Airport', 'Atlanta', 'US', 33.6407, -84.4277, 1026, 'America/New_York'],
+    ['AUS', 'KAUS', 'Austin-Bergstrom International Airport', 'Austin', 'US', 30.1975, -97.6664, 542, 'America/Chicago'],
+    ['BNA', 'KBNA', 'Nashville International Airport', 'Nashville', 'US', 36.1263, -86.6774, 599, 'America/Chicago'],
+    ['BOS', 'KBOS', 'General Edward Lawrence Logan International Airport', 'Boston', 'US', 42.3656, -71.0096, 20, 'America/New_York'],
+    ['BWI', 'KBWI', 'Baltimore/Washington International Thurgood Marshall Airport', 'Baltimore', 'US', 39.1754, -76.6683, 146, 'America/New_York'],
+    ['CLE', 'KCLE', 'Cleveland Hopkins International Airport', 'Cleveland', 'US', 41.4117, -81.8498, 791, 'America/New_York'],
+    ['CLT', 'KCLT', 'Charlotte Douglas International Airport', 'Charlotte', 'US', 35.2140, -80.9431, 748, 'America/New_York'],
+    ['CMH', 'KCMH', 'John Glenn Columbus International Airport', 'Columbus', 'US', 39.9980, -82.8919, 815, 'America/New_York'],
+    ['CVG', 'KCVG', 'Cincinnati/Northern Kentucky International Airport', 'Cincinnati', 'US', 39.0458, -84.6627, 896, 'America/New_York'],
+    ['DCA', 'KDCA', 'Ronald Reagan Washington National Airport', 'Washington', 'US', 38.8512, -77.0402, 15, 'America/New_York'],
+    ['DEN', 'KDEN', 'Denver International Airport', 'Denver', 'US', 39.8561, -104.6737, 5434, 'America/Denver'],
+    ['DFW', 'KDFW', 'Dallas/Fort Worth International Airport', 'Dallas-Fort Worth', 'US', 32.8998, -97.0403, 607, 'America/Chicago'],
+    ['DTW', 'KDTW', 'Detroit Metropolitan Wayne County Airport', 'Detroit', 'US', 42.2162, -83.3554, 645, 'America/Detroit'],
+    ['EWR', 'KEWR', 'Newark Liberty International Airport', 'Newark', 'US', 40.6895, -74.1745, 18, 'America/New_York'],
+    ['FLL', 'KFLL', 'Fort Lauderdale-Hollywood International Airport', 'Fort Lauderdale', 'US', 26.0742, -80.1506, 9, 'America/New_York'],
+    ['HNL', 'PHNL', 'Daniel K. Inouye International Airport', 'Honolulu', 'US', 21.3187, -157.9225, 13, 'Pacific/Honolulu'],
+    ['IAD', 'KIAD', 'Washington Dulles International Airport', 'Washington', 'US', 38.9531, -77.4565, 313, 'America/New_York'],
+    ['IAH', 'KIAH', 'George Bush Intercontinental Airport', 'Houston', 'US', 29.9902, -95.3368, 97, 'America/Chicago'],
+    ['IND', 'KIND', 'Indianapolis International Airport', 'Indianapolis', 'US', 39.7173, -86.2944, 797, 'America/Indiana/Indianapolis'],
+    ['JFK', 'KJFK', 'John F. Kennedy International Airport', 'New York', 'US', 40.6413, -73.7781, 13, 'America/New_York'],
+    ['LAS', 'KLAS', 'Harry Reid International Airport', 'Las Vegas', 'US', 36.0840, -115.1537, 2181, 'America/Los_Angeles'],
+    ['LAX', 'KLAX', 'Los Angeles International Airport', 'Los Angeles', 'US', 33.9416, -118.4085, 125, 'America/Los_Angeles'],
+    ['LGA', 'KLGA', 'LaGuardia Airport', 'New York', 'US', 40.7769, -73.8740, 21, 'America/New_York'],
+    ['MCO', 'KMCO', 'Orlando International Airport', 'Orlando', 'US', 28.4312, -81.3792, 96, 'America/New_York'],
+    ['MDW', 'KMDW', 'Chicago Midway International Airport', 'Chicago', 'US', 41.7868, -87.7522, 620, 'America/Chicago'],
+    ['MIA', 'KMIA', 'Miami International Airport', 'Miami', 'US', 25.7959, -80.2870, 8, 'America/New_York'],
+    ['MSP', 'KMSP', 'Minneapolis-Saint Paul International Airport', 'Minneapolis', 'US', 44.8848, -93.2223, 841, 'America/Chicago'],
+    ['MSY', 'KMSY', 'Louis Armstrong New Orleans International Airport', 'New Orleans', 'US', 29.9934, -90.2580, 4, 'America/Chicago'],
+    ['ORD', 'KORD', "Chicago O'Hare International Airport", 'Chicago', 'US', 41.9742, -87.9073, 672, 'America/Chicago'],
+    ['PDX', 'KPDX', 'Portland International Airport', 'Portland', 'US', 45.5898, -122.5951, 31, 'America/Los_Angeles'],
+    ['PHL', 'KPHL', 'Philadelphia International Airport', 'Philadelphia', 'US', 39.8744, -75.2424, 36, 'America/New_York'],
+    ['PHX', 'KPHX', 'Phoenix Sky Harbor International Airport', 'Phoenix', 'US', 33.4342, -112.0116, 1135, 'America/Phoenix'],
+    ['PIT', 'KPIT', 'Pittsburgh International Airport', 'Pittsburgh', 'US', 40.4915, -80.2329, 1203, 'America/New_York'],
+    ['RDU', 'KRDU', 'Raleigh-Durham International Airport', 'Raleigh', 'US', 35.8801, -78.7880, 435, 'America/New_York'],
+    ['SAN', 'KSAN', 'San Diego International Airport', 'San Diego', 'US', 32.7338, -117.1933, 17, 'America/Los_Angeles'],
+    ['SDF', 'KSDF', 'Louisville Muhammad Ali International Airport', 'Louisville', 'US', 38.1744, -85.7360, 501, 'America/Kentucky/Louisville'],
+    ['SEA', 'KSEA', 'Seattle-Tacoma International Airport', 'Seattle', 'US', 47.4502, -122.3088, 433, 'America/Los_Angeles'],
+    ['SFO', 'KSFO', 'San Francisco International Airport', 'San Francisco', 'US', 37.6213, -122.3790, 13, 'America/Los_Angeles'],
+    ['SLC', 'KSLC', 'Salt Lake City International Airport', 'Salt Lake City', 'US', 40.7899, -111.9791, 4227, 'America/Denver'],
+    ['STL', 'KSTL', 'St. Louis Lambert International Airport', 'St. Louis', 'US', 38.7487, -90.3700, 618, 'America/Chicago'],
+    ['TPA', 'KTPA', 'Tampa International Airport', 'Tampa', 'US', 27.9755, -82.5332, 26, 'America/New_York'],
+
+    // Canada and Mexico
+    ['CUN', 'MMUN', 'Cancún International Airport', 'Cancún', 'MX', 21.0365, -86.8771, 22, 'America/Cancun'],
+    ['MEX', 'MMMX', 'Mexico City International Airport', 'Mexico City', 'MX', 19.4361, -99.0719, 7316, 'America/Mexico_City'],
+    ['YUL', 'CYUL', 'Montréal-Trudeau International Airport', 'Montréal', 'CA', 45.4706, -73.7408, 118, 'America/Toronto'],
+    ['YVR', 'CYVR', 'Vancouver International Airport', 'Vancouver', 'CA', 49.1967, -123.1815, 14, 'America/Vancouver'],
+    ['YYC', 'CYYC', 'Calgary International Airport', 'Calgary', 'CA', 51.1215, -114.0076, 3606, 'America/Edmonton'],
+    ['YYZ', 'CYYZ', 'Toronto Pearson International Airport', 'Toronto', 'CA', 43.6777, -79.6248, 569, 'America/Toronto'],
+
+    // South America
+    ['BOG', 'SKBO', 'El Dorado International Airport', 'Bogotá', 'CO', 4.7016, -74.1469, 8361, 'America/Bogota'],
+    ['EZE', 'SAEZ', 'Ministro Pistarini International Airport', 'Buenos Aires', 'AR', -34.8222, -58.5358, 67, 'America/Argentina/Buenos_Aires'],
+    ['GRU', 'SBGR', 'São Paulo/Guarulhos International Airport', 'São Paulo', 'BR', -23.4356, -46.4731, 2459, 'America/Sao_Paulo'],
+    ['LIM', 'SPJC', 'Jorge Chávez International Airport', 'Lima', 'PE', -12.0219, -77.1143, 113, 'America/Lima'],
+    ['SCL', 'SCEL', 'Arturo Merino Benítez International Airport', 'Santiago', 'CL', -33.3930, -70.7858, 1555, 'America/Santiago'],
+
+    // Europe
+    ['AMS', 'EHAM', 'Amsterdam Airport Schiphol', 'Amsterdam', 'NL', 52.3105, 4.7683, -11, 'Europe/Amsterdam'],
+    ['BCN', 'LEBL', 'Josep Tarradellas Barcelona-El Prat Airport', 'Barcelona', 'ES', 41.2974, 2.0833, 12, 'Europe/Madrid'],
+    ['CDG', 'LFPG', 'Paris Charles de Gaulle Airport', 'Paris', 'FR', 49.0097, 2.5479, 392, 'Europe/Paris'],
+    ['CPH', 'EKCH', 'Copenhagen Airport', 'Copenhagen', 'DK', 55.6180, 12.6508, 17, 'Europe/Copenhagen'],
+    ['DUB', 'EIDW', 'Dublin Airport', 'Dublin', 'IE', 53.4264, -6.2499, 242, 'Europe/Dublin'],
+    ['FCO', 'LIRF', 'Leonardo da Vinci-Fiumicino Airport', 'Rome', 'IT', 41.8003, 12.2389, 13, 'Europe/Rome'],
+    ['FRA', 'EDDF', 'Frankfurt Airport', 'Frankfurt', 'DE', 50.0379, 8.5622, 364, 'Europe/Berlin'],
+    ['HEL', 'EFHK', 'Helsinki Airport', 'Helsinki', 'FI', 60.3172, 24.9633, 179, 'Europe/Helsinki'],
+    ['IST', 'LTFM', 'Istanbul Airport', 'Istanbul', 'TR', 41.2753, 28.7519, 325, 'Europe/Istanbul'],
+    ['KEF', 'BIKF', 'Keflavík International Airport', 'Reykjavík', 'IS', 63.9850, -22.6056, 171, 'Atlantic/Reykjavik'],
+    ['LGW', 'EGKK', 'London Gatwick Airport', 'London', 'GB', 51.1537, -0.1821, 202, 'Europe/London'],
+    ['LHR', 'EGLL', 'London Heathrow Airport', 'London', 'GB', 51.4700, -0.4543, 83, 'Europe/London'],
+    ['LIS', 'LPPT', 'Humberto Delgado Airport', 'Lisbon', 'PT', 38.7742, -9.1342, 374, 'Europe/Lisbon'],
+    ['MAD', 'LEMD', 'Adolfo Suárez Madrid-Barajas Airport', 'Madrid', 'ES', 40.4983, -3.5676, 1998, 'Europe/Madrid'],
+    ['MUC', 'EDDM', 'Munich Airport', 'Munich', 'DE', 48.3537, 11.7750, 1487, 'Europe/Berlin'],
+    ['OSL', 'ENGM', 'Oslo Airport, Gardermoen', 'Oslo', 'NO', 60.1976, 11.1004, 681, 'Europe/Oslo'],
+    ['ZRH', 'LSZH', 'Zurich Airport', 'Zurich', 'CH', 47.4582, 8.5555, 1416, 'Europe/Zurich'],
+
+    // Middle East and Africa
+    ['CAI', 'HECA', 'Cairo International Airport', 'Cairo', 'EG', 30.1219, 31.4056, 382, 'Africa/Cairo'],
+    ['DOH', 'OTHH', 'Hamad International Airport', 'Doha', 'QA', 25.2731, 51.6081, 13, 'Asia/Qatar'],
+    ['DXB', 'OMDB', 'Dubai International Airport', 'Dubai', 'AE', 25.2532, 55.3657, 62, 'Asia/Dubai'],
+    ['JNB', 'FAOR', 'O. R. Tambo International Airport', 'Johannesburg', 'ZA', -26.1367, 28.2411, 5558, 'Africa/Johannesburg'],
+    ['NBO', 'HKJK', 'Jomo Kenyatta International Airport', 'Nairobi', 'KE', -1.3192, 36.9278, 5330, 'Africa/Nairobi'],
+
+    // Asia and Oceania
+    ['AKL', 'NZAA', 'Auckland Airport', 'Auckland', 'NZ', -37.0082, 174.7850, 23, 'Pacific/Auckland'],
+    ['BKK', 'VTBS', 'Suvarnabhumi Airport', 'Bangkok', 'TH', 13.6900, 100.7501, 5, 'Asia/Bangkok'],
+    ['BOM', 'VABB', 'Chhatrapati Shivaji Maharaj International Airport', 'Mumbai', 'IN', 19.0896, 72.8656, 39, 'Asia/Kolkata'],
+    ['DEL', 'VIDP', 'Indira Gandhi International Airport', 'Delhi', 'IN', 28.5562, 77.1000, 777, 'Asia/Kolkata'],
+    ['HKG', 'VHHH', 'Hong Kong International Airport', 'Hong Kong', 'HK', 22.3080, 113.9185, 28, 'Asia/Hong_Kong'],
+    ['HND', 'RJTT', 'Tokyo Haneda Airport', 'Tokyo', 'JP', 35.5494, 139.7798, 35, 'Asia/Tokyo'],
+    ['ICN', 'RKSI', 'Incheon International Airport', 'Seoul', 'KR', 37.4602, 126.4407, 23, 'Asia/Seoul'],
+    ['MEL', 'YMML', 'Melbourne Airport', 'Melbourne', 'AU', -37.6690, 144.8410, 434, 'Australia/Melbourne'],
+    ['NAN', 'NFFN', 'Nadi International Airport', 'Nadi', 'FJ', -17.7554, 177.4434, 59, 'Pacific/Fiji'],
+    ['NRT', 'RJAA', 'Narita International Airport', 'Tokyo', 'JP', 35.7720, 140.3929, 141, 'Asia/Tokyo'],
+    ['PEK', 'ZBAA', 'Beijing Capital International Airport', 'Beijing', 'CN', 40.0799, 116.6031, 116, 'Asia/Shanghai'],
+    ['PVG', 'ZSPD', 'Shanghai Pudong International Airport', 'Shanghai', 'CN', 31.1443, 121.8083, 13, 'Asia/Shanghai'],
+    ['SIN', 'WSSS', 'Singapore Changi Airport', 'Singapore', 'SG', 1.3644, 103.9915, 22, 'Asia/Singapore'],
+    ['SYD', 'YSSY', 'Sydney Kingsford Smith Airport', 'Sydney', 'AU', -33.9399, 151.1753, 21, 'Australia/Sydney'],
+    ['TPE', 'RCTP', 'Taiwan Taoyuan International Airport', 'Taipei', 'TW', 25.0797, 121.2342, 106, 'Asia/Taipei']
+];
+
+// Lookup index keyed by IATA and ICAO code, built on first use
+let airportIndex = null;
+
+/**
+ * Convert a raw airport row into an airport record
+ * @param {Array} row - Row from AIRPORT_DATA
+ * @returns {Object} Airport record
+ */
+function createAirportRecord(row) {
+    const [iata, icao, name, city, country, latitude, longitude, elevation, timezone] = row;
+    return {
+        iata,
+        icao,
+        name,
+        city,
+        country,
+        coordinates: [longitude, latitude],
+        elevation, // feet above mean sea level
+        timezone
+    };
+}
+
+/**
+ * Build the IATA/ICAO lookup index
+ * @returns {Map} Airport records keyed by uppercase code
+ */
+function getAirportIndex() {
+    if (!airportIndex) {
+        airportIndex = new Map();
+        AIRPORT_DATA.forEach(row => {
+            const airport = createAirportRecord(row);
+            airportIndex.set(airport.iata, airport);
+            airportIndex.set(airport.icao, airport);
+        });
+    }
+    return airportIndex;
+}
+
+/**
+ * Look up an airport by IATA (3-letter) or ICAO (4-letter) code
+ * @param {string} code - Airport code, case-insensitive
+ * @returns {Object|null} Airport record or null when unknown
+ */
+function lookupAirport(code) {
+    if (typeof code !== 'string') {
+        return null;
+    }
+    const airport = getAirportIndex().get(code.trim().toUpperCase());
+    return airport ? { ...airport, coordinates: [...airport.coordinates] } : null;
+}
+
+/**
+ * Parse a route string such as "CVG-MCO" or "CVG-ATL-MCO"
+ * @param {string} route - Airport codes separated by dashes
+ * @returns {Array} Airport records in route order
+ */
+function parseRoute(route) {
+    const codes = String(route).split('-').map(code => code.trim()).filter(Boolean);
+
+    if (codes.length < 2) {
+        throw new Error(`Route "${route}" must list at least two airport codes, e.g. "CVG-MCO"`);
+    }
+
+    return codes.map(code => {
+        const airport = lookupAirport(code);
+        if (!airport) {
+            throw new Error(`Unknown airport code "${code}" in route "${route}"`);
+        }
+        return airport;
+    });
+}
+
+/**
+ * Get every bundled airport record
+ * @returns {Array} Airport records in bundled order
+ */
+function getAllAirports() {
+    return AIRPORT_DATA.map(createAirportRecord);
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        AIRPORT_DATA,
+        lookupAirport,
+        parseRoute,
+        getAllAirports
+    };
+}
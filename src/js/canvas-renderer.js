@@ -0,0 +1,591 @@
+/**
+ * Canvas fallback renderer for Mapbox Flight Path Visualization
+ * Draws the flight path, markers and aircraft on a 2D canvas in Web Mercator when
+ * WebGL is unavailable, at the camera the map would have used, so pages and
+ * screenshots from headless browsers still show the flight
+ */
+
+// Mapbox GL JS uses 512 px tiles, so the world is 512 × 2^zoom pixels wide
+const CANVAS_TILE_SIZE = 512;
+
+// Web Mercator stops short of the poles
+const CANVAS_MAX_LATITUDE = 85.051129;
+
+// Graticule spacings in degrees, widest first; the first with lines this far apart is used
+const GRATICULE_STEPS = [30, 10, 5, 2, 1, 0.5, 0.25, 0.1, 0.05];
+const GRATICULE_MIN_SPACING = 120;
+
+// Zoom from which the names of markers other than cities are drawn
+const CANVAS_LABEL_ZOOM = 7;
+
+/**
+ * Position of a point in Web Mercator world pixels
+ * @param {Array} coordinates - [longitude, latitude]
+ * @param {number} worldSize - World width in pixels
+ * @returns {Array} [x, y], from the top-left corner of the world
+ */
+function lngLatToWorld(coordinates, worldSize) {
+    const latitude = Math.max(-CANVAS_MAX_LATITUDE, Math.min(CANVAS_MAX_LATITUDE, coordinates[1]));
+    const sin = Math.sin(degreesToRadians(latitude));
+    return [
+        (coordinates[0] + 180) / 360 * worldSize,
+        (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * worldSize
+    ];
+}
+
+/**
+ * Point at a position in Web Mercator world pixels
+ * @param {Array} point - [x, y] from the top-left corner of the world
+ * @param {number} worldSize - World width in pixels
+ * @returns {Array} [longitude, latitude]
+ */
+function worldToLngLat(point, worldSize) {
+    const y = Math.PI * (1 - 2 * point[1] / worldSize);
+    return [point[0] / worldSize * 360 - 180, radiansToDegrees(Math.atan(Math.sinh(y)))];
+}
+
+/**
+ * Rotate a screen offset
+ * @param {Array} offset - [x, y]
+ * @param {number} degrees - Clockwise angle
+ * @returns {Array} Rotated [x, y]
+ */
+function rotateOffset(offset, degrees) {
+    const angle = degreesToRadians(degrees);
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    return [offset[0] * cos - offset[1] * sin, offset[0] * sin + offset[1] * cos];
+}
+
+class CanvasFallbackRenderer {
+    /**
+     * @param {HTMLElement} container - Map container the canvas is drawn in
+     * @param {Object} scene - Normalized scene
+     * @param {Object} options - { theme: definition from getThemeDefinition() (default: MAP_CONFIG.defaultTheme),
+     *                             hiddenLayers: Set of lowercase layer keys, flightTime: aircraft position in minutes
+     *                             (default: the scene's aircraftTime) }
+     */
+    constructor(container, scene, options = {}) {
+        this.container = container;
+        this.scene = scene;
+        this.theme = options.theme || getThemeDefinition(MAP_CONFIG.defaultTheme);
+        this.hiddenLayers = options.hiddenLayers || new Set();
+        this.markerData = buildSceneMarkerData(scene, options.flightTime);
+        this.path = buildFlightPathData(scene);
+        this.outlines = null;
+        this.camera = null;
+        this.canvas = null;
+        this.isRendered = false;
+
+        // Resolves once the outlines have loaded (or failed to), so captures include them
+        this.ready = this.loadOutlines();
+    }
+
+    /**
+     * Load FALLBACK_CONFIG.outlines; the map is drawn without them if they fail
+     * @returns {Promise<void>} Resolves when done, never rejects
+     */
+    async loadOutlines() {
+        if (!FALLBACK_CONFIG.outlines) {
+            return;
+        }
+
+        try {
+            const response = await fetch(FALLBACK_CONFIG.outlines);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            this.outlines = await response.json();
+        } catch (error) {
+            console.warn(`Could not load fallback outlines from ${FALLBACK_CONFIG.outlines}: ${error.message}`);
+            return;
+        }
+
+        if (this.camera) {
+            this.render();
+        }
+    }
+
+    /**
+     * Viewport size in CSS pixels
+     * @returns {Object} { width, height }
+     */
+    getSize() {
+        return {
+            width: this.container.clientWidth || window.innerWidth,
+            height: this.container.clientHeight || window.innerHeight
+        };
+    }
+
+    /**
+     * Screen position of a point at the current camera. Pitch is not drawn; the view is top-down.
+     * @param {Array} coordinates - [longitude, latitude]
+     * @param {boolean} wrap - Use the world copy nearest the center (default: true); false keeps
+     *                         the longitude as given, for lines already unwrapped by strokeLine()
+     * @returns {Array} [x, y] in CSS pixels
+     */
+    project(coordinates, wrap = true) {
+        const { center, zoom, bearing = 0 } = this.camera;
+        const { width, height } = this.getSize();
+        const worldSize = CANVAS_TILE_SIZE * 2 ** zoom;
+
+        const longitude = wrap ? center[0] + wrapLongitude(coordinates[0] - center[0]) : coordinates[0];
+        const point = lngLatToWorld([longitude, coordinates[1]], worldSize);
+        const origin = lngLatToWorld(center, worldSize);
+        const [x, y] = rotateOffset([point[0] - origin[0], point[1] - origin[1]], -bearing);
+        return [width / 2 + x, height / 2 + y];
+    }
+
+    /**
+     * Point at a screen position at the current camera
+     * @param {Array} point - [x, y] in CSS pixels
+     * @returns {Array} [longitude, latitude]
+     */
+    unproject(point) {
+        const { center, zoom, bearing = 0 } = this.camera;
+        const { width, height } = this.getSize();
+        const worldSize = CANVAS_TILE_SIZE * 2 ** zoom;
+
+        const origin = lngLatToWorld(center, worldSize);
+        const [x, y] = rotateOffset([point[0] - width / 2, point[1] - height / 2], bearing);
+        return worldToLngLat([origin[0] + x, origin[1] + y], worldSize);
+    }
+
+    /**
+     * The aircraft's marker data
+     * @returns {Object} { id, coordinates, heading, ... }
+     */
+    getAircraft() {
+        return this.markerData.aircraft[0];
+    }
+
+    /**
+     * Marker and flight path points to frame, as FlightPathMap#getFramingBounds collects them
+     * @param {Object} options - { types: marker types to include (default: all),
+     *                             includePath: include the flight path (default: true) }
+     * @returns {Array<Array>} [longitude, latitude] points
+     */
+    getFramingPoints(options = {}) {
+        const { types, includePath = true } = options;
+        const wanted = types ? types.map(type => type.toUpperCase()) : Object.keys(MARKER_TYPES);
+
+        const points = [];
+        Object.keys(this.markerData).forEach(key => {
+            if (wanted.includes(key.toUpperCase())) {
+                this.markerData[key].forEach(marker => points.push(marker.coordinates));
+            }
+        });
+
+        if (includePath) {
+            this.path.features.forEach(feature => {
+                feature.geometry.coordinates.forEach(line => points.push(...line));
+            });
+        }
+        return points;
+    }
+
+    /**
+     * Camera that fits points inside the viewport, like Map#cameraForBounds
+     * @param {Array<Array>} points - [longitude, latitude] points
+     * @param {number|Object} padding - Pixels on every side, or { top, right, bottom, left }
+     * @param {number} maxZoom - Closest zoom allowed
+     * @param {number} bearing - Map rotation the points are fitted at (default: 0)
+     * @returns {Object|null} { center, zoom, bearing, pitch }, or null when the padding leaves no room
+     */
+    getFitCamera(points, padding, maxZoom, bearing = 0) {
+        const { top, right, bottom, left } = normalizePadding(padding);
+        const { width, height } = this.getSize();
+        const room = { width: width - left - right, height: height - top - bottom };
+        if (points.length === 0 || room.width <= 0 || room.height <= 0) {
+            return null;
+        }
+
+        // Fit in zoom 0 world pixels turned to screen orientation, then scale up; unwrapped
+        // so a route across the antimeridian is fitted there rather than across the whole world
+        const world = unwrapLongitudes(points)
+            .map(point => rotateOffset(lngLatToWorld(point, CANVAS_TILE_SIZE), -bearing));
+        const xs = world.map(point => point[0]);
+        const ys = world.map(point => point[1]);
+        const min = [Math.min(...xs), Math.min(...ys)];
+        const max = [Math.max(...xs), Math.max(...ys)];
+
+        const scale = Math.min(room.width / (max[0] - min[0] || Infinity), room.height / (max[1] - min[1] || Infinity));
+        const zoom = Math.min(Number.isFinite(scale) ? Math.log2(scale) : maxZoom, maxZoom);
+
+        // Center the bounds in the padded area rather than the viewport
+        const factor = 2 ** zoom;
+        const middle = rotateOffset([
+            (min[0] + max[0]) / 2 - (left - right) / 2 / factor,
+            (min[1] + max[1]) / 2 - (top - bottom) / 2 / factor
+        ], bearing);
+        const [longitude, latitude] = worldToLngLat(middle, CANVAS_TILE_SIZE);
+        return { center: [wrapLongitude(longitude), latitude], zoom, bearing, pitch: 0 };
+    }
+
+    /**
+     * Camera that shows the whole scene, as FlightPathMap#getOverviewCamera does
+     * @returns {Object} { center, zoom, bearing, pitch }
+     */
+    getOverviewCamera() {
+        const { center, zoom, fit, padding } = this.scene.overview;
+        const fixed = { center, zoom, bearing: 0, pitch: 0 };
+        if (!fit) {
+            return fixed;
+        }
+
+        return this.getFitCamera(this.getFramingPoints(), padding, MAP_CONFIG.zoom.zoom) || fixed;
+    }
+
+    /**
+     * Camera that puts coordinates at a viewport position, as FlightPathMap#getAnchoredCamera does
+     * @param {Array} coordinates - [longitude, latitude] to place
+     * @param {Object} options - { anchor: [x, y] as fractions of width and height, zoom, bearing, pitch }
+     *                           (defaults from MAP_CONFIG.zoom)
+     * @returns {Object} { center, zoom, bearing, pitch }
+     */
+    getAnchoredCamera(coordinates, options = {}) {
+        const {
+            anchor = MAP_CONFIG.zoom.anchor,
+            zoom = MAP_CONFIG.zoom.zoom,
+            bearing = MAP_CONFIG.zoom.bearing,
+            pitch = MAP_CONFIG.zoom.pitch
+        } = options;
+
+        if (!Array.isArray(anchor) || anchor.length !== 2 || !anchor.every(value => value >= 0 && value <= 1)) {
+            throw new Error(`Invalid camera anchor: ${JSON.stringify(anchor)}`);
+        }
+
+        // Without pitch the offset from the anchor to the middle is exact
+        const { width, height } = this.getSize();
+        const worldSize = CANVAS_TILE_SIZE * 2 ** zoom;
+        const point = lngLatToWorld(coordinates, worldSize);
+        const [x, y] = rotateOffset([width * anchor[0] - width / 2, height * anchor[1] - height / 2], bearing);
+
+        const [longitude, latitude] = worldToLngLat([point[0] - x, point[1] - y], worldSize);
+        return { center: [wrapLongitude(longitude), latitude], zoom, bearing, pitch };
+    }
+
+    /**
+     * Draw the scene at a camera
+     * @param {Object} camera - { center, zoom, bearing, pitch }
+     */
+    show(camera) {
+        this.camera = { bearing: 0, pitch: 0, ...camera };
+        this.render();
+    }
+
+    /**
+     * Move the aircraft, as MarkerManager#updateAircraftPosition does
+     * @param {Array} coordinates - [longitude, latitude]
+     * @param {number} heading - True heading in degrees (optional; keeps the current one)
+     */
+    setAircraft(coordinates, heading) {
+        const aircraft = this.getAircraft();
+        aircraft.coordinates = coordinates;
+        if (Number.isFinite(heading)) {
+            aircraft.heading = heading;
+        }
+        if (this.camera) {
+            this.render();
+        }
+    }
+
+    /**
+     * Redraw with other layers hidden
+     * @param {Set<string>} hiddenLayers - Lowercase marker types and URL_STATE_CONFIG.pathLayer
+     */
+    setHiddenLayers(hiddenLayers) {
+        this.hiddenLayers = hiddenLayers;
+        if (this.camera) {
+            this.render();
+        }
+    }
+
+    /**
+     * Redraw in another theme's colors
+     * @param {Object} theme - Definition from getThemeDefinition()
+     */
+    setTheme(theme) {
+        this.theme = theme;
+        if (this.camera) {
+            this.render();
+        }
+    }
+
+    /**
+     * Draw everything at the current camera, sized for the container and device pixel ratio
+     */
+    render() {
+        if (!this.canvas) {
+            this.canvas = document.createElement('canvas');
+            this.canvas.className = 'fallback-canvas';
+            this.container.innerHTML = '';
+            this.container.appendChild(this.canvas);
+        }
+
+        const { width, height } = this.getSize();
+        const ratio = window.devicePixelRatio || 1;
+        this.canvas.width = Math.round(width * ratio);
+        this.canvas.height = Math.round(height * ratio);
+
+        const context = this.canvas.getContext('2d');
+        context.setTransform(ratio, 0, 0, ratio, 0, 0);
+        context.fillStyle = this.theme.ui.background;
+        context.fillRect(0, 0, width, height);
+
+        if (FALLBACK_CONFIG.graticule) {
+            this.drawGraticule(context);
+        }
+        if (this.outlines) {
+            this.drawOutlines(context);
+        }
+        if (!this.hiddenLayers.has(URL_STATE_CONFIG.pathLayer)) {
+            this.drawFlightPath(context);
+        }
+        this.drawMarkers(context);
+
+        this.isRendered = true;
+    }
+
+    /**
+     * Stroke a line through points. The line starts on the world copy nearest the center
+     * and continues without jumping a world width where it crosses the antimeridian.
+     * @param {CanvasRenderingContext2D} context - Drawing context
+     * @param {Array<Array>} line - [longitude, latitude] points, each less than 180° from the last
+     */
+    strokeLine(context, line) {
+        let longitude = null;
+        context.beginPath();
+        line.forEach((coordinates, index) => {
+            longitude = index === 0
+                ? this.camera.center[0] + wrapLongitude(coordinates[0] - this.camera.center[0])
+                : longitude + wrapLongitude(coordinates[0] - longitude);
+            const [x, y] = this.project([longitude, coordinates[1]], false);
+            if (index === 0) {
+                context.moveTo(x, y);
+            } else {
+                context.lineTo(x, y);
+            }
+        });
+        context.stroke();
+    }
+
+    /**
+     * Latitude and longitude lines across the visible area
+     * @param {CanvasRenderingContext2D} context - Drawing context
+     */
+    drawGraticule(context) {
+        const { width, height } = this.getSize();
+        const corners = [[0, 0], [width, 0], [width, height], [0, height]].map(point => this.unproject(point));
+        const longitudes = corners.map(corner => corner[0]);
+        const latitudes = corners.map(corner => corner[1]);
+
+        const pixelsPerDegree = CANVAS_TILE_SIZE * 2 ** this.camera.zoom / 360;
+        const step = GRATICULE_STEPS.find(degrees => degrees * pixelsPerDegree < GRATICULE_MIN_SPACING * 2) ||
+            GRATICULE_STEPS[GRATICULE_STEPS.length - 1];
+
+        // Corners past the antimeridian have longitudes beyond ±180, which project() wraps
+        const west = Math.floor(Math.min(...longitudes) / step) * step;
+        const east = Math.min(Math.ceil(Math.max(...longitudes) / step) * step, west + 360);
+        const south = Math.max(-80, Math.floor(Math.min(...latitudes) / step) * step);
+        const north = Math.min(80, Math.ceil(Math.max(...latitudes) / step) * step);
+
+        context.save();
+        context.strokeStyle = this.theme.ui.border;
+        context.globalAlpha = 0.35;
+        context.lineWidth = 1;
+
+        // Meridians and parallels are straight in Web Mercator; parallels keep a point on
+        // every meridian so strokeLine() can follow them across the antimeridian
+        const meridians = [];
+        for (let longitude = west; longitude <= east + 1e-9; longitude += step) {
+            meridians.push(longitude);
+            this.strokeLine(context, [[longitude, south], [longitude, north]]);
+        }
+        for (let latitude = south; latitude <= north + 1e-9; latitude += step) {
+            this.strokeLine(context, meridians.map(longitude => [longitude, latitude]));
+        }
+        context.restore();
+    }
+
+    /**
+     * Coastlines or borders from FALLBACK_CONFIG.outlines
+     * @param {CanvasRenderingContext2D} context - Drawing context
+     */
+    drawOutlines(context) {
+        const features = this.outlines.type === 'FeatureCollection' ? this.outlines.features : [this.outlines];
+
+        context.save();
+        context.strokeStyle = this.theme.ui.muted;
+        context.globalAlpha = 0.6;
+        context.lineWidth = 1;
+        context.lineJoin = 'round';
+
+        features.forEach(feature => {
+            const geometry = feature.geometry || feature;
+            let lines = [];
+            switch (geometry.type) {
+                case 'LineString':
+                    lines = [geometry.coordinates];
+                    break;
+                case 'MultiLineString':
+                case 'Polygon':
+                    lines = geometry.coordinates;
+                    break;
+                case 'MultiPolygon':
+                    lines = geometry.coordinates.flat();
+                    break;
+                default:
+                    return;
+            }
+            lines.forEach(line => this.strokeLine(context, line));
+        });
+        context.restore();
+    }
+
+    /**
+     * The planned route or recorded track, dashed like the map's flight path layer
+     * @param {CanvasRenderingContext2D} context - Drawing context
+     */
+    drawFlightPath(context) {
+        const { color, width } = this.theme.flightPath;
+
+        context.save();
+        context.strokeStyle = color;
+        context.lineWidth = width;
+        context.lineCap = 'round';
+        context.lineJoin = 'round';
+        // line-dasharray is measured in line widths
+        context.setLineDash([5 * width, 5 * width]);
+
+        this.path.features.forEach(feature => {
+            feature.geometry.coordinates.forEach(line => this.strokeLine(context, line));
+        });
+        context.restore();
+    }
+
+    /**
+     * Markers of every visible type as colored dots, then the aircraft on top
+     * @param {CanvasRenderingContext2D} context - Drawing context
+     */
+    drawMarkers(context) {
+        const { width, height } = this.getSize();
+        const zoomView = document.body.classList.contains('zoom-view');
+        const size = zoomView ? this.theme.markerSize.zoom : this.theme.markerSize.normal;
+        const radius = size / 4;
+        const onScreen = ([x, y]) => x > -size && y > -size && x < width + size && y < height + size;
+
+        // Lowest priority first, so cities end up above POIs and story markers
+        const types = Object.keys(MARKER_TYPES)
+            .filter(type => type !== 'AIRCRAFT' && !this.hiddenLayers.has(type.toLowerCase()))
+            .sort((a, b) => MARKER_TYPES[b].priority - MARKER_TYPES[a].priority);
+
+        const labels = [];
+        types.forEach(type => {
+            (this.markerData[type.toLowerCase()] || []).forEach(marker => {
+                const point = this.project(marker.coordinates);
+                if (!onScreen(point)) return;
+
+                context.beginPath();
+                context.arc(point[0], point[1], radius, 0, Math.PI * 2);
+                context.fillStyle = getThemeMarkerColor(this.theme, type);
+                context.fill();
+                context.lineWidth = 2;
+                context.strokeStyle = this.theme.ui.background;
+                context.stroke();
+
+                if (type === 'CITIES' || this.camera.zoom >= CANVAS_LABEL_ZOOM) {
+                    labels.push({ point, text: type === 'CITIES' ? (marker.iata || marker.name) : marker.name });
+                }
+            });
+        });
+
+        if (FALLBACK_CONFIG.labels) {
+            this.drawLabels(context, labels, radius);
+        }
+
+        const aircraft = this.getAircraft();
+        const point = this.project(aircraft.coordinates);
+        if (!this.hiddenLayers.has('aircraft') && onScreen(point)) {
+            this.drawAircraft(context, point, (aircraft.heading || 0) - this.camera.bearing, size * 0.75);
+        }
+    }
+
+    /**
+     * Marker names beside their dots, with a halo in the background color
+     * @param {CanvasRenderingContext2D} context - Drawing context
+     * @param {Array<Object>} labels - { point, text }
+     * @param {number} offset - Marker radius in pixels
+     */
+    drawLabels(context, labels, offset) {
+        context.save();
+        context.font = '12px Arial, sans-serif';
+        context.textBaseline = 'middle';
+        context.lineJoin = 'round';
+        context.lineWidth = 3;
+        context.strokeStyle = this.theme.ui.background;
+        context.fillStyle = this.theme.ui.text;
+
+        labels.forEach(({ point, text }) => {
+            if (!text) return;
+            const x = point[0] + offset + 4;
+            context.strokeText(text, x, point[1]);
+            context.fillText(text, x, point[1]);
+        });
+        context.restore();
+    }
+
+    /**
+     * An aircraft silhouette pointing along its heading
+     * @param {CanvasRenderingContext2D} context - Drawing context
+     * @param {Array} point - [x, y] in CSS pixels
+     * @param {number} rotation - Clockwise degrees from screen up
+     * @param {number} size - Nose-to-tail length in pixels
+     */
+    drawAircraft(context, point, rotation, size) {
+        const s = size / 2;
+
+        context.save();
+        context.translate(point[0], point[1]);
+        context.rotate(degreesToRadians(rotation));
+        context.beginPath();
+        context.moveTo(0, -s);
+        context.lineTo(s * 0.15, -s * 0.3);
+        context.lineTo(s, s * 0.1);
+        context.lineTo(s * 0.15, s * 0.05);
+        context.lineTo(s * 0.12, s * 0.65);
+        context.lineTo(s * 0.4, s);
+        context.lineTo(-s * 0.4, s);
+        context.lineTo(-s * 0.12, s * 0.65);
+        context.lineTo(-s * 0.15, s * 0.05);
+        context.lineTo(-s, s * 0.1);
+        context.lineTo(-s * 0.15, -s * 0.3);
+        context.closePath();
+        context.fillStyle = getThemeMarkerColor(this.theme, 'AIRCRAFT');
+        context.fill();
+        context.lineWidth = 1.5;
+        context.strokeStyle = this.theme.ui.background;
+        context.stroke();
+        context.restore();
+    }
+
+    /**
+     * Remove the canvas
+     */
+    destroy() {
+        if (this.canvas) {
+            this.canvas.remove();
+            this.canvas = null;
+        }
+        this.isRendered = false;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        CanvasFallbackRenderer,
+        lngLatToWorld,
+        worldToLngLat
+    };
+}
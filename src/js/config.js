@@ -9,12 +9,20 @@ const MAPBOX_ACCESS_TOKEN = (typeof window !== 'undefined' && window.MAPBOX_ACCE
     : 'YOUR_MAPBOX_ACCESS_TOKEN_HERE';
 
 
-// Geographic coordinates
-const COORDINATES = {
-    CVG: [-84.6627, 39.0458], // Cincinnati/Northern Kentucky International Airport
-    MCO: [-81.3792, 28.4312], // Orlando International Airport
-    // Aircraft position will be calculated dynamically (~2.5 min from CVG)
-    // POI and Story markers will be added as needed
+// Scene file configuration
+// Routes and markers are declared in scene files (see src/scenes/)
+const SCENE_CONFIG = {
+    // Scene loaded when no query parameter is given
+    defaultScene: 'scenes/cvg-mco.json',
+    
+    // Query parameter used to select a scene (e.g. ?scene=cvg-mco)
+    queryParam: 'scene',
+    
+    // Directory that bare scene IDs resolve to
+    directory: 'scenes/',
+    
+    // Query parameter that loads a recorded track (GPX, KML, CSV or IGC) over the scene's route
+    trackQueryParam: 'track'
 };
 
 // Marker type definitions with colors and layer names
@@ -22,22 +30,30 @@ const MARKER_TYPES = {
     CITIES: {
         color: '#3B82F6', // Blue
         layer: 'cities-layer',
-        priority: 1
+        priority: 1,
+        label: 'Cities',
+        icon: 'assets/city.svg'
     },
     POI: {
         color: '#10B981', // Green  
         layer: 'poi-layer',
-        priority: 2
+        priority: 2,
+        label: 'Points of Interest',
+        icon: 'assets/poi.svg'
     },
     STORY: {
         color: '#8B5CF6', // Purple
         layer: 'story-layer', 
-        priority: 3
+        priority: 3,
+        label: 'Story Markers',
+        icon: 'assets/story.svg'
     },
     AIRCRAFT: {
         color: '#FFFFFF', // White
         layer: 'aircraft-layer',
-        priority: 0 // Highest priority
+        priority: 0, // Highest priority
+        label: 'Aircraft',
+        icon: 'assets/airplane.svg'
     }
 };
 
@@ -51,16 +67,116 @@ const MAP_CONFIG = {
     overview: {
         zoom: 5,
         center: [-82.9274, 33.7385], // Midpoint
+        fit: true, // Fit markers and flight path; false uses center and zoom as given
+        padding: 80, // Pixels kept clear around the fitted bounds (number or { top, right, bottom, left })
+        avoidLegend: true, // Keep the fitted bounds out from under the map legend
+        legendMargin: 16, // Gap between the legend and the fitted bounds
         dimensions: { width: 1080, height: 1920 }
     },
     zoom: {
         zoom: 10, // Increased zoom for closer view
         center: null, // Will be set to aircraft position
+        anchor: [0.5, 1 / 3], // Aircraft position in the viewport, as fractions of width and height
+        bearing: 0,
+        pitch: 0,
         dimensions: { width: 1080, height: 1920 }
     },
     
-    // Map style - Dark theme for professional appearance
-    style: 'mapbox://styles/mapbox/dark-v11',
+    // Themes selectable with ?theme= or FlightPathMap.setTheme(); `defaultTheme: 'dark'` below sets the default.
+    // Each sets the base style and may set:
+    //   paint       - paint properties by style layer id, applied when the layer exists
+    //   markers     - marker colors by type (other types keep their MARKER_TYPES color)
+    //   markerSize  - { normal, zoom } icon size in pixels
+    //   flightPath  - { color, width, trackColor } of the planned path and the flown track
+    //   ui          - panel, legend and popup colors: { background, panel, popup, text, muted, accent, accentText, border, glow }
+    // Anything left out comes from THEME_DEFAULTS (themes.js), which matches the dark theme
+    themes: {
+        dark: {
+            label: 'Dark',
+            style: 'mapbox://styles/mapbox/dark-v11',
+            paint: {
+                background: { 'background-color': '#1a1a1a' },
+                water: { 'fill-color': '#0f1419' }
+            }
+        },
+        dusk: {
+            label: 'Dusk',
+            style: 'mapbox://styles/mapbox/dark-v11',
+            paint: {
+                land: { 'background-color': '#2a2438' },
+                water: { 'fill-color': '#1d2540' }
+            },
+            markers: { CITIES: '#F59E0B', POI: '#34D399', STORY: '#F472B6', AIRCRAFT: '#FDE68A' },
+            flightPath: { color: 'rgba(253, 230, 138, 0.45)', trackColor: 'rgba(253, 230, 138, 0.9)' },
+            ui: { background: '#2a2438', panel: 'rgba(42, 36, 56, 0.92)', popup: '#352e47', accent: '#F59E0B', border: '#5b4e73', muted: '#c4b5d9' }
+        },
+        night: {
+            label: 'Night',
+            style: 'mapbox://styles/mapbox/navigation-night-v1',
+            markers: { CITIES: '#60A5FA', POI: '#2DD4BF', STORY: '#A78BFA' },
+            flightPath: { color: 'rgba(147, 197, 253, 0.4)', trackColor: 'rgba(147, 197, 253, 0.9)' },
+            ui: { background: '#0b1020', panel: 'rgba(11, 16, 32, 0.92)', popup: '#161d33', accent: '#60A5FA', border: '#27304a' }
+        },
+        light: {
+            label: 'Light',
+            style: 'mapbox://styles/mapbox/light-v11',
+            markers: { CITIES: '#2563EB', POI: '#059669', STORY: '#7C3AED', AIRCRAFT: '#111827' },
+            flightPath: { color: 'rgba(17, 24, 39, 0.45)', trackColor: 'rgba(17, 24, 39, 0.85)' },
+            ui: { background: '#f3f4f6', panel: 'rgba(255, 255, 255, 0.94)', popup: '#ffffff', text: '#111827', muted: '#6b7280', accent: '#2563EB', border: '#d1d5db', glow: 'rgba(255, 255, 255, 0.8)' }
+        },
+        'high-contrast': {
+            label: 'High contrast',
+            style: 'mapbox://styles/mapbox/dark-v11',
+            paint: {
+                land: { 'background-color': '#000000' },
+                water: { 'fill-color': '#002b55' }
+            },
+            markers: { CITIES: '#00E5FF', POI: '#00FF66', STORY: '#FF3DF5', AIRCRAFT: '#FFFF00' },
+            markerSize: { normal: 40, zoom: 44 },
+            flightPath: { color: 'rgba(255, 255, 0, 0.8)', width: 3, trackColor: '#FFFF00' },
+            ui: { background: '#000000', panel: 'rgba(0, 0, 0, 0.96)', popup: '#000000', text: '#ffffff', muted: '#e5e7eb', accent: '#FFFF00', accentText: '#000000', border: '#ffffff', glow: 'rgba(0, 0, 0, 0.9)' }
+        },
+        print: {
+            label: 'Print',
+            style: 'mapbox://styles/mapbox/light-v11',
+            paint: {
+                land: { 'background-color': '#ffffff' },
+                water: { 'fill-color': '#dbe4ee' }
+            },
+            markers: { CITIES: '#1E3A8A', POI: '#065F46', STORY: '#5B21B6', AIRCRAFT: '#000000' },
+            flightPath: { color: 'rgba(0, 0, 0, 0.6)', trackColor: '#000000' },
+            ui: { background: '#ffffff', panel: 'rgba(255, 255, 255, 0.97)', popup: '#ffffff', text: '#000000', muted: '#4b5563', accent: '#1E3A8A', border: '#000000', glow: 'transparent' }
+        },
+        satellite: {
+            label: 'Satellite',
+            style: 'mapbox://styles/mapbox/satellite-streets-v12',
+            flightPath: { color: 'rgba(255, 255, 255, 0.6)' }
+        }
+    },
+    defaultTheme: 'dark',
+    
+    // Offline rendering: every theme uses the development server's local style, tiles and glyphs
+    // instead of Mapbox, and no access token is needed (see README "Offline Maps").
+    // Turn on with window.MAP_OFFLINE = true in config.local.js, or ?offline in the URL
+    offline: {
+        enabled: typeof window !== 'undefined' && window.MAP_OFFLINE === true,
+        queryParam: 'offline',
+        style: 'offline/style.json'
+    },
+    
+    // How markers are drawn: 'dom' (one HTML marker each), 'symbol' (GeoJSON symbol
+    // layers with clustering) or 'auto' (symbol layers above symbolThreshold markers)
+    markerRenderMode: 'auto',
+    symbolThreshold: 200,
+    
+    // Symbol layer rendering
+    symbolMarkers: {
+        cluster: true, // Group nearby markers of a type into count bubbles
+        clusterRadius: 50, // Pixels
+        clusterMaxZoom: 12, // Markers are never clustered above this zoom
+        showLabels: true, // Marker names below the icons
+        labelMinZoom: 8 // Names only from this zoom on, where they stop overlapping
+    },
     
     // Viewport settings for portrait orientation
     viewport: {
@@ -74,18 +190,170 @@ const FLIGHT_CONFIG = {
     // Flight time from CVG to MCO (in minutes)
     totalFlightTime: 120, // 2 hours
     
-    // Aircraft position (2.5 minutes from CVG)
-    aircraftTimeFromCVG: 2.5,
+    // Aircraft position (2.5 minutes after takeoff from CVG, after FLIGHT_PROFILE.taxiOutTime)
+    // Flight times are gate to gate; used when a scene does not declare flight.aircraftTime
+    aircraftTimeFromCVG: 14.5,
+    
+    // Flight time estimate for legs that do not declare one
+    estimatedCruiseSpeed: 780, // km/h
+    estimatedOverheadTime: 30, // minutes for taxi, climb and approach
     
     // Great circle calculation parameters
     earthRadius: 6371, // km
+    
+    // Maximum spacing of points when drawing the curved flight path
+    pathSegmentLength: 50, // km
+};
+
+// Flight profile used to position the aircraft over time
+// Speeds are ground speeds in knots, rates in feet per minute
+const FLIGHT_PROFILE = {
+    taxiOutTime: 12, // minutes from pushback to takeoff
+    taxiInTime: 6, // minutes from landing to the gate
+    takeoffSpeed: 150,
+    climbRate: 2200,
+    climbSpeed: 300, // speed reached at top of climb
+    cruiseAltitude: 35000, // feet, lowered automatically on short legs
+    minCruiseSpeed: 250, // cruise speed is solved per leg within these bounds
+    maxCruiseSpeed: 600,
+    descentRate: 1800,
+    descentSpeed: 320, // speed at top of descent
+    approachSpeed: 140
+};
+
+// Flight playback configuration
+const PLAYBACK_CONFIG = {
+    // Flight minutes played per real second at 1× speed
+    minutesPerSecond: 1,
+    
+    // Speed multipliers offered in the controls
+    speeds: [0.5, 1, 2, 5, 10, 30],
+    defaultSpeed: 1,
+    
+    // Scrubber resolution in minutes
+    scrubberStep: 0.1
+};
+
+// Live position feed configuration
+const LIVE_FEED_CONFIG = {
+    // Query parameter that switches the aircraft to the live feed:
+    // ?live=1 follows reports POSTed to the server, ?live=replay:<recording> replays a recorded flight
+    queryParam: 'live',
+    streamUrl: '/api/positions/stream',
+    
+    // Render this far behind the newest report so there is always a sample to interpolate towards
+    interpolationDelay: 2000, // milliseconds
+    
+    // Position reports kept for interpolation and the breadcrumb track
+    maxBufferSize: 500,
+    
+    // Time multiplier for recorded replays
+    replaySpeed: 10
+};
+
+// Shareable URL state configuration
+const URL_STATE_CONFIG = {
+    // Query parameters, e.g. ?scene=cvg-mco&map=10/38.9/-84.5&t=47&hide=story,path&theme=light
+    params: {
+        camera: 'map', // zoom/lat/lng[/bearing/pitch]
+        time: 't', // flight time in minutes
+        hidden: 'hide', // hidden layers: marker types in lowercase, or pathLayer
+        theme: 'theme'
+    },
+    pathLayer: 'path',
+    
+    // Wait for interaction to settle before rewriting the URL
+    updateDelay: 300, // milliseconds
+    
+    // Decimal places written to the URL
+    precision: {
+        zoom: 2,
+        coordinates: 5,
+        angle: 1,
+        time: 1
+    }
+};
+
+// Legend / layer toggle panel configuration
+const LEGEND_CONFIG = {
+    // Label of the flight path row (marker rows use MARKER_TYPES labels)
+    pathLabel: 'Flight path',
+    
+    // Where the toggle state is remembered between visits
+    storageKey: 'mapflight.legend',
+    
+    // Keep the legend in screenshots (controls are always hidden there)
+    showInScreenshots: true
+};
+
+// Story tour configuration
+const TOUR_CONFIG = {
+    // Query parameter that opens the scene's tour, e.g. ?tour=2 starts at the second step
+    queryParam: 'tour',
+    
+    // Seconds a step stays on screen before auto-advance moves on (steps may set their own dwell)
+    dwell: 6,
+    
+    // Camera flight between steps
+    flyDuration: 3000, // milliseconds
+    
+    // Step camera defaults: steps may set zoom, bearing, pitch and anchor
+    zoom: 9,
+    anchor: [0.5, 0.4] // Marker position as fractions of viewport width and height, above the caption
+};
+
+// Proximity events configuration
+const PROXIMITY_CONFIG = {
+    // Marker types watched as the aircraft moves, with the distance at which they count as near (km)
+    radius: {
+        POI: 15,
+        STORY: 25
+    },
+    // Types added by scenes (markerTypes) use this radius
+    defaultRadius: 15,
+    
+    // A marker is left only beyond radius × exitFactor, so it does not flicker at the edge
+    exitFactor: 1.2,
+    
+    highlight: true, // Emphasize every marker in range
+    openPopup: true // Open the popup of the nearest marker in range
+};
+
+// In-flight information panel configuration
+const HUD_CONFIG = {
+    // Corner of the map: 'top-left', 'top-right', 'bottom-left' or 'bottom-right'
+    position: 'top-right',
+    
+    // Rows shown, in order: route, distanceFlown, distanceRemaining, elapsed, eta, groundSpeed, altitude, coordinates
+    fields: ['route', 'distanceFlown', 'distanceRemaining', 'elapsed', 'eta', 'groundSpeed', 'altitude', 'coordinates'],
+    
+    units: {
+        distance: 'nm', // 'nm', 'km' or 'mi'
+        speed: 'kt', // 'kt', 'km/h' or 'mph'
+        altitude: 'ft' // 'ft' or 'm'
+    },
+    
+    // Keep the panel in screenshots (npm run screenshot -- --hud / --hide-hud)
+    showInScreenshots: false
+};
+
+// Canvas map drawn when WebGL is unavailable or the map fails to load
+const FALLBACK_CONFIG = {
+    // GeoJSON of coastlines or borders drawn under the route (e.g. Natural Earth 110m
+    // coastlines copied into src/assets), or null for none
+    outlines: null,
+    
+    // Latitude and longitude lines, spaced for the zoom
+    graticule: true,
+    
+    // Names of city markers and the scene's markers at zoom 7 and above
+    labels: true
 };
 
 // Screenshot timing configuration
 const SCREENSHOT_CONFIG = {
-    // Wait times for proper rendering
-    tileLoadWait: 2000, // 2 seconds after network idle
-    animationWait: 1000, // 1 second for smooth transitions
+    // Longest wait for FlightPathMap.whenReady() (style, tiles, icons, camera)
+    readyTimeout: 30000, // 30 seconds
     
     // Retry configuration
     maxRetries: 3,
@@ -96,10 +364,19 @@ const SCREENSHOT_CONFIG = {
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         MAPBOX_ACCESS_TOKEN,
-        COORDINATES,
+        SCENE_CONFIG,
         MARKER_TYPES,
         MAP_CONFIG,
         FLIGHT_CONFIG,
+        FLIGHT_PROFILE,
+        PLAYBACK_CONFIG,
+        LIVE_FEED_CONFIG,
+        URL_STATE_CONFIG,
+        LEGEND_CONFIG,
+        TOUR_CONFIG,
+        PROXIMITY_CONFIG,
+        HUD_CONFIG,
+        FALLBACK_CONFIG,
         SCREENSHOT_CONFIG
     };
 } 
\ No newline at end of file
@@ -0,0 +1,279 @@
+/**
+ * POI and story dataset import for Mapbox Flight Path Visualization
+ * Reads marker datasets from GeoJSON or CSV files, maps their categories onto
+ * marker types, and registers the custom marker types a scene declares
+ */
+
+const DATASET_FORMATS = ['geojson', 'csv'];
+
+// Marker types that come with the app; scenes may add types but not redefine these
+const BUILT_IN_MARKER_TYPES = Object.keys(MARKER_TYPES);
+
+// Marker types that are created from the itinerary, never from marker data
+const RESERVED_MARKER_TYPES = ['AIRCRAFT', 'CITIES'];
+
+// Recognized columns/properties, lowercase; anything else is kept as an extra property
+const DATASET_FIELDS = {
+    id: ['id', 'marker_id'],
+    name: ['name', 'title'],
+    description: ['description', 'desc', 'summary'],
+    category: ['category', 'kind'],
+    image: ['image', 'image_url', 'imageurl', 'photo'],
+    type: ['type', 'marker_type'],
+    latitude: ['lat', 'latitude'],
+    longitude: ['lon', 'lng', 'long', 'longitude']
+};
+
+/**
+ * Add a marker type, or update one added earlier, so markers, the legend and the URL state pick it up
+ * @param {string} type - Marker type name, e.g. "BREWERY"
+ * @param {Object} definition - { label, color, icon, priority } (all optional)
+ * @returns {Object} The MARKER_TYPES entry
+ */
+function registerMarkerType(type, definition = {}) {
+    const key = type.toUpperCase();
+    if (BUILT_IN_MARKER_TYPES.includes(key)) {
+        throw new Error(`Marker type "${key}" is built in and cannot be redefined`);
+    }
+
+    const lowestPriority = Math.max(...Object.values(MARKER_TYPES).map(markerType => markerType.priority));
+    const previous = MARKER_TYPES[key] || {};
+
+    MARKER_TYPES[key] = {
+        color: definition.color || previous.color || MARKER_TYPES.POI.color,
+        layer: `${key.toLowerCase()}-layer`,
+        priority: Number.isFinite(definition.priority) ? definition.priority : (previous.priority || lowestPriority + 1),
+        // "FOOD_TRUCK" reads as "Food Truck"
+        label: definition.label || previous.label || key.toLowerCase().split('_').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' '),
+        icon: definition.icon || previous.icon || MARKER_TYPES.POI.icon
+    };
+    return MARKER_TYPES[key];
+}
+
+/**
+ * Split a record into the marker fields and its extra properties
+ * @param {Object} record - GeoJSON feature properties or CSV record
+ * @returns {Object} { fields: { id, name, ... }, properties: remaining non-empty values }
+ */
+function splitDatasetRecord(record) {
+    const fields = {};
+    const properties = {};
+
+    Object.keys(record).forEach(key => {
+        const value = record[key];
+        const field = Object.keys(DATASET_FIELDS).find(name => DATASET_FIELDS[name].includes(key.toLowerCase()));
+
+        if (field) {
+            if (fields[field] === undefined) {
+                fields[field] = value;
+            }
+        } else if (value !== null && value !== undefined && value !== '') {
+            properties[key] = value;
+        }
+    });
+
+    return { fields, properties };
+}
+
+/**
+ * Build a marker from a record's fields; the type is resolved later by resolveDatasetType()
+ * @param {Object} fields - Fields from splitDatasetRecord()
+ * @param {Object} properties - Extra properties shown in the popup
+ * @param {Array} coordinates - [longitude, latitude]
+ * @returns {Object} Marker data ({ id, name, description, category, image, type, properties, coordinates })
+ */
+function createDatasetMarker(fields, properties, coordinates) {
+    const text = value => (value === null || value === undefined ? '' : String(value).trim());
+
+    return {
+        id: text(fields.id),
+        name: text(fields.name),
+        description: text(fields.description),
+        category: text(fields.category) || null,
+        image: text(fields.image) || null,
+        type: text(fields.type) || null,
+        properties,
+        coordinates
+    };
+}
+
+/**
+ * Parse a GeoJSON dataset. Point features become markers; other geometries are skipped.
+ * @param {string} text - GeoJSON text (a FeatureCollection or a single Feature)
+ * @returns {Array<Object>} Markers from createDatasetMarker()
+ */
+function parseGeoJSONDataset(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`not valid JSON (${error.message})`);
+    }
+
+    const features = data && data.type === 'FeatureCollection' ? data.features || [] : [data];
+    return features.map(feature => {
+        const { fields, properties } = splitDatasetRecord((feature && feature.properties) || {});
+        if (fields.id === undefined && feature && feature.id !== undefined) {
+            fields.id = feature.id;
+        }
+
+        const geometry = feature && feature.geometry;
+        return createDatasetMarker(fields, properties, geometry && geometry.type === 'Point' ? geometry.coordinates : undefined);
+    });
+}
+
+/**
+ * Parse a CSV dataset with lat and lon columns
+ * @param {string} text - CSV text with a header row
+ * @returns {Array<Object>} Markers from createDatasetMarker()
+ */
+function parseCSVDataset(text) {
+    return parseCSV(text).map(record => {
+        const { fields, properties } = splitDatasetRecord(record);
+        const coordinates = [parseFloat(fields.longitude), parseFloat(fields.latitude)];
+        return createDatasetMarker(fields, properties, coordinates);
+    });
+}
+
+/**
+ * Detect a dataset format from the file name, falling back to its contents
+ * @param {string} text - File contents
+ * @param {string} fileName - File name or URL (optional)
+ * @returns {string|null} One of DATASET_FORMATS, or null when unrecognized
+ */
+function detectDatasetFormat(text, fileName = '') {
+    const extension = fileName.split(/[?#]/)[0].split('.').pop().toLowerCase();
+    if (extension === 'json' || DATASET_FORMATS.includes(extension)) {
+        return extension === 'csv' ? 'csv' : 'geojson';
+    }
+
+    const start = text.trimStart();
+    if (start.startsWith('{')) return 'geojson';
+    if (/lat/i.test(start.split(/\r?\n/)[0])) return 'csv';
+
+    return null;
+}
+
+/**
+ * Choose a marker's type: its own type, then its category through the dataset's
+ * category mapping, then a category named like a marker type, then the dataset default
+ * @param {Object} marker - Marker from createDatasetMarker()
+ * @param {Object} dataset - { type, categories }
+ * @returns {string} Uppercase marker type (not checked against MARKER_TYPES)
+ */
+function resolveDatasetType(marker, dataset = {}) {
+    const { category } = marker;
+    const categories = dataset.categories || {};
+
+    if (marker.type) {
+        return marker.type.toUpperCase();
+    }
+    if (category) {
+        const mapped = Object.keys(categories).find(name => name.toLowerCase() === category.toLowerCase());
+        if (mapped) {
+            return categories[mapped].toUpperCase();
+        }
+        if (MARKER_TYPES[category.toUpperCase()]) {
+            return category.toUpperCase();
+        }
+    }
+    return (dataset.type || 'POI').toUpperCase();
+}
+
+/**
+ * Parse dataset file contents into markers.
+ * Points without a name or valid coordinates, or of an unknown type, are skipped with a warning.
+ * @param {string} text - File contents
+ * @param {string} format - One of DATASET_FORMATS
+ * @param {Object} dataset - { id, url, type, categories } from the scene
+ * @returns {Array<Object>} Markers ({ id, name, description, category, image, type, properties, coordinates })
+ */
+function parseDataset(text, format, dataset = {}) {
+    const source = dataset.url || 'dataset';
+    const parsers = { geojson: parseGeoJSONDataset, csv: parseCSVDataset };
+    if (!parsers[format]) {
+        throw new Error(`Dataset "${source}" has unsupported format "${format}" (expected ${DATASET_FORMATS.join(', ')})`);
+    }
+
+    let records;
+    try {
+        records = parsers[format](text);
+    } catch (error) {
+        throw new Error(`Dataset "${source}" could not be read: ${error.message}`);
+    }
+
+    // Points without an ID are numbered within the dataset, e.g. "landmarks-3"
+    const prefix = dataset.id || source.split(/[?#]/)[0].split('/').pop().replace(/\.[^.]*$/, '');
+    const skipped = [];
+
+    const markers = records.map((record, index) => ({
+        ...record,
+        id: record.id || `${prefix}-${index + 1}`,
+        type: resolveDatasetType(record, dataset)
+    })).filter((marker, index) => {
+        let problem = null;
+        if (!marker.name) {
+            problem = 'no name';
+        } else if (!isValidCoordinates(marker.coordinates)) {
+            problem = 'no valid coordinates';
+        } else if (!MARKER_TYPES[marker.type] || RESERVED_MARKER_TYPES.includes(marker.type)) {
+            problem = `unknown marker type "${marker.type}"`;
+        }
+
+        if (problem) {
+            skipped.push(`#${index + 1} (${problem})`);
+        }
+        return !problem;
+    });
+
+    if (skipped.length > 0) {
+        console.warn(`Dataset "${source}": skipped ${skipped.length} points: ${skipped.slice(0, 5).join(', ')}${skipped.length > 5 ? ', ...' : ''}`);
+    }
+
+    return markers;
+}
+
+/**
+ * Fetch and parse a dataset file
+ * @param {Object} dataset - { id, url, format, type, categories } from the scene;
+ *                           format defaults to detection from the URL or contents
+ * @returns {Promise<Array<Object>>} Markers from parseDataset()
+ */
+async function loadDataset(dataset) {
+    const { url } = dataset;
+
+    let response;
+    try {
+        response = await fetch(url);
+    } catch (error) {
+        throw new Error(`Dataset file "${url}" could not be loaded: ${error.message}`);
+    }
+
+    if (!response.ok) {
+        throw new Error(`Dataset file "${url}" could not be loaded (HTTP ${response.status})`);
+    }
+
+    const text = await response.text();
+    const format = dataset.format || detectDatasetFormat(text, url);
+    if (!format) {
+        throw new Error(`Dataset file "${url}" is not a recognized GeoJSON or CSV file`);
+    }
+
+    return parseDataset(text, format, dataset);
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DATASET_FORMATS,
+        BUILT_IN_MARKER_TYPES,
+        RESERVED_MARKER_TYPES,
+        registerMarkerType,
+        parseGeoJSONDataset,
+        parseCSVDataset,
+        detectDatasetFormat,
+        resolveDatasetType,
+        parseDataset,
+        loadDataset
+    };
+}
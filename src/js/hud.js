@@ -0,0 +1,287 @@
+/**
+ * In-flight information panel for Mapbox Flight Path Visualization
+ * Shows the route, distance flown and to go, elapsed time and ETA, ground speed,
+ * altitude and position of the aircraft, updated as it moves
+ */
+
+// Conversions from the app's nautical miles, knots and feet
+const HUD_UNITS = {
+    distance: { nm: 1, km: 1.852, mi: 1.150779 },
+    speed: { kt: 1, 'km/h': 1.852, mph: 1.150779 },
+    altitude: { ft: 1, m: 0.3048 }
+};
+
+// Row labels, by HUD_CONFIG.fields name
+const HUD_FIELDS = {
+    route: 'Route',
+    distanceFlown: 'Flown',
+    distanceRemaining: 'To go',
+    elapsed: 'Elapsed',
+    eta: 'ETA',
+    groundSpeed: 'Ground speed',
+    altitude: 'Altitude',
+    coordinates: 'Position'
+};
+
+const HUD_POSITIONS = ['top-left', 'top-right', 'bottom-left', 'bottom-right'];
+
+class FlightHud {
+    /**
+     * @param {FlightPathMap} flightPathMap - Map whose aircraft the panel describes
+     * @param {HTMLElement} container - Panel element (the #flight-hud aside)
+     */
+    constructor(flightPathMap, container) {
+        this.flightPathMap = flightPathMap;
+        this.container = container;
+        this.fields = [];
+        this.values = new Map();
+        this.route = null;
+    }
+
+    /**
+     * Build the rows from HUD_CONFIG and show the panel.
+     * Unknown fields, units and positions are skipped or replaced by the default with a warning.
+     */
+    initialize() {
+        this.fields = HUD_CONFIG.fields.filter(field => {
+            if (!HUD_FIELDS[field]) {
+                console.warn(`Unknown HUD field "${field}", skipped`);
+                return false;
+            }
+            return true;
+        });
+
+        this.units = {};
+        Object.keys(HUD_UNITS).forEach(kind => {
+            const unit = HUD_CONFIG.units[kind];
+            const fallback = Object.keys(HUD_UNITS[kind])[0];
+            if (!HUD_UNITS[kind][unit]) {
+                console.warn(`Unknown HUD ${kind} unit "${unit}", using ${fallback}`);
+            }
+            this.units[kind] = HUD_UNITS[kind][unit] ? unit : fallback;
+        });
+
+        let position = HUD_CONFIG.position;
+        if (!HUD_POSITIONS.includes(position)) {
+            console.warn(`Unknown HUD position "${position}", using top-right`);
+            position = 'top-right';
+        }
+        HUD_POSITIONS.forEach(corner => this.container.classList.toggle(`flight-hud-${corner}`, corner === position));
+
+        this.route = this.buildRoute();
+        this.render();
+        this.setShowInScreenshots(HUD_CONFIG.showInScreenshots);
+        this.container.classList.remove('hidden');
+    }
+
+    /**
+     * The path the distances are measured along: the recorded track, or the great circle legs
+     * @returns {Object} { points: [{ coordinates, offset? }], cumulative: nm from the start to each point, total: nm }
+     */
+    buildRoute() {
+        const { scene } = this.flightPathMap;
+        const points = scene.track
+            ? scene.track.points
+            : scene.stops.map(stop => ({ coordinates: stop.coordinates }));
+
+        const cumulative = [0];
+        for (let index = 1; index < points.length; index++) {
+            cumulative.push(cumulative[index - 1] +
+                calculateDistanceNauticalMiles(points[index - 1].coordinates, points[index].coordinates));
+        }
+
+        return { points, cumulative, total: cumulative[cumulative.length - 1] };
+    }
+
+    /**
+     * (Re)build the rows for the configured fields
+     */
+    render() {
+        this.container.innerHTML = '';
+        this.values.clear();
+
+        const list = document.createElement('dl');
+        this.fields.forEach(field => {
+            const row = document.createElement('div');
+            row.className = 'hud-row';
+            row.dataset.field = field;
+
+            const label = document.createElement('dt');
+            label.textContent = HUD_FIELDS[field];
+
+            const value = document.createElement('dd');
+            value.textContent = '—';
+
+            row.append(label, value);
+            list.appendChild(row);
+            this.values.set(field, value);
+        });
+        this.container.appendChild(list);
+    }
+
+    /**
+     * Index of the route segment the aircraft is on
+     * @param {Array} position - Aircraft [longitude, latitude]
+     * @param {Object} state - Aircraft state ({ legIndex } while flying the itinerary)
+     * @returns {number} Index of the segment's first point
+     */
+    findSegment(position, state) {
+        const { points } = this.route;
+        const { scene, liveFeed, flightTime } = this.flightPathMap;
+        const last = Math.max(points.length - 2, 0);
+
+        // A live feed can be anywhere; pick the segment it strays least from
+        if (liveFeed) {
+            let best = 0;
+            let bestDetour = Infinity;
+            for (let index = 0; index <= last; index++) {
+                const from = points[index].coordinates;
+                const to = points[index + 1] ? points[index + 1].coordinates : from;
+                const detour = calculateDistanceNauticalMiles(from, position) +
+                    calculateDistanceNauticalMiles(position, to) -
+                    calculateDistanceNauticalMiles(from, to);
+                if (detour < bestDetour) {
+                    best = index;
+                    bestDetour = detour;
+                }
+            }
+            return best;
+        }
+
+        // Tracks are timed; find the fix before the current flight time
+        if (scene.track) {
+            let low = 0;
+            let high = points.length - 1;
+            while (high - low > 1) {
+                const middle = Math.floor((low + high) / 2);
+                if (points[middle].offset <= flightTime) {
+                    low = middle;
+                } else {
+                    high = middle;
+                }
+            }
+            return low;
+        }
+
+        return Math.min(Number.isInteger(state.legIndex) ? state.legIndex : 0, last);
+    }
+
+    /**
+     * Gather the flight data shown in the panel
+     * @param {Array} position - Aircraft [longitude, latitude]
+     * @param {Object} state - Aircraft state ({ altitude, groundSpeed, legIndex, ... })
+     * @returns {Object} { origin, destination, distanceFlown, distanceRemaining (nm), elapsed,
+     *                     timeRemaining (minutes, null when unknown), groundSpeed (kt), altitude (ft), coordinates }
+     */
+    getFlightInfo(position, state = {}) {
+        const { scene, liveFeed, flightTime } = this.flightPathMap;
+        const { points, cumulative, total } = this.route;
+
+        // Straight to the end of the current segment, then along the rest of the route
+        const next = Math.min(this.findSegment(position, state) + 1, points.length - 1);
+        const remaining = calculateDistanceNauticalMiles(position, points[next].coordinates) +
+            total - cumulative[next];
+        const distanceRemaining = Math.min(Math.max(remaining, 0), total);
+
+        // The schedule gives the time left; a live aircraft's comes from its ground speed
+        let timeRemaining = null;
+        if (!liveFeed) {
+            timeRemaining = Math.max(scene.flight.totalFlightTime - flightTime, 0);
+        } else if (state.groundSpeed > 0) {
+            timeRemaining = distanceRemaining / state.groundSpeed * 60;
+        }
+
+        return {
+            origin: scene.origin,
+            destination: scene.destination,
+            distanceFlown: total - distanceRemaining,
+            distanceRemaining,
+            elapsed: liveFeed ? null : flightTime,
+            timeRemaining,
+            groundSpeed: state.groundSpeed,
+            altitude: state.altitude,
+            coordinates: position
+        };
+    }
+
+    /**
+     * Text for one row
+     * @param {string} field - HUD_CONFIG.fields name
+     * @param {Object} info - Flight data from getFlightInfo()
+     * @returns {string} Display value ('—' when unknown)
+     */
+    formatField(field, info) {
+        const number = (value, kind) => {
+            if (!Number.isFinite(value)) return '—';
+            const unit = this.units[kind];
+            return `${Math.round(value * HUD_UNITS[kind][unit]).toLocaleString('en-US')} ${unit}`;
+        };
+        const airport = stop => stop.iata || stop.id.toUpperCase();
+
+        switch (field) {
+            case 'route':
+                return `${airport(info.origin)} → ${airport(info.destination)}`;
+            case 'distanceFlown':
+                return number(info.distanceFlown, 'distance');
+            case 'distanceRemaining':
+                return number(info.distanceRemaining, 'distance');
+            case 'elapsed':
+                return info.elapsed === null ? '—' : formatDuration(info.elapsed);
+            case 'eta':
+                if (info.timeRemaining === null) return '—';
+                return info.timeRemaining > 0 ? `in ${formatDuration(info.timeRemaining)}` : 'Arrived';
+            case 'groundSpeed':
+                return number(info.groundSpeed, 'speed');
+            case 'altitude':
+                return number(info.altitude, 'altitude');
+            case 'coordinates':
+                return formatCoordinates(info.coordinates);
+            default:
+                return '—';
+        }
+    }
+
+    /**
+     * Show the aircraft's latest position and flight data
+     * @param {Array} position - Aircraft [longitude, latitude]
+     * @param {Object} state - Aircraft state ({ altitude, groundSpeed, legIndex, ... })
+     */
+    update(position, state) {
+        if (!this.route || !isValidCoordinates(position)) {
+            return;
+        }
+
+        const info = this.getFlightInfo(position, state);
+        this.values.forEach((element, field) => {
+            const text = this.formatField(field, info);
+            if (element.textContent !== text) {
+                element.textContent = text;
+            }
+        });
+    }
+
+    /**
+     * Choose whether the panel stays visible in screenshot mode
+     * @param {boolean} visible - Keep the panel in screenshots
+     */
+    setShowInScreenshots(visible) {
+        this.container.classList.toggle('hud-screenshot-hidden', !visible);
+    }
+
+    /**
+     * Hide the panel
+     */
+    destroy() {
+        this.container.classList.add('hidden');
+        this.route = null;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        HUD_UNITS,
+        HUD_FIELDS,
+        FlightHud
+    };
+}
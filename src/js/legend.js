@@ -0,0 +1,337 @@
+/**
+ * Map legend for Mapbox Flight Path Visualization
+ * Turns the #map-legend panel into a layer control: a checkbox per marker type and
+ * the flight path, marker counts, "solo" and keyboard shortcuts, remembered between visits
+ */
+
+class LegendControl {
+    /**
+     * @param {FlightPathMap} flightPathMap - Map whose layers the legend controls
+     * @param {HTMLElement} container - Legend panel (the #map-legend nav)
+     */
+    constructor(flightPathMap, container) {
+        this.flightPathMap = flightPathMap;
+        this.container = container;
+        this.list = null;
+        this.soloed = null;
+        this.beforeSolo = null;
+
+        // Bind methods to preserve context
+        this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+    }
+
+    /**
+     * Build the controls, apply the saved toggle state and start listening
+     * @param {Object} options - { restoreSaved: apply the state from local storage (default: true) }
+     */
+    initialize(options = {}) {
+        const { restoreSaved = true } = options;
+
+        this.render();
+
+        if (restoreSaved) {
+            this.loadState().forEach(key => this.setLayerVisibility(key, false));
+        }
+        this.setShowInScreenshots(LEGEND_CONFIG.showInScreenshots);
+        this.updateControls();
+
+        document.addEventListener('layerVisibilityChange', this.handleVisibilityChange);
+        document.addEventListener('keydown', this.handleKeyDown);
+    }
+
+    /**
+     * Legend rows: every marker type, then the flight path, in the colors of the current theme
+     * @returns {Array<Object>} { key, label, color, icon, count } per row; count is null for the path
+     */
+    getLayers() {
+        const { markerManager } = this.flightPathMap;
+        const theme = this.flightPathMap.getTheme();
+
+        const markerLayers = Object.keys(MARKER_TYPES).map(type => {
+            const { label, icon, layer } = MARKER_TYPES[type];
+            const markers = markerManager ? markerManager.layers.get(layer) || [] : [];
+            const color = getThemeMarkerColor(theme, type);
+            return { key: type.toLowerCase(), label: label || type, color, icon, count: markers.length };
+        });
+
+        return [
+            ...markerLayers,
+            { key: URL_STATE_CONFIG.pathLayer, label: LEGEND_CONFIG.pathLabel, color: theme.flightPath.color, icon: null, count: null }
+        ];
+    }
+
+    /**
+     * (Re)build the legend rows, e.g. after marker types were added or the theme changed
+     */
+    render() {
+        this.container.innerHTML = '';
+        this.container.classList.add('map-legend-interactive');
+
+        this.list = document.createElement('ul');
+        this.getLayers().forEach((layer, index) => {
+            this.list.appendChild(this.createRow(layer, index));
+        });
+        this.container.appendChild(this.list);
+    }
+
+    /**
+     * Create the row for one layer
+     * @param {Object} layer - Row from getLayers()
+     * @param {number} index - Row position; the first nine get number key shortcuts
+     * @returns {HTMLElement} List item
+     */
+    createRow(layer, index) {
+        const { key, label, color, icon, count } = layer;
+        const row = document.createElement('li');
+        row.className = 'legend-item';
+        row.dataset.layer = key;
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.id = `legend-toggle-${key}`;
+        checkbox.className = 'legend-toggle';
+        checkbox.checked = true;
+        checkbox.addEventListener('change', () => {
+            this.clearSolo();
+            this.setLayerVisibility(key, checkbox.checked);
+            this.saveState();
+        });
+
+        const swatch = document.createElement('span');
+        swatch.className = icon ? 'legend-icon' : 'legend-icon legend-line';
+        swatch.setAttribute('aria-hidden', 'true');
+        if (icon) {
+            this.loadIcon(swatch, icon, color);
+        }
+
+        const text = document.createElement('label');
+        text.className = 'legend-label';
+        text.htmlFor = checkbox.id;
+        text.textContent = label;
+
+        row.append(checkbox, swatch, text);
+
+        if (count !== null) {
+            const badge = document.createElement('span');
+            badge.className = 'legend-count';
+            badge.textContent = count;
+            badge.setAttribute('aria-label', `${count} shown on the map`);
+            row.appendChild(badge);
+        }
+
+        const solo = document.createElement('button');
+        solo.type = 'button';
+        solo.className = 'legend-solo';
+        solo.textContent = 'Solo';
+        solo.setAttribute('aria-pressed', 'false');
+        solo.setAttribute('aria-label', `Show only ${label}`);
+        solo.addEventListener('click', () => this.toggleSolo(key));
+        row.appendChild(solo);
+
+        if (index < 9) {
+            checkbox.setAttribute('aria-keyshortcuts', String(index + 1));
+            solo.setAttribute('aria-keyshortcuts', `Shift+${index + 1}`);
+        }
+
+        return row;
+    }
+
+    /**
+     * Inject a marker icon, colored like the markers on the map
+     * @param {HTMLElement} element - Icon container
+     * @param {string} path - SVG path
+     * @param {string} color - Stroke and fill color
+     */
+    loadIcon(element, path, color) {
+        fetch(path)
+            .then(res => {
+                if (!res.ok) {
+                    throw new Error(`Legend icon "${path}" could not be loaded (HTTP ${res.status})`);
+                }
+                return res.text();
+            })
+            .then(svg => {
+                svg = svg.replace(/stroke="currentColor"/g, `stroke="${color}"`);
+                svg = svg.replace(/fill="currentColor"/g, `fill="${color}"`);
+                element.innerHTML = svg;
+            })
+            .catch(error => console.warn(error.message));
+    }
+
+    /**
+     * Show or hide one layer on the map
+     * @param {string} key - Lowercase marker type or URL_STATE_CONFIG.pathLayer
+     * @param {boolean} visible - Visibility state
+     */
+    setLayerVisibility(key, visible) {
+        if (key === URL_STATE_CONFIG.pathLayer) {
+            this.flightPathMap.setFlightPathVisibility(visible);
+        } else if (MARKER_TYPES[key.toUpperCase()]) {
+            this.flightPathMap.setMarkerVisibility(key.toUpperCase(), visible);
+        }
+    }
+
+    /**
+     * Show only one layer, or restore the previous layers when it is already soloed
+     * @param {string} key - Layer to solo
+     */
+    toggleSolo(key) {
+        if (this.soloed === key) {
+            const previous = this.beforeSolo;
+            this.clearSolo();
+            this.getLayers().forEach(layer => this.setLayerVisibility(layer.key, !previous.has(layer.key)));
+        } else {
+            if (!this.soloed) {
+                this.beforeSolo = new Set(this.flightPathMap.hiddenLayers);
+            }
+            this.getLayers().forEach(layer => this.setLayerVisibility(layer.key, layer.key === key));
+            this.soloed = key;
+        }
+
+        this.updateControls();
+        this.saveState();
+    }
+
+    /**
+     * Forget the solo state without changing any layer
+     */
+    clearSolo() {
+        if (this.soloed === null) return;
+
+        this.soloed = null;
+        this.beforeSolo = null;
+        this.updateControls();
+    }
+
+    /**
+     * Make every layer visible
+     */
+    showAll() {
+        this.clearSolo();
+        this.getLayers().forEach(layer => this.setLayerVisibility(layer.key, true));
+        this.saveState();
+    }
+
+    /**
+     * Choose whether the legend stays visible in screenshot mode
+     * @param {boolean} visible - Keep the legend in screenshots
+     */
+    setShowInScreenshots(visible) {
+        this.container.classList.toggle('legend-screenshot-hidden', !visible);
+    }
+
+    /**
+     * Sync checkboxes and solo buttons with the map
+     */
+    updateControls() {
+        const hidden = this.flightPathMap.hiddenLayers;
+
+        this.list.querySelectorAll('.legend-item').forEach(row => {
+            const key = row.dataset.layer;
+            const visible = !hidden.has(key);
+            row.classList.toggle('legend-item-hidden', !visible);
+            row.querySelector('.legend-toggle').checked = visible;
+
+            const solo = row.querySelector('.legend-solo');
+            solo.setAttribute('aria-pressed', String(this.soloed === key));
+            solo.classList.toggle('active', this.soloed === key);
+        });
+    }
+
+    /**
+     * Keep the controls in step with visibility changes from anywhere (URL, captures, the API)
+     */
+    handleVisibilityChange() {
+        this.updateControls();
+    }
+
+    /**
+     * Number keys toggle layers in legend order, Shift+number solos, 0 shows everything.
+     * Arrow keys move between the checkboxes while the legend has focus.
+     * @param {KeyboardEvent} event - Key press
+     */
+    handleKeyDown(event) {
+        if (event.ctrlKey || event.metaKey || event.altKey) return;
+
+        const target = event.target;
+        const inLegend = this.container.contains(target);
+        const isTyping = target && ['INPUT', 'SELECT', 'TEXTAREA'].includes(target.tagName) && !inLegend;
+        if (isTyping || (target && target.isContentEditable)) return;
+
+        const row = inLegend && target.closest('.legend-item');
+        if (row && (event.key === 'ArrowDown' || event.key === 'ArrowUp')) {
+            const toggles = [...this.list.querySelectorAll('.legend-toggle')];
+            const current = toggles.indexOf(row.querySelector('.legend-toggle'));
+            const next = (current + (event.key === 'ArrowDown' ? 1 : -1) + toggles.length) % toggles.length;
+            toggles[next].focus();
+            event.preventDefault();
+            return;
+        }
+
+        // event.code keeps the digit when Shift changes the character
+        const match = /^(?:Digit|Numpad)(\d)$/.exec(event.code || '');
+        if (!match) return;
+
+        const digit = Number(match[1]);
+        const layers = this.getLayers();
+
+        if (digit === 0) {
+            this.showAll();
+        } else if (digit <= layers.length) {
+            const { key } = layers[digit - 1];
+            if (event.shiftKey) {
+                this.toggleSolo(key);
+            } else {
+                this.clearSolo();
+                this.setLayerVisibility(key, this.flightPathMap.hiddenLayers.has(key));
+                this.saveState();
+            }
+        } else {
+            return;
+        }
+        event.preventDefault();
+    }
+
+    /**
+     * Read the remembered hidden layers
+     * @returns {Array<string>} Hidden layer keys (empty when nothing was saved)
+     */
+    loadState() {
+        try {
+            const saved = JSON.parse(window.localStorage.getItem(LEGEND_CONFIG.storageKey) || 'null');
+            return saved && Array.isArray(saved.hidden) ? saved.hidden : [];
+        } catch (error) {
+            // Storage can be disabled or hold something unreadable; start with everything shown
+            console.warn('Could not read saved legend state:', error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Remember the hidden layers for the next visit
+     */
+    saveState() {
+        try {
+            const state = { hidden: [...this.flightPathMap.hiddenLayers] };
+            window.localStorage.setItem(LEGEND_CONFIG.storageKey, JSON.stringify(state));
+        } catch (error) {
+            console.warn('Could not save legend state:', error.message);
+        }
+    }
+
+    /**
+     * Stop listening for changes and key presses
+     */
+    destroy() {
+        document.removeEventListener('layerVisibilityChange', this.handleVisibilityChange);
+        document.removeEventListener('keydown', this.handleKeyDown);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        LegendControl
+    };
+}
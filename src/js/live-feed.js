@@ -0,0 +1,246 @@
+/**
+ * Live position feed for Mapbox Flight Path Visualization
+ * Follows aircraft position reports streamed by the server and animates the
+ * aircraft smoothly between them
+ */
+
+/**
+ * Resolve the live feed stream URL from the query string
+ * @param {string} search - Query string to read (default: current location)
+ * @returns {string|null} Stream URL, or null when the live feed is off
+ */
+function getLiveFeedSource(search = (typeof window !== 'undefined' ? window.location.search : '')) {
+    const params = new URLSearchParams(search);
+    const requested = params.get(LIVE_FEED_CONFIG.queryParam);
+
+    if (!requested || requested === '0' || requested === 'false') {
+        return null;
+    }
+
+    // ?live=replay or ?live=replay:<recording> streams a recorded flight from the server
+    if (requested === 'replay' || requested.startsWith('replay:')) {
+        const query = new URLSearchParams({ source: 'replay', speed: LIVE_FEED_CONFIG.replaySpeed });
+        const recording = requested.slice('replay:'.length);
+        if (recording) {
+            query.set('recording', recording);
+        }
+        return `${LIVE_FEED_CONFIG.streamUrl}?${query}`;
+    }
+
+    return LIVE_FEED_CONFIG.streamUrl;
+}
+
+/**
+ * Interpolate between two headings along the shorter turn
+ * @param {number} from - Start heading in degrees
+ * @param {number} to - End heading in degrees
+ * @param {number} fraction - Fraction between 0 and 1
+ * @returns {number} Heading in degrees (0-360)
+ */
+function interpolateHeading(from, to, fraction) {
+    const turn = ((to - from + 540) % 360) - 180;
+    return (from + turn * fraction + 360) % 360;
+}
+
+class LivePositionFeed {
+    /**
+     * @param {FlightPathMap} flightPathMap - Map whose aircraft follows the feed
+     * @param {string} streamUrl - Server-sent events URL
+     */
+    constructor(flightPathMap, streamUrl) {
+        this.flightPathMap = flightPathMap;
+        this.streamUrl = streamUrl;
+        this.eventSource = null;
+        this.samples = [];
+        this.clockOffset = null;
+        this.trackLength = 0;
+        this.trackPoints = [];
+        this.lastState = null;
+        this.animationFrame = null;
+
+        // Bind methods to preserve context
+        this.handlePosition = this.handlePosition.bind(this);
+        this.render = this.render.bind(this);
+    }
+
+    /**
+     * Connect to the stream and start animating the aircraft
+     */
+    start() {
+        this.stop();
+
+        console.log(`Connecting to live position feed: ${this.streamUrl}`);
+        this.eventSource = new EventSource(this.streamUrl);
+        this.eventSource.addEventListener('position', this.handlePosition);
+        this.eventSource.addEventListener('error', () => {
+            // EventSource reconnects by itself using the server's retry interval
+            console.warn('Live position feed disconnected, retrying...');
+        });
+
+        this.animationFrame = requestAnimationFrame(this.render);
+    }
+
+    /**
+     * Buffer a position report from the stream
+     * @param {MessageEvent} event - Server-sent "position" event
+     */
+    handlePosition(event) {
+        let report;
+        try {
+            report = JSON.parse(event.data);
+        } catch (error) {
+            console.warn('Ignoring malformed position report:', event.data);
+            return;
+        }
+
+        const receivedAt = Date.now();
+        const time = Number.isFinite(report.timestamp) ? report.timestamp : receivedAt;
+
+        // The smallest receive delay seen is the best estimate of server clock offset plus latency
+        const offset = receivedAt - time;
+        if (this.clockOffset === null || offset < this.clockOffset) {
+            this.clockOffset = offset;
+        }
+
+        // Reports must move forward in time to be interpolated
+        const last = this.samples[this.samples.length - 1];
+        if (last && time <= last.time) {
+            return;
+        }
+
+        this.samples.push({
+            time,
+            coordinates: report.coordinates,
+            heading: report.heading,
+            altitude: report.altitude,
+            groundSpeed: report.groundSpeed
+        });
+
+        if (this.samples.length > LIVE_FEED_CONFIG.maxBufferSize) {
+            const dropped = this.samples.length - LIVE_FEED_CONFIG.maxBufferSize;
+            this.samples.splice(0, dropped);
+            this.trackLength = Math.max(0, this.trackLength - dropped);
+            this.trackPoints.splice(0, dropped);
+        }
+    }
+
+    /**
+     * Get the interpolated aircraft state at a moment of the feed
+     * @param {number} time - Time in server milliseconds
+     * @returns {Object|null} State ({ coordinates, heading, altitude, groundSpeed, time }) or null before the first report
+     */
+    getStateAt(time) {
+        const { samples } = this;
+        if (samples.length === 0) {
+            return null;
+        }
+
+        // Hold the first and last reports rather than extrapolating past them
+        if (time <= samples[0].time) {
+            return { ...samples[0], time };
+        }
+        const last = samples[samples.length - 1];
+        if (time >= last.time) {
+            return { ...last, time };
+        }
+
+        let index = samples.length - 1;
+        while (samples[index - 1].time > time) {
+            index--;
+        }
+        const from = samples[index - 1];
+        const to = samples[index];
+        const fraction = (time - from.time) / (to.time - from.time);
+
+        const moved = calculateGreatCircleDistance(from.coordinates, to.coordinates) > 0.001;
+        const coordinates = moved
+            ? calculateIntermediatePoint(from.coordinates, to.coordinates, fraction)
+            : from.coordinates;
+
+        let heading;
+        if (Number.isFinite(from.heading) && Number.isFinite(to.heading)) {
+            heading = interpolateHeading(from.heading, to.heading, fraction);
+        } else if (moved) {
+            heading = calculateBearing(from.coordinates, to.coordinates);
+        }
+
+        const lerp = (a, b) => (Number.isFinite(a) && Number.isFinite(b) ? a + (b - a) * fraction : undefined);
+
+        return {
+            coordinates,
+            heading,
+            altitude: lerp(from.altitude, to.altitude),
+            groundSpeed: lerp(from.groundSpeed, to.groundSpeed),
+            time
+        };
+    }
+
+    /**
+     * Move the aircraft to its interpolated position for this frame
+     */
+    render() {
+        this.animationFrame = requestAnimationFrame(this.render);
+
+        if (this.samples.length === 0) return;
+
+        const renderTime = Date.now() - this.clockOffset - LIVE_FEED_CONFIG.interpolationDelay;
+        const state = this.getStateAt(renderTime);
+
+        const previous = this.lastState;
+        if (previous && previous.coordinates[0] === state.coordinates[0] &&
+            previous.coordinates[1] === state.coordinates[1] && previous.heading === state.heading) {
+            return;
+        }
+        this.lastState = state;
+
+        this.flightPathMap.updateAircraftPosition(state.coordinates, state.heading, state);
+
+        // The flown track runs through every report passed and ends at the aircraft,
+        // so it follows the aircraft between reports too
+        let passed = 0;
+        while (passed < this.samples.length && this.samples[passed].time <= renderTime) {
+            passed++;
+        }
+        if (passed !== this.trackLength) {
+            this.trackLength = passed;
+            this.trackPoints = this.samples.slice(0, passed).map(sample => sample.coordinates);
+        }
+        if (this.flightPathMap.markerManager) {
+            this.flightPathMap.markerManager.updateTrack([...this.trackPoints, state.coordinates]);
+        }
+
+        this.flightPathMap.dispatchEvent('livePosition', { state });
+    }
+
+    /**
+     * Draw the aircraft and the flown track again on the next frame, e.g. after the markers were rebuilt
+     */
+    redraw() {
+        this.lastState = null;
+        this.trackLength = 0;
+    }
+
+    /**
+     * Disconnect from the stream and stop animating
+     */
+    stop() {
+        if (this.eventSource) {
+            this.eventSource.close();
+            this.eventSource = null;
+        }
+
+        if (this.animationFrame) {
+            cancelAnimationFrame(this.animationFrame);
+            this.animationFrame = null;
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        LivePositionFeed,
+        getLiveFeedSource,
+        interpolateHeading
+    };
+}
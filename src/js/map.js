@@ -3,10 +3,32 @@
  * Handles map initialization, styling, and main functionality
  */
 
+/**
+ * Whether a map error means WebGL cannot be used, so the canvas fallback should take over
+ * @param {string} message - Error message
+ * @returns {boolean} True for WebGL support and context failures
+ */
+function isWebGLError(message) {
+    return /webgl/i.test(message || '');
+}
+
 class FlightPathMap {
     constructor() {
         this.map = null;
         this.markerManager = null;
+        this.playback = null;
+        this.liveFeed = null;
+        this.scene = null;
+        this.flightTime = 0;
+        this.theme = MAP_CONFIG.defaultTheme;
+        this.themeSwitch = null;
+        this.hiddenLayers = new Set();
+        this.urlState = null;
+        this.legend = null;
+        this.tour = null;
+        this.proximity = null;
+        this.hud = null;
+        this.fallback = null;
         this.isInitialized = false;
         
         // Bind methods to preserve context
@@ -22,25 +44,63 @@ class FlightPathMap {
         try {
             showLoading();
             
-            // Check for Mapbox access token
-            if (!MAPBOX_ACCESS_TOKEN || MAPBOX_ACCESS_TOKEN === 'YOUR_MAPBOX_ACCESS_TOKEN_HERE') {
+            // Check for Mapbox access token; the local style needs none
+            const offline = isOfflineMode();
+            if (!offline && (!MAPBOX_ACCESS_TOKEN || MAPBOX_ACCESS_TOKEN === 'YOUR_MAPBOX_ACCESS_TOKEN_HERE')) {
                 throw new Error('Mapbox access token not configured. Please update config.js with your token.');
             }
             
-            // Set Mapbox access token
-            mapboxgl.accessToken = MAPBOX_ACCESS_TOKEN;
+            // Load the scene before creating the map so the camera can start on the route
+            this.scene = await loadScene(getSceneUrl());
+            console.log(`Scene loaded: ${this.scene.name}`);
+            
+            // Read the shared view (camera, flight time, layers, theme) from the URL,
+            // once the scene has registered its marker types
+            this.urlState = new UrlStateManager(this);
+            this.theme = this.urlState.getTheme();
+            applyThemeToPage(this.getTheme());
+            
+            // A recorded track replaces the great circle route
+            const trackSource = getSceneTrackSource(this.scene);
+            if (trackSource) {
+                attachSceneTrack(this.scene, await loadTrack(trackSource.url, trackSource.format));
+                console.log(`Track loaded: ${this.scene.track.name} (${this.scene.track.points.length} positions)`);
+            }
+            
+            // POI and story datasets add to the markers declared in the scene
+            if (this.scene.datasets.length > 0) {
+                attachSceneDatasets(this.scene, await Promise.all(this.scene.datasets.map(loadDataset)));
+                const count = Object.values(this.scene.markers).reduce((total, list) => total + list.length, 0);
+                console.log(`Datasets loaded: ${this.scene.datasets.length} files, ${count} markers in total`);
+            }
             
             // Wait for mapboxgl to be fully loaded
             if (typeof mapboxgl === 'undefined') {
                 throw new Error('Mapbox GL JS not loaded. Please check your internet connection.');
             }
             
+            if (offline) {
+                // Point GL JS's session and telemetry requests at this server, which ignores them,
+                // so nothing reaches api.mapbox.com
+                mapboxgl.baseApiUrl = window.location.origin;
+                console.log('Offline mode: rendering from the local style');
+            } else {
+                // Set Mapbox access token
+                mapboxgl.accessToken = MAPBOX_ACCESS_TOKEN;
+            }
+            
+            // Without WebGL there is no map to create; draw the scene on a 2D canvas instead
+            if (!mapboxgl.supported({ failIfMajorPerformanceCaveat: false })) {
+                this.createFallbackVisualization('WebGL is not supported');
+                return;
+            }
+            
             // Create map instance with WebGL fallback and headless browser support
             this.map = new mapboxgl.Map({
                 container: 'map',
-                style: MAP_CONFIG.style,
-                center: MAP_CONFIG.defaultCenter,
-                zoom: MAP_CONFIG.defaultZoom,
+                style: this.getTheme().style,
+                center: this.scene.overview.center,
+                zoom: this.scene.overview.zoom,
                 attributionControl: false,
                 preserveDrawingBuffer: true, // Required for screenshots
                 antialias: false, // Disable antialiasing for better headless compatibility
@@ -81,6 +141,13 @@ class FlightPathMap {
             
         } catch (error) {
             console.error('Map initialization failed:', error);
+            
+            // The map throws when it cannot get a WebGL context after all
+            if (this.scene && isWebGLError(error.message)) {
+                this.createFallbackVisualization(error.message);
+                return;
+            }
+            
             showError(error.message);
             hideLoading();
         }
@@ -93,22 +160,80 @@ class FlightPathMap {
         try {
             console.log('Map loaded successfully');
             
-            // Initialize marker manager
-            this.markerManager = new MarkerManager(this.map);
+            // Initialize marker manager: DOM markers, or symbol layers for large scenes
+            this.markerManager = createMarkerManager(this.map, this.scene, this.getTheme());
             
             // Create all markers
             await this.markerManager.createAllMarkers();
             
-            // Apply custom styling (non-blocking)
-            setTimeout(() => {
-                this.applyCustomStyling();
-            }, 100);
+            // Start on the fitted overview now that the markers and path are known,
+            // unless the URL links to a specific view
+            if (this.scene.overview.fit && !this.urlState.hasCamera()) {
+                this.map.jumpTo(this.getOverviewCamera());
+            }
+            
+            // Animate the aircraft along the itinerary on demand
+            this.flightTime = this.scene.flight.aircraftTime;
+            this.playback = new FlightPlayback(this);
+            
+            // Report POI and story markers the aircraft passes, starting from where it is now
+            this.proximity = new ProximityMonitor(this);
+            const aircraft = this.markerManager.getAircraftMarker();
+            if (aircraft) {
+                this.proximity.update(aircraft.data.coordinates, aircraft.data.heading);
+            }
+            
+            // Flight data panel, filled in from the aircraft's current state
+            const hudElement = document.getElementById('flight-hud');
+            if (hudElement) {
+                this.hud = new FlightHud(this, hudElement);
+                this.hud.initialize();
+                const state = getSceneAircraftState(this.scene, this.flightTime);
+                this.hud.update(state.coordinates, state);
+            }
+            
+            // A live feed drives the aircraft instead of the playback clock
+            const liveSource = getLiveFeedSource();
+            if (liveSource) {
+                this.liveFeed = new LivePositionFeed(this, liveSource);
+                this.liveFeed.start();
+            } else {
+                this.playback.bindControls(document.getElementById('playback-controls'));
+            }
+            
+            // Restore the linked view before reporting ready so captures include it
+            this.urlState.restore();
+            
+            // The legend doubles as the layer control; layers in a shared link win over saved ones
+            const legendElement = document.getElementById('map-legend');
+            if (legendElement) {
+                this.legend = new LegendControl(this, legendElement);
+                this.legend.initialize({ restoreSaved: this.urlState.initialState.hidden === null });
+            }
+            
+            // Scenes with a story tour get its caption and controls; ?tour=<step> opens it
+            if (this.scene.tour) {
+                this.tour = new StoryTour(this, this.scene.tour);
+                this.tour.bindControls(document.getElementById('story-tour'));
+                
+                const tourStep = getTourStartStep();
+                if (tourStep !== null) {
+                    this.tour.start(tourStep, { animate: false })
+                        .catch(error => console.warn('Tour failed to start:', error.message));
+                }
+            }
+            
+            // Apply custom styling before reporting ready so captures include it
+            this.applyCustomStyling();
             
             // Hide loading indicator
             hideLoading();
             
             this.isInitialized = true;
             
+            // Keep the URL in step with the view from now on
+            this.urlState.start();
+            
             // Trigger custom event for external listeners
             this.dispatchEvent('mapReady');
             
@@ -120,15 +245,24 @@ class FlightPathMap {
     }
     
     /**
-     * Handle map error event
+     * Handle map error event. Tile and source errors, and anything after load, leave the
+     * rest of the map usable and are only logged. Before load, a WebGL failure switches to
+     * the canvas fallback; other failures, such as a rejected token or a missing style, are shown.
      */
     handleMapError(error) {
         console.error('Map error:', error);
         
-        // Try to create a fallback visualization
-        this.createFallbackVisualization();
+        if (this.isInitialized || this.fallback || error.sourceId || error.tile) {
+            return;
+        }
+        
+        const message = error.error ? error.error.message : 'Map loading failed';
+        if (isWebGLError(message)) {
+            this.createFallbackVisualization(message);
+            return;
+        }
         
-        showError('Map loading failed. Using fallback visualization.');
+        showError(`Map loading failed: ${message}`);
         hideLoading();
     }
     
@@ -137,6 +271,10 @@ class FlightPathMap {
      */
     isMapVisible() {
         try {
+            if (this.fallback) {
+                return this.fallback.isRendered;
+            }
+            
             if (!this.map || !this.map.isStyleLoaded()) {
                 return false;
             }
@@ -161,65 +299,54 @@ class FlightPathMap {
     }
 
     /**
-     * Create fallback visualization when WebGL fails
+     * Replace the map with a canvas drawing of the scene (see CanvasFallbackRenderer) at the
+     * URL's camera or the overview, so pages and screenshots without WebGL still show the flight
+     * @param {string} reason - Why the map cannot be used, for the log and the mapFallback event
      */
-    createFallbackVisualization() {
+    createFallbackVisualization(reason) {
         try {
             const mapContainer = document.getElementById('map');
-            if (!mapContainer) return;
-
-            // Create a simple fallback visualization
-            mapContainer.innerHTML = `
-                <div style="
-                    width: 100%;
-                    height: 100%;
-                    background: linear-gradient(135deg, #1a1a1a 0%, #2d2d2d 100%);
-                    display: flex;
-                    flex-direction: column;
-                    justify-content: center;
-                    align-items: center;
-                    color: white;
-                    font-family: Arial, sans-serif;
-                    position: relative;
-                ">
-                    <div style="
-                        position: absolute;
-                        top: 20%;
-                        left: 20%;
-                        width: 60%;
-                        height: 60%;
-                        border: 2px solid #3B82F6;
-                        border-radius: 10px;
-                        background: rgba(59, 130, 246, 0.1);
-                        display: flex;
-                        flex-direction: column;
-                        justify-content: center;
-                        align-items: center;
-                    ">
-                        <div style="font-size: 24px; margin-bottom: 10px;">✈️ Flight Path</div>
-                        <div style="font-size: 16px; text-align: center;">
-                            CVG → MCO<br>
-                            <span style="color: #10B981;">●</span> POI Markers<br>
-                            <span style="color: #8B5CF6;">●</span> Story Markers<br>
-                            <span style="color: #FFFFFF;">●</span> Aircraft Position
-                        </div>
-                    </div>
-                    <div style="
-                        position: absolute;
-                        bottom: 20px;
-                        right: 20px;
-                        font-size: 12px;
-                        opacity: 0.7;
-                    ">
-                        Fallback Mode
-                    </div>
-                </div>
-            `;
-            
-            console.log('Fallback visualization created');
+            if (!mapContainer || !this.scene) {
+                showError(`Map unavailable: ${reason}`);
+                return;
+            }
+            
+            if (this.map) {
+                // A map that failed to load may not clean up after itself
+                try {
+                    this.map.remove();
+                } catch (error) {
+                    console.warn('Could not remove the failed map:', error);
+                }
+                this.map = null;
+            }
+            
+            const state = this.urlState ? this.urlState.initialState : { camera: null, time: null, hidden: null };
+            this.hiddenLayers = new Set(state.hidden || []);
+            
+            this.fallback = new CanvasFallbackRenderer(mapContainer, this.scene, {
+                theme: this.getTheme(),
+                hiddenLayers: this.hiddenLayers,
+                flightTime: state.time !== null ? state.time : this.scene.flight.aircraftTime
+            });
+            this.fallback.show(state.camera || this.fallback.getOverviewCamera());
+            
+            // Tell viewers the map is simplified; screenshot mode hides the notice
+            const notice = document.createElement('div');
+            notice.className = 'fallback-notice';
+            notice.textContent = `Simplified map: ${reason}`;
+            mapContainer.appendChild(notice);
+            
+            document.body.classList.add('map-fallback');
+            hideLoading();
+            
+            console.warn(`Map unavailable (${reason}); drawing the canvas fallback`);
+            this.dispatchEvent('mapFallback', { reason });
             
         } catch (error) {
             console.error('Failed to create fallback visualization:', error);
+            showError('Map loading failed and the fallback could not be drawn');
+            hideLoading();
         }
     }
     
@@ -263,17 +390,8 @@ class FlightPathMap {
             
             console.log('Available map layers:', layerIds);
             
-            // Only apply styling to layers that exist
-            if (layerIds.includes('background')) {
-                this.map.setPaintProperty('background', 'background-color', '#1a1a1a');
-            }
-            
-            if (layerIds.includes('water')) {
-                this.map.setPaintProperty('water', 'background-color', '#0f1419');
-            }
-            
-            // Note: Road and label styling may not be available in all styles
-            // The dark theme should already provide good contrast
+            // Paint overrides of the current theme, for the layers its base style has
+            applyThemePaint(this.map, this.getTheme());
             
             console.log('Custom styling applied successfully');
             
@@ -283,6 +401,201 @@ class FlightPathMap {
         }
     }
     
+    /**
+     * Definition of the current theme
+     * @returns {Object} Theme from getThemeDefinition() ({ name, label, style, paint, markers, markerSize, flightPath, ui })
+     */
+    getTheme() {
+        return getThemeDefinition(this.theme);
+    }
+    
+    /**
+     * Switch the theme at runtime. The base style is replaced, so the markers, flight path
+     * and flown track are rebuilt on it; the legend, panels and popups follow the page styling.
+     * @param {string} name - Theme name from MAP_CONFIG.themes
+     * @returns {Promise<Object>} Resolves with the theme once the new style and markers are in place
+     */
+    async setTheme(name) {
+        const theme = getThemeDefinition(name);
+        
+        // One switch at a time: each rebuilds the markers the previous one created
+        while (this.themeSwitch) {
+            await this.themeSwitch;
+        }
+        if (name === this.theme) {
+            return theme;
+        }
+        if (this.map && !this.isInitialized) {
+            throw new Error('Map not initialized');
+        }
+        
+        this.theme = name;
+        applyThemeToPage(theme);
+        if (this.fallback) {
+            this.fallback.setTheme(theme);
+        }
+        if (!this.map) {
+            // The map is created with this theme, or there is no map
+            return theme;
+        }
+        
+        this.themeSwitch = this.rebuildForTheme(theme);
+        try {
+            await this.themeSwitch;
+        } finally {
+            this.themeSwitch = null;
+        }
+        
+        this.dispatchEvent('themeChange', { theme: name });
+        console.log(`Theme changed to ${theme.label}`);
+        return theme;
+    }
+    
+    /**
+     * Load a theme's base style and redraw everything the app adds to the map
+     * @param {Object} theme - Definition from getThemeDefinition()
+     */
+    async rebuildForTheme(theme) {
+        if (this.proximity) {
+            this.proximity.reset();
+        }
+        this.markerManager.removeAllMarkers();
+        
+        await new Promise(resolve => {
+            this.map.once('style.load', resolve);
+            this.map.setStyle(theme.style, { diff: false });
+        });
+        this.applyCustomStyling();
+        
+        this.markerManager = createMarkerManager(this.map, this.scene, theme);
+        await this.markerManager.createAllMarkers();
+        
+        // Keep hidden layers hidden and the aircraft where it was
+        this.hiddenLayers.forEach(layer => {
+            if (layer === URL_STATE_CONFIG.pathLayer) {
+                this.setFlightPathVisibility(false);
+            } else if (MARKER_TYPES[layer.toUpperCase()]) {
+                this.markerManager.setLayerVisibility(layer.toUpperCase(), false);
+            }
+        });
+        if (this.liveFeed) {
+            this.liveFeed.redraw();
+        } else {
+            this.setFlightTime(this.flightTime);
+        }
+        
+        if (this.legend) {
+            this.legend.render();
+            this.legend.updateControls();
+        }
+    }
+    
+    /**
+     * List what the map is still waiting for before a frame is complete
+     * @returns {Array<string>} Any of 'initialization', 'style', 'tiles', 'icons', 'camera'; empty when ready
+     */
+    getPendingReadiness() {
+        if (!this.isInitialized || !this.map) {
+            return ['initialization'];
+        }
+        
+        const pending = [];
+        if (!this.map.isStyleLoaded()) {
+            pending.push('style');
+        }
+        if (!this.map.areTilesLoaded()) {
+            pending.push('tiles');
+        }
+        if (this.markerManager && this.markerManager.pendingIcons > 0) {
+            pending.push('icons');
+        }
+        if (this.map.isMoving()) {
+            pending.push('camera');
+        }
+        return pending;
+    }
+    
+    /**
+     * Wait until the map has finished rendering: style, tiles and marker icons loaded
+     * and no camera animation running. Used by Puppeteer instead of fixed sleeps.
+     * @param {Object} options - { timeout: milliseconds (default: SCREENSHOT_CONFIG.readyTimeout) }
+     * @returns {Promise<Object>} Resolves with { waited } in milliseconds; rejects with an Error
+     *                            whose `reason` is 'timeout' or 'icons' and `pending` lists what was outstanding
+     */
+    whenReady(options = {}) {
+        const timeout = options.timeout !== undefined ? options.timeout : SCREENSHOT_CONFIG.readyTimeout;
+        const startedAt = Date.now();
+        
+        return new Promise((resolve, reject) => {
+            let settled = false;
+            let timer = null;
+            
+            const finish = (error) => {
+                if (settled) return;
+                settled = true;
+                clearTimeout(timer);
+                document.removeEventListener('mapReady', waitForIdle);
+                document.removeEventListener('mapFallback', waitForFallback);
+                if (this.map) {
+                    this.map.off('idle', handleIdle);
+                }
+                
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve({ waited: Date.now() - startedAt });
+                }
+            };
+            
+            const fail = (reason, message, pending) => {
+                const error = new Error(message);
+                error.reason = reason;
+                error.pending = pending;
+                finish(error);
+            };
+            
+            // 'idle' fires after a frame with every tile loaded and no camera movement
+            const handleIdle = async () => {
+                try {
+                    await this.markerManager.whenIconsLoaded();
+                } catch (error) {
+                    fail('icons', `Map not ready: ${error.message}`, ['icons']);
+                    return;
+                }
+                
+                // Another idle follows if the camera moved or tiles were requested meanwhile
+                if (this.getPendingReadiness().length === 0) {
+                    finish(null);
+                }
+            };
+            
+            const waitForIdle = () => {
+                this.map.on('idle', handleIdle);
+                // Render a fresh frame so idle reflects the current camera, not an earlier one
+                this.map.triggerRepaint();
+            };
+            
+            // The canvas fallback is drawn synchronously; only its outlines load
+            const waitForFallback = () => {
+                this.fallback.ready.then(() => finish(null));
+            };
+            
+            timer = setTimeout(() => {
+                const pending = this.getPendingReadiness();
+                fail('timeout', `Map not ready after ${timeout} ms, waiting for: ${pending.join(', ') || 'render'}`, pending);
+            }, timeout);
+            
+            if (this.fallback) {
+                waitForFallback();
+            } else if (this.isInitialized) {
+                waitForIdle();
+            } else {
+                document.addEventListener('mapReady', waitForIdle, { once: true });
+                document.addEventListener('mapFallback', waitForFallback, { once: true });
+            }
+        });
+    }
+    
     /**
      * Set map view for overview screenshot
      */
@@ -290,6 +603,13 @@ class FlightPathMap {
         try {
             console.log('Setting overview view...');
             
+            if (this.fallback) {
+                document.body.classList.remove('zoom-view');
+                this.fallback.show(this.fallback.getOverviewCamera());
+                await this.whenReady();
+                return;
+            }
+            
             if (!this.isInitialized) {
                 throw new Error('Map not initialized');
             }
@@ -297,23 +617,17 @@ class FlightPathMap {
             // Remove zoom view class for overview
             document.body.classList.remove('zoom-view');
             
-            const { zoom, center } = MAP_CONFIG.overview;
-            console.log('Overview view config:', { zoom, center });
+            const camera = this.getOverviewCamera();
+            console.log('Overview view config:', camera);
             
-            await this.map.flyTo({
-                center: center,
-                zoom: zoom,
+            this.map.flyTo({
+                ...camera,
                 duration: 2000,
                 essential: true
             });
             
-            // Wait for animation to complete
-            await new Promise(resolve => {
-                this.map.once('moveend', resolve);
-            });
-            
-            // Additional wait for tiles to load
-            await new Promise(resolve => setTimeout(resolve, SCREENSHOT_CONFIG.tileLoadWait));
+            // Wait for the animation, tiles and marker icons
+            await this.whenReady();
             
             console.log('Overview view set successfully');
             
@@ -325,11 +639,19 @@ class FlightPathMap {
     
     /**
      * Set map view for zoom screenshot
+     * @param {Object} options - { anchor, zoom, bearing, pitch } (defaults from MAP_CONFIG.zoom)
      */
-    async setZoomView() {
+    async setZoomView(options = {}) {
         try {
             console.log('Setting zoom view...');
             
+            if (this.fallback) {
+                document.body.classList.add('zoom-view');
+                this.fallback.show(this.fallback.getAnchoredCamera(this.fallback.getAircraft().coordinates, options));
+                await this.whenReady();
+                return;
+            }
+            
             if (!this.isInitialized) {
                 throw new Error('Map not initialized');
             }
@@ -340,36 +662,23 @@ class FlightPathMap {
             }
             
             const aircraftCoords = aircraftMarker.data.coordinates;
-            const { zoom } = MAP_CONFIG.zoom;
-            
             console.log('Aircraft coordinates:', aircraftCoords);
-            console.log('Zoom level:', zoom);
-            
-            // Simple approach: position aircraft in top third by adjusting center
-            // Move the center south so the aircraft appears higher in the frame
-            const latOffset = 0.5; // Adjust this value to fine-tune positioning
-            const center = [aircraftCoords[0], aircraftCoords[1] - latOffset];
             
-            console.log('Setting zoom view center:', center);
+            // Place the aircraft at the configured viewport anchor (top third by default)
+            const camera = this.getAnchoredCamera(aircraftCoords, options);
+            console.log('Setting zoom view camera:', camera);
             
             // Add zoom view class to body for enhanced marker styling
             document.body.classList.add('zoom-view');
             
-            // First set the zoom and center
-            await this.map.flyTo({
-                center: center,
-                zoom: zoom,
+            this.map.flyTo({
+                ...camera,
                 duration: 2000,
                 essential: true
             });
             
-            // Wait for animation to complete
-            await new Promise(resolve => {
-                this.map.once('moveend', resolve);
-            });
-            
-            // Additional wait for tiles to load
-            await new Promise(resolve => setTimeout(resolve, SCREENSHOT_CONFIG.tileLoadWait));
+            // Wait for the animation, tiles and marker icons
+            await this.whenReady();
             
             console.log('Zoom view set successfully');
             
@@ -379,6 +688,292 @@ class FlightPathMap {
         }
     }
     
+    /**
+     * Camera that shows the whole scene: markers and flight path fitted inside the
+     * overview padding (and clear of the legend), or the scene's fixed center and zoom
+     * @returns {Object} { center, zoom, bearing, pitch }
+     */
+    getOverviewCamera() {
+        if (this.fallback) {
+            return this.fallback.getOverviewCamera();
+        }
+        
+        const { center, zoom, fit, padding } = this.scene.overview;
+        const fixed = { center, zoom, bearing: 0, pitch: 0 };
+        
+        if (!fit) {
+            return fixed;
+        }
+        
+        const { bounds } = this.getFramingBounds();
+        const camera = bounds && this.map.cameraForBounds(bounds, {
+            padding: this.getFramingPadding(padding, MAP_CONFIG.overview.avoidLegend),
+            maxZoom: MAP_CONFIG.zoom.zoom
+        });
+        
+        // cameraForBounds gives up when the padding leaves no room for the bounds
+        if (!camera) {
+            console.warn('Overview bounds do not fit the viewport, using the scene center and zoom');
+            return fixed;
+        }
+        
+        return {
+            center: [wrapLongitude(camera.center.lng), camera.center.lat],
+            zoom: camera.zoom,
+            bearing: 0,
+            pitch: 0
+        };
+    }
+    
+    /**
+     * Camera that puts coordinates at an exact viewport position, for any
+     * viewport size, zoom, bearing or pitch
+     * @param {Array} coordinates - [longitude, latitude] to place
+     * @param {Object} options - { anchor: [x, y] as fractions of width and height, zoom, bearing, pitch }
+     *                           (defaults from MAP_CONFIG.zoom)
+     * @returns {Object} { center, zoom, bearing, pitch }
+     */
+    getAnchoredCamera(coordinates, options = {}) {
+        if (this.fallback) {
+            return this.fallback.getAnchoredCamera(coordinates, options);
+        }
+        
+        const {
+            anchor = MAP_CONFIG.zoom.anchor,
+            zoom = MAP_CONFIG.zoom.zoom,
+            bearing = MAP_CONFIG.zoom.bearing,
+            pitch = MAP_CONFIG.zoom.pitch
+        } = options;
+        
+        if (!Array.isArray(anchor) || anchor.length !== 2 || !anchor.every(value => value >= 0 && value <= 1)) {
+            throw new Error(`Invalid camera anchor: ${JSON.stringify(anchor)}`);
+        }
+        
+        const container = this.map.getContainer();
+        const target = { x: container.clientWidth * anchor[0], y: container.clientHeight * anchor[1] };
+        const middle = { x: container.clientWidth / 2, y: container.clientHeight / 2 };
+        
+        const previous = {
+            center: this.map.getCenter(),
+            zoom: this.map.getZoom(),
+            bearing: this.map.getBearing(),
+            pitch: this.map.getPitch()
+        };
+        
+        // Solve on the live camera and restore it afterwards; nothing is painted until
+        // the next frame, so the trial positions are never visible. Each step moves the
+        // aircraft's screen error into the center; pitch makes that inexact, so repeat
+        // until it lands within half a pixel.
+        this.map.jumpTo({ center: coordinates, zoom, bearing, pitch });
+        for (let step = 0; step < 5; step++) {
+            const point = this.map.project(coordinates);
+            const error = { x: point.x - target.x, y: point.y - target.y };
+            if (Math.hypot(error.x, error.y) < 0.5) break;
+            this.map.setCenter(this.map.unproject([middle.x + error.x, middle.y + error.y]));
+        }
+        
+        const center = this.map.getCenter();
+        this.map.jumpTo(previous);
+        
+        return { center: [center.lng, center.lat], zoom, bearing, pitch };
+    }
+    
+    /**
+     * Bounds of markers and the flight path
+     * @param {Object} options - { types: marker types to include (default: all),
+     *                             includePath: include the flight path (default: true) }
+     * @returns {Object} { bounds: LngLatBounds or null when empty, count: number of points }
+     */
+    getFramingBounds(options = {}) {
+        const { types, includePath = true } = options;
+        const wanted = types ? types.map(type => type.toUpperCase()) : Object.keys(MARKER_TYPES);
+        
+        const points = [];
+        this.markerManager.markers.forEach(({ data }) => {
+            if (wanted.includes(data.type)) {
+                points.push(data.coordinates);
+            }
+        });
+        
+        if (includePath) {
+            const path = this.markerManager.sources.get('flight-path');
+            if (path) {
+                path.features.forEach(feature => {
+                    feature.geometry.coordinates.forEach(line => points.push(...line));
+                });
+            }
+        }
+        
+        if (points.length === 0) {
+            return { bounds: null, count: 0 };
+        }
+        
+        // A route split at the antimeridian would otherwise span the whole world
+        const unwrapped = unwrapLongitudes(points);
+        const bounds = unwrapped.reduce(
+            (result, point) => result.extend(point),
+            new mapboxgl.LngLatBounds(unwrapped[0], unwrapped[0])
+        );
+        return { bounds, count: points.length };
+    }
+    
+    /**
+     * Camera padding, widened so fitted bounds stay clear of the legend and the flight HUD
+     * @param {number|Object} padding - Pixels on every side, or { top, right, bottom, left }
+     * @param {boolean} avoidLegend - Reserve room for the legend and HUD when they are shown
+     * @returns {Object} { top, right, bottom, left } in pixels
+     */
+    getFramingPadding(padding, avoidLegend) {
+        const result = normalizePadding(padding);
+        if (!avoidLegend) {
+            return result;
+        }
+        
+        const container = this.map.getContainer().getBoundingClientRect();
+        const margin = MAP_CONFIG.overview.legendMargin;
+        
+        ['map-legend', 'flight-hud'].forEach(id => {
+            const panel = document.getElementById(id);
+            if (!panel || panel.offsetParent === null) {
+                return;
+            }
+            
+            const rect = panel.getBoundingClientRect();
+            
+            // Each panel sits in a corner: reserve its width or its height, whichever costs less of the viewport
+            const horizontal = rect.left - container.left < container.right - rect.right
+                ? { side: 'left', pixels: rect.right - container.left + margin }
+                : { side: 'right', pixels: container.right - rect.left + margin };
+            const vertical = rect.top - container.top < container.bottom - rect.bottom
+                ? { side: 'top', pixels: rect.bottom - container.top + margin }
+                : { side: 'bottom', pixels: container.bottom - rect.top + margin };
+            const reserve = horizontal.pixels / container.width < vertical.pixels / container.height
+                ? horizontal
+                : vertical;
+            
+            result[reserve.side] = Math.max(result[reserve.side], reserve.pixels);
+        });
+        return result;
+    }
+    
+    /**
+     * Move the camera without animation and wait until the new view has rendered
+     * @param {Object} camera - { center, zoom, bearing, pitch }; omitted values keep the current camera
+     */
+    async setCamera(camera = {}) {
+        if (!this.isInitialized && !this.fallback) {
+            throw new Error('Map not initialized');
+        }
+        
+        if (camera.center !== undefined && !isValidCoordinates(camera.center)) {
+            throw new Error(`Invalid camera center: ${JSON.stringify(camera.center)}`);
+        }
+        ['zoom', 'bearing', 'pitch'].forEach(key => {
+            if (camera[key] !== undefined && !Number.isFinite(camera[key])) {
+                throw new Error(`Invalid camera ${key}: ${camera[key]}`);
+            }
+        });
+        
+        const options = {};
+        ['center', 'zoom', 'bearing', 'pitch'].forEach(key => {
+            if (camera[key] !== undefined) {
+                options[key] = camera[key];
+            }
+        });
+        
+        if (this.fallback) {
+            this.fallback.show({ ...this.fallback.camera, ...options });
+        } else {
+            this.map.jumpTo(options);
+        }
+        await this.whenReady();
+        
+        console.log('Camera set:', options);
+    }
+    
+    /**
+     * Fit the camera to markers and the flight path
+     * @param {Object} options - { types: marker types to include (default: all),
+     *                             includePath: include the flight path (default: true),
+     *                             padding, avoidLegend, bearing, pitch, maxZoom }
+     */
+    async fitToMarkers(options = {}) {
+        if (!this.isInitialized && !this.fallback) {
+            throw new Error('Map not initialized');
+        }
+        
+        const { padding = 50, avoidLegend = false, bearing = 0, pitch = 0, maxZoom = MAP_CONFIG.zoom.zoom } = options;
+        
+        // The fallback has no legend or HUD to avoid, and draws pitch top-down
+        if (this.fallback) {
+            const points = this.fallback.getFramingPoints(options);
+            if (points.length === 0) {
+                const wanted = options.types ? options.types.map(type => type.toUpperCase()) : Object.keys(MARKER_TYPES);
+                throw new Error(`No markers to fit for types: ${wanted.join(', ')}`);
+            }
+            
+            const camera = this.fallback.getFitCamera(points, padding, maxZoom, bearing);
+            if (!camera) {
+                throw new Error('Markers do not fit the viewport with this padding');
+            }
+            this.fallback.show({ ...camera, pitch });
+            await this.whenReady();
+            
+            console.log(`Camera fitted to ${points.length} points`);
+            return;
+        }
+        
+        const { bounds, count } = this.getFramingBounds(options);
+        
+        if (!bounds) {
+            const wanted = options.types ? options.types.map(type => type.toUpperCase()) : Object.keys(MARKER_TYPES);
+            throw new Error(`No markers to fit for types: ${wanted.join(', ')}`);
+        }
+        
+        this.map.fitBounds(bounds, {
+            padding: this.getFramingPadding(padding, avoidLegend),
+            bearing,
+            pitch,
+            maxZoom,
+            duration: 0
+        });
+        await this.whenReady();
+        
+        console.log(`Camera fitted to ${count} points`);
+    }
+    
+    /**
+     * Show/hide the flight path line
+     * @param {boolean} visible - Visibility state
+     */
+    setFlightPathVisibility(visible) {
+        if (this.map && this.map.getLayer('flight-path-layer')) {
+            this.map.setLayoutProperty('flight-path-layer', 'visibility', visible ? 'visible' : 'none');
+        }
+        this.trackLayerVisibility(URL_STATE_CONFIG.pathLayer, visible);
+    }
+    
+    /**
+     * Remember a layer's visibility and notify listeners when it changes
+     * @param {string} layer - Lowercase marker type or URL_STATE_CONFIG.pathLayer
+     * @param {boolean} visible - Visibility state
+     */
+    trackLayerVisibility(layer, visible) {
+        if (this.hiddenLayers.has(layer) === !visible) {
+            return;
+        }
+        
+        if (visible) {
+            this.hiddenLayers.delete(layer);
+        } else {
+            this.hiddenLayers.add(layer);
+        }
+        if (this.fallback) {
+            this.fallback.setHiddenLayers(this.hiddenLayers);
+        }
+        this.dispatchEvent('layerVisibilityChange', { layer, visible });
+    }
+    
     /**
      * Get current map state for debugging
      */
@@ -399,11 +994,56 @@ class FlightPathMap {
     /**
      * Update aircraft position
      * @param {Array} coordinates - New aircraft coordinates
+     * @param {number} heading - True heading in degrees (optional)
+     * @param {Object} details - Reported flight data for the popup ({ altitude, groundSpeed }, optional)
      */
-    updateAircraftPosition(coordinates) {
+    updateAircraftPosition(coordinates, heading, details) {
         if (this.markerManager) {
-            this.markerManager.updateAircraftPosition(coordinates);
+            this.markerManager.updateAircraftPosition(coordinates, heading, details);
+            
+            // The marker manager fills in a heading derived from the movement
+            const aircraft = this.markerManager.getAircraftMarker();
+            if (this.proximity && aircraft) {
+                this.proximity.update(aircraft.data.coordinates, aircraft.data.heading);
+            }
+        }
+        
+        if (this.hud) {
+            this.hud.update(coordinates, details);
+        }
+        
+        if (this.fallback) {
+            this.fallback.setAircraft(coordinates, heading);
+        }
+    }
+    
+    /**
+     * Place the aircraft at a moment of the itinerary
+     * @param {number} minutes - Time from first departure in minutes
+     * @returns {Object|null} Aircraft state ({ coordinates, heading, altitude, groundSpeed, flightPhase, ... })
+     */
+    setFlightTime(minutes) {
+        if (!this.scene) {
+            return null;
+        }
+        
+        this.flightTime = minutes;
+        const state = getSceneAircraftState(this.scene, minutes);
+        this.updateAircraftPosition(state.coordinates, state.heading, state);
+        this.dispatchEvent('flightTimeChange', { time: minutes, state });
+        return state;
+    }
+    
+    /**
+     * Jump the playback to a moment of the flight (used by the UI and Puppeteer)
+     * @param {number} minutes - Time from first departure in minutes
+     * @returns {Object|null} Aircraft state at that time
+     */
+    seek(minutes) {
+        if (this.playback) {
+            return this.playback.seek(minutes);
         }
+        return this.setFlightTime(minutes);
     }
     
     /**
@@ -415,6 +1055,7 @@ class FlightPathMap {
         if (this.markerManager) {
             this.markerManager.setLayerVisibility(type, visible);
         }
+        this.trackLayerVisibility(type.toLowerCase(), visible);
     }
     
     /**
@@ -443,11 +1084,51 @@ class FlightPathMap {
      * Clean up map resources
      */
     destroy() {
+        if (this.urlState) {
+            this.urlState.stop();
+        }
+        
+        if (this.legend) {
+            this.legend.destroy();
+            this.legend = null;
+        }
+        
+        if (this.tour) {
+            this.tour.destroy();
+            this.tour = null;
+        }
+        
+        if (this.proximity) {
+            this.proximity.destroy();
+            this.proximity = null;
+        }
+        
+        if (this.hud) {
+            this.hud.destroy();
+            this.hud = null;
+        }
+        
         if (this.map) {
             this.map.remove();
             this.map = null;
         }
         
+        if (this.fallback) {
+            this.fallback.destroy();
+            this.fallback = null;
+            document.body.classList.remove('map-fallback');
+        }
+        
+        if (this.playback) {
+            this.playback.destroy();
+            this.playback = null;
+        }
+        
+        if (this.liveFeed) {
+            this.liveFeed.stop();
+            this.liveFeed = null;
+        }
+        
         if (this.markerManager) {
             this.markerManager.removeAllMarkers();
             this.markerManager = null;
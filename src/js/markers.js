@@ -3,125 +3,134 @@
  * Handles creation, styling, and layer management for different marker types
  */
 
+/**
+ * Popup content for a marker, shared by every marker renderer.
+ * Marker text comes from scene and dataset files, so it is escaped.
+ * @param {Object} markerData - Marker data object ({ name, description, coordinates,
+ *                              and optionally category, image and extra properties })
+ * @param {Object} details - Reported flight data ({ altitude, groundSpeed }), shown when present
+ * @returns {string} Popup HTML
+ */
+function buildPopupHTML(markerData, details = {}) {
+    const { name, description, coordinates, category, image } = markerData;
+    const properties = markerData.properties || {};
+    const extras = Object.keys(properties).filter(key => properties[key] !== null && typeof properties[key] !== 'object');
+
+    return `
+        <div class="marker-popup">
+            ${image ? `<img class="marker-popup-image" src="${escapeHtml(image)}" alt="${escapeHtml(name)}" loading="lazy">` : ''}
+            <h4>${escapeHtml(name)}</h4>
+            ${category ? `<p class="marker-popup-category">${escapeHtml(category)}</p>` : ''}
+            ${description ? `<p>${escapeHtml(description)}</p>` : ''}
+            ${extras.length > 0 ? `<dl class="marker-popup-properties">${extras.map(key => `<dt>${escapeHtml(key)}</dt><dd>${escapeHtml(properties[key])}</dd>`).join('')}</dl>` : ''}
+            <p><strong>Coordinates:</strong> ${formatCoordinates(coordinates)}</p>
+            ${Number.isFinite(details.altitude) ? `<p><strong>Altitude:</strong> ${Math.round(details.altitude).toLocaleString()} ft</p>` : ''}
+            ${Number.isFinite(details.groundSpeed) ? `<p><strong>Ground speed:</strong> ${Math.round(details.groundSpeed)} kt</p>` : ''}
+        </div>
+    `;
+}
+
+/**
+ * Markers of a scene by lowercase type: the scene's markers, a city for every stop and the aircraft
+ * @param {Object} scene - Normalized scene
+ * @param {number} minutes - Flight time the aircraft is placed at (default: the scene's aircraftTime)
+ * @returns {Object} Arrays of marker data, keyed like scene.markers ({ cities, poi, story, aircraft, ... })
+ */
+function buildSceneMarkerData(scene, minutes = scene.flight.aircraftTime) {
+    const { stops, markers } = scene;
+    
+    // Calculate aircraft position and heading across the whole itinerary timeline
+    const aircraftState = getSceneAircraftState(scene, minutes);
+    const aircraftPosition = aircraftState.coordinates;
+    
+    // Every stop becomes a city marker, listed once even if visited twice
+    const cities = [];
+    stops.forEach(stop => {
+        if (!cities.some(city => city.id === stop.id)) {
+            cities.push({ ...stop, type: 'CITIES' });
+        }
+    });
+    
+    return {
+        ...markers,
+        cities,
+        aircraft: [
+            {
+                id: 'aircraft',
+                coordinates: aircraftPosition,
+                name: 'Aircraft Position',
+                type: 'AIRCRAFT',
+                heading: aircraftState.heading,
+                description: `Aircraft at ${formatCoordinates(aircraftPosition)}`
+            }
+        ]
+    };
+}
+
+/**
+ * Planned flight path of a scene: the recorded track, or a great circle line per leg
+ * @param {Object} scene - Normalized scene
+ * @returns {Object} GeoJSON FeatureCollection of MultiLineStrings, split at the antimeridian
+ */
+function buildFlightPathData(scene) {
+    const { track } = scene;
+    
+    return {
+        type: 'FeatureCollection',
+        features: track ? [{
+            type: 'Feature',
+            properties: {
+                track: track.name,
+                format: track.format
+            },
+            geometry: {
+                type: 'MultiLineString',
+                coordinates: splitAtAntimeridian(track.points.map(point => point.coordinates))
+            }
+        }] : scene.legs.map((leg, index) => ({
+            type: 'Feature',
+            properties: {
+                leg: index,
+                from: leg.from.id,
+                to: leg.to.id
+            },
+            geometry: createGreatCircleGeometry(
+                leg.from.coordinates,
+                leg.to.coordinates,
+                FLIGHT_CONFIG.pathSegmentLength
+            )
+        }))
+    };
+}
+
 class MarkerManager {
-    constructor(map) {
+    /**
+     * @param {Object} map - Mapbox map instance
+     * @param {Object} scene - Normalized scene
+     * @param {Object} theme - Definition from getThemeDefinition() (default: MAP_CONFIG.defaultTheme)
+     */
+    constructor(map, scene, theme = getThemeDefinition(MAP_CONFIG.defaultTheme)) {
         this.map = map;
+        this.scene = scene;
+        this.theme = theme;
         this.markers = new Map();
         this.layers = new Map();
         this.sources = new Map();
+        this.iconLoads = [];
+        this.pendingIcons = 0;
+        
+        // Bind methods to preserve context
+        this.handleMapMove = this.handleMapMove.bind(this);
         
         // Initialize marker data
         this.initializeMarkerData();
     }
     
     /**
-     * Initialize marker data with coordinates and metadata
+     * Initialize marker data from the loaded scene
      */
     initializeMarkerData() {
-        // Calculate aircraft position (2.5 minutes from CVG)
-        const aircraftPosition = calculateAircraftPosition(
-            COORDINATES.CVG,
-            COORDINATES.MCO,
-            FLIGHT_CONFIG.aircraftTimeFromCVG,
-            FLIGHT_CONFIG.totalFlightTime
-        );
-        
-        // Define POI locations near the aircraft position for better zoom view visibility
-        // Position POIs closer to the aircraft location (within ~50-100km)
-        const poi1 = calculateIntermediatePoint(COORDINATES.CVG, COORDINATES.MCO, 0.15); // Closer to CVG
-        const poi2 = calculateIntermediatePoint(COORDINATES.CVG, COORDINATES.MCO, 0.25); // Near aircraft
-        
-        // Define story marker locations near the aircraft for zoom view
-        const story1 = calculateIntermediatePoint(COORDINATES.CVG, COORDINATES.MCO, 0.1); // Very close to CVG
-        const story2 = calculateIntermediatePoint(COORDINATES.CVG, COORDINATES.MCO, 0.35); // Further along path
-        
-        this.markerData = {
-            cities: [
-                {
-                    id: 'cvg',
-                    coordinates: COORDINATES.CVG,
-                    name: 'CVG - Cincinnati/Northern Kentucky International Airport',
-                    type: 'CITIES',
-                    description: 'Departure airport'
-                },
-                {
-                    id: 'mco',
-                    coordinates: COORDINATES.MCO,
-                    name: 'MCO - Orlando International Airport',
-                    type: 'CITIES',
-                    description: 'Destination airport'
-                }
-            ],
-            poi: [
-                {
-                    id: 'poi-1',
-                    coordinates: poi1,
-                    name: 'Point of Interest 1',
-                    type: 'POI',
-                    description: 'Strategic location along flight path'
-                },
-                {
-                    id: 'poi-2',
-                    coordinates: poi2,
-                    name: 'Point of Interest 2',
-                    type: 'POI',
-                    description: 'Strategic location along flight path'
-                },
-                {
-                    id: 'poi-3',
-                    coordinates: [aircraftPosition[0] - 0.2, aircraftPosition[1] + 0.1],
-                    name: 'Nearby POI 3',
-                    type: 'POI',
-                    description: 'Local point of interest near aircraft'
-                },
-                {
-                    id: 'poi-4',
-                    coordinates: [aircraftPosition[0] + 0.15, aircraftPosition[1] - 0.15],
-                    name: 'Nearby POI 4',
-                    type: 'POI',
-                    description: 'Local point of interest near aircraft'
-                }
-            ],
-            story: [
-                {
-                    id: 'story-1',
-                    coordinates: story1,
-                    name: 'Story Point 1',
-                    type: 'STORY',
-                    description: 'Narrative-relevant location'
-                },
-                {
-                    id: 'story-2',
-                    coordinates: story2,
-                    name: 'Story Point 2',
-                    type: 'STORY',
-                    description: 'Narrative-relevant location'
-                },
-                {
-                    id: 'story-3',
-                    coordinates: [aircraftPosition[0] - 0.1, aircraftPosition[1] - 0.2],
-                    name: 'Nearby Story 3',
-                    type: 'STORY',
-                    description: 'Local story point near aircraft'
-                },
-                {
-                    id: 'story-4',
-                    coordinates: [aircraftPosition[0] + 0.25, aircraftPosition[1] + 0.05],
-                    name: 'Nearby Story 4',
-                    type: 'STORY',
-                    description: 'Local story point near aircraft'
-                }
-            ],
-            aircraft: [
-                {
-                    id: 'aircraft',
-                    coordinates: aircraftPosition,
-                    name: 'Aircraft Position',
-                    type: 'AIRCRAFT',
-                    description: `Aircraft at ${formatCoordinates(aircraftPosition)}`
-                }
-            ]
-        };
+        this.markerData = buildSceneMarkerData(this.scene);
     }
     
     /**
@@ -136,19 +145,21 @@ class MarkerManager {
                 });
             }
             
-            // Create markers in priority order (AIRCRAFT first, then CITIES, POI, STORY)
-            const priorityOrder = ['AIRCRAFT', 'CITIES', 'POI', 'STORY'];
+            // Create markers in priority order (AIRCRAFT first, then CITIES, POI, STORY, then scene types)
+            const priorityOrder = Object.keys(MARKER_TYPES)
+                .sort((a, b) => MARKER_TYPES[a].priority - MARKER_TYPES[b].priority);
             
             for (const type of priorityOrder) {
-                const markers = this.getMarkersByType(type);
-                for (const marker of markers) {
-                    await this.createMarker(marker);
-                }
+                await this.createMarkerLayer(type, this.getMarkersByType(type));
             }
             
             // Create flight path line
             this.createFlightPath();
             
+            // Keep the aircraft pointing along its track as the camera rotates or pitches
+            this.map.on('move', this.handleMapMove);
+            this.updateAircraftRotation();
+            
             console.log('All markers created successfully');
         } catch (error) {
             console.error('Error creating markers:', error);
@@ -166,12 +177,23 @@ class MarkerManager {
         return this.markerData[typeKey] || [];
     }
     
+    /**
+     * Create the markers of one type
+     * @param {string} type - Marker type
+     * @param {Array} markers - Marker data objects of that type
+     */
+    async createMarkerLayer(type, markers) {
+        for (const marker of markers) {
+            await this.createMarker(marker);
+        }
+    }
+    
     /**
      * Create a single marker
      * @param {Object} markerData - Marker data object
      */
     async createMarker(markerData) {
-        const { id, coordinates, name, type, description } = markerData;
+        const { id, coordinates, name, type } = markerData;
         
         // Create marker element
         const markerElement = this.createMarkerElement(type, name);
@@ -189,13 +211,7 @@ class MarkerManager {
             closeButton: true,
             closeOnClick: false,
             maxWidth: '300px'
-        }).setHTML(`
-            <div class="marker-popup">
-                <h4>${name}</h4>
-                <p>${description}</p>
-                <p><strong>Coordinates:</strong> ${formatCoordinates(coordinates)}</p>
-            </div>
-        `);
+        }).setHTML(buildPopupHTML(markerData));
         
         marker.setPopup(popup);
         
@@ -226,44 +242,35 @@ class MarkerManager {
         element.appendChild(label);
 
         // SVG icon logic
-        let svgPath = '';
-        if (type === 'CITIES') {
-            svgPath = 'assets/city.svg';
-        } else if (type === 'POI') {
-            svgPath = 'assets/poi.svg';
-        } else if (type === 'STORY') {
-            svgPath = 'assets/story.svg';
-        } else if (type === 'AIRCRAFT') {
-            svgPath = 'assets/airplane.svg';
-        }
+        const svgPath = MARKER_TYPES[type] ? MARKER_TYPES[type].icon : '';
 
         if (svgPath) {
             const svgWrapper = document.createElement('div');
             svgWrapper.className = 'marker-svg-wrapper';
             svgWrapper.setAttribute('aria-hidden', 'true');
-            // Use larger size for zoom view
-            const isZoomView = document.body.classList.contains('zoom-view');
-            const size = isZoomView ? '36px' : '32px';
-            svgWrapper.style.width = size;
-            svgWrapper.style.height = size;
-            svgWrapper.style.display = 'flex';
-            svgWrapper.style.alignItems = 'center';
-            svgWrapper.style.justifyContent = 'center';
-            // Color overlay for each type
-            let color = '#fff';
-            if (type === 'CITIES') color = '#3B82F6';
-            if (type === 'POI') color = '#10B981';
-            if (type === 'STORY') color = '#8B5CF6';
-            if (type === 'AIRCRAFT') color = '#fff';
+            // The size comes from the theme through the stylesheet, larger in zoom view
+            const color = getThemeMarkerColor(this.theme, type);
             // Fetch and inject SVG inline for color control
-            fetch(svgPath)
-                .then(res => res.text())
+            this.pendingIcons++;
+            const iconLoad = fetch(svgPath)
+                .then(res => {
+                    if (!res.ok) {
+                        throw new Error(`Marker icon "${svgPath}" could not be loaded (HTTP ${res.status})`);
+                    }
+                    return res.text();
+                })
                 .then(svg => {
                     // Replace stroke/fill with color for accessibility
                     svg = svg.replace(/stroke="currentColor"/g, `stroke="${color}"`);
                     svg = svg.replace(/fill="currentColor"/g, `fill="${color}"`);
                     svgWrapper.innerHTML = svg;
+                })
+                .finally(() => {
+                    this.pendingIcons--;
                 });
+            // Failures are reported through whenIconsLoaded()
+            iconLoad.catch(error => console.warn(error.message));
+            this.iconLoads.push(iconLoad);
             element.appendChild(svgWrapper);
         }
 
@@ -299,18 +306,12 @@ class MarkerManager {
     }
     
     /**
-     * Create flight path line between CVG and MCO
+     * Create flight path lines: the recorded track when the scene has one,
+     * otherwise one great circle feature per itinerary leg
      */
     createFlightPath() {
         // Create flight path source
-        const flightPathData = {
-            type: 'Feature',
-            properties: {},
-            geometry: {
-                type: 'LineString',
-                coordinates: [COORDINATES.CVG, COORDINATES.MCO]
-            }
-        };
+        const flightPathData = buildFlightPathData(this.scene);
         
         // Add source to map
         this.map.addSource('flight-path', {
@@ -328,8 +329,8 @@ class MarkerManager {
                 'line-cap': 'round'
             },
             paint: {
-                'line-color': 'rgba(255, 255, 255, 0.3)',
-                'line-width': 2,
+                'line-color': this.theme.flightPath.color,
+                'line-width': this.theme.flightPath.width,
                 'line-dasharray': [5, 5]
             }
         });
@@ -337,6 +338,19 @@ class MarkerManager {
         this.sources.set('flight-path', flightPathData);
     }
     
+    /**
+     * Wait for every marker icon requested so far
+     * @returns {Promise<void>} Resolves when all icons are in place, rejects if one failed to load
+     */
+    async whenIconsLoaded() {
+        // Icons requested while waiting are picked up by the next pass
+        let count;
+        do {
+            count = this.iconLoads.length;
+            await Promise.all(this.iconLoads);
+        } while (count !== this.iconLoads.length);
+    }
+    
     /**
      * Get marker by ID
      * @param {string} id - Marker ID
@@ -357,12 +371,22 @@ class MarkerManager {
     /**
      * Update aircraft position
      * @param {Array} newCoordinates - New aircraft coordinates
+     * @param {number} heading - True heading in degrees (default: bearing from the previous position)
+     * @param {Object} details - Reported flight data shown in the popup ({ altitude, groundSpeed })
      */
-    updateAircraftPosition(newCoordinates) {
+    updateAircraftPosition(newCoordinates, heading, details = {}) {
         const aircraftMarker = this.getAircraftMarker();
         if (aircraftMarker) {
+            const previousCoordinates = aircraftMarker.data.coordinates;
             aircraftMarker.marker.setLngLat(newCoordinates);
             
+            // Derive the heading from the movement when none is supplied
+            if (Number.isFinite(heading)) {
+                aircraftMarker.data.heading = heading;
+            } else if (previousCoordinates && calculateGreatCircleDistance(previousCoordinates, newCoordinates) > 0.001) {
+                aircraftMarker.data.heading = calculateBearing(previousCoordinates, newCoordinates);
+            }
+            
             // Update marker data
             aircraftMarker.data.coordinates = newCoordinates;
             aircraftMarker.data.description = `Aircraft at ${formatCoordinates(newCoordinates)}`;
@@ -370,15 +394,109 @@ class MarkerManager {
             // Update popup content
             const popup = aircraftMarker.popup;
             if (popup) {
-                popup.setHTML(`
-                    <div class="marker-popup">
-                        <h4>${aircraftMarker.data.name}</h4>
-                        <p>${aircraftMarker.data.description}</p>
-                        <p><strong>Coordinates:</strong> ${formatCoordinates(newCoordinates)}</p>
-                    </div>
-                `);
+                popup.setHTML(buildPopupHTML(aircraftMarker.data, details));
+            }
+            
+            this.updateAircraftRotation();
+        }
+    }
+    
+    /**
+     * Emphasize a marker, e.g. while the aircraft is near it
+     * @param {string} id - Marker ID
+     * @param {boolean} highlighted - Highlight state
+     */
+    setMarkerHighlight(id, highlighted) {
+        const entry = this.markers.get(id);
+        if (entry && entry.marker) {
+            entry.marker.getElement().classList.toggle('marker-highlighted', highlighted);
+        }
+    }
+    
+    /**
+     * Open or close a marker's popup
+     * @param {string} id - Marker ID
+     * @param {boolean} open - Popup state
+     */
+    setPopupOpen(id, open) {
+        const entry = this.markers.get(id);
+        if (!entry || !entry.popup) return;
+        
+        if (open && !entry.popup.isOpen()) {
+            entry.marker.togglePopup();
+        } else if (!open && entry.popup.isOpen()) {
+            entry.popup.remove();
+        }
+    }
+    
+    /**
+     * Draw the track the aircraft has actually flown
+     * @param {Array} coordinates - Reported positions, oldest first
+     */
+    updateTrack(coordinates) {
+        const trackData = {
+            type: 'Feature',
+            properties: {},
+            geometry: {
+                type: 'MultiLineString',
+                coordinates: coordinates.length > 1 ? splitAtAntimeridian(coordinates) : []
             }
+        };
+        
+        const source = this.map.getSource('aircraft-track');
+        if (source) {
+            source.setData(trackData);
+        } else {
+            this.map.addSource('aircraft-track', {
+                type: 'geojson',
+                data: trackData
+            });
+            
+            this.map.addLayer({
+                id: 'aircraft-track-layer',
+                type: 'line',
+                source: 'aircraft-track',
+                layout: {
+                    'line-join': 'round',
+                    'line-cap': 'round'
+                },
+                paint: {
+                    'line-color': this.theme.flightPath.trackColor,
+                    'line-width': this.theme.flightPath.width
+                }
+            });
         }
+        
+        this.sources.set('aircraft-track', trackData);
+    }
+    
+    /**
+     * Handle map camera movement
+     */
+    handleMapMove() {
+        this.updateAircraftRotation();
+    }
+    
+    /**
+     * Rotate the aircraft icon to its heading as seen on screen.
+     * The heading is projected through the current camera, so the icon stays
+     * aligned with the track when the map is rotated or pitched.
+     */
+    updateAircraftRotation() {
+        const aircraftMarker = this.getAircraftMarker();
+        if (!aircraftMarker || !Number.isFinite(aircraftMarker.data.heading)) return;
+        
+        const icon = aircraftMarker.marker.getElement().querySelector('.marker-svg-wrapper');
+        if (!icon) return;
+        
+        const { coordinates, heading } = aircraftMarker.data;
+        const ahead = calculateDestinationPoint(coordinates, heading, 1);
+        const from = this.map.project(coordinates);
+        const to = this.map.project(ahead);
+        
+        // Screen angle clockwise from up, matching the nose-up airplane SVG
+        const angle = radiansToDegrees(Math.atan2(to.x - from.x, from.y - to.y));
+        icon.style.transform = `rotate(${angle.toFixed(1)}deg)`;
     }
     
     /**
@@ -402,6 +520,8 @@ class MarkerManager {
      * Remove all markers
      */
     removeAllMarkers() {
+        this.map.off('move', this.handleMapMove);
+        
         this.markers.forEach(({ marker }) => {
             marker.remove();
         });
@@ -409,6 +529,7 @@ class MarkerManager {
         this.markers.clear();
         this.layers.clear();
         this.sources.clear();
+        this.iconLoads = [];
     }
     
     /**
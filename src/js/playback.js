@@ -0,0 +1,171 @@
+/**
+ * Flight playback controller for Mapbox Flight Path Visualization
+ * Animates the aircraft along the itinerary with play/pause, speed and scrubbing
+ */
+
+class FlightPlayback {
+    constructor(flightPathMap) {
+        this.flightPathMap = flightPathMap;
+        this.duration = flightPathMap.scene.flight.totalFlightTime;
+        this.currentTime = flightPathMap.scene.flight.aircraftTime;
+        this.speed = PLAYBACK_CONFIG.defaultSpeed;
+        this.isPlaying = false;
+        this.animationFrame = null;
+        this.lastFrameTime = null;
+        this.controls = null;
+
+        // Bind methods to preserve context
+        this.tick = this.tick.bind(this);
+    }
+
+    /**
+     * Start animating the aircraft from the current time
+     */
+    play() {
+        if (this.isPlaying) return;
+
+        // Restart from the beginning when played at the end of the flight
+        if (this.currentTime >= this.duration) {
+            this.seek(0);
+        }
+
+        this.isPlaying = true;
+        this.lastFrameTime = null;
+        this.animationFrame = requestAnimationFrame(this.tick);
+        this.updateControls();
+        this.flightPathMap.dispatchEvent('playbackStateChange', { playing: true });
+    }
+
+    /**
+     * Stop animating, keeping the aircraft where it is
+     */
+    pause() {
+        if (!this.isPlaying) return;
+
+        this.isPlaying = false;
+        if (this.animationFrame) {
+            cancelAnimationFrame(this.animationFrame);
+            this.animationFrame = null;
+        }
+        this.updateControls();
+        this.flightPathMap.dispatchEvent('playbackStateChange', { playing: false });
+    }
+
+    /**
+     * Toggle between playing and paused
+     */
+    toggle() {
+        if (this.isPlaying) {
+            this.pause();
+        } else {
+            this.play();
+        }
+    }
+
+    /**
+     * Jump to a moment of the flight
+     * @param {number} minutes - Time from first departure in minutes
+     * @returns {Object} Aircraft state at that time
+     */
+    seek(minutes) {
+        this.currentTime = Math.min(Math.max(Number(minutes) || 0, 0), this.duration);
+        const state = this.flightPathMap.setFlightTime(this.currentTime);
+        this.updateControls();
+        return state;
+    }
+
+    /**
+     * Set the playback speed multiplier
+     * @param {number} multiplier - Speed relative to PLAYBACK_CONFIG.minutesPerSecond
+     */
+    setSpeed(multiplier) {
+        const speed = Number(multiplier);
+        if (!Number.isFinite(speed) || speed <= 0) {
+            throw new Error(`Invalid playback speed: ${multiplier}`);
+        }
+        this.speed = speed;
+        this.updateControls();
+    }
+
+    /**
+     * Advance the flight clock by the real time elapsed since the last frame
+     * @param {number} timestamp - requestAnimationFrame timestamp in milliseconds
+     */
+    tick(timestamp) {
+        if (!this.isPlaying) return;
+
+        if (this.lastFrameTime !== null) {
+            const elapsedSeconds = (timestamp - this.lastFrameTime) / 1000;
+            this.seek(this.currentTime + elapsedSeconds * PLAYBACK_CONFIG.minutesPerSecond * this.speed);
+        }
+        this.lastFrameTime = timestamp;
+
+        if (this.currentTime >= this.duration) {
+            this.pause();
+            return;
+        }
+
+        this.animationFrame = requestAnimationFrame(this.tick);
+    }
+
+    /**
+     * Wire up the playback controls in the page
+     * @param {HTMLElement} container - Element holding the playback controls
+     */
+    bindControls(container) {
+        if (!container) return;
+
+        const toggle = container.querySelector('[data-playback="toggle"]');
+        const scrubber = container.querySelector('[data-playback="scrubber"]');
+        const speed = container.querySelector('[data-playback="speed"]');
+        const time = container.querySelector('[data-playback="time"]');
+
+        scrubber.min = 0;
+        scrubber.max = this.duration;
+        scrubber.step = PLAYBACK_CONFIG.scrubberStep;
+
+        speed.innerHTML = '';
+        PLAYBACK_CONFIG.speeds.forEach(value => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = `${value}×`;
+            speed.appendChild(option);
+        });
+
+        toggle.addEventListener('click', () => this.toggle());
+        scrubber.addEventListener('input', () => this.seek(parseFloat(scrubber.value)));
+        speed.addEventListener('change', () => this.setSpeed(parseFloat(speed.value)));
+
+        this.controls = { container, toggle, scrubber, speed, time };
+        container.classList.remove('hidden');
+        this.updateControls();
+    }
+
+    /**
+     * Reflect the current playback state in the controls
+     */
+    updateControls() {
+        if (!this.controls) return;
+
+        const { toggle, scrubber, speed, time } = this.controls;
+        toggle.textContent = this.isPlaying ? '❚❚' : '▶';
+        toggle.setAttribute('aria-label', this.isPlaying ? 'Pause' : 'Play');
+        scrubber.value = this.currentTime;
+        scrubber.setAttribute('aria-valuetext', formatDuration(this.currentTime));
+        speed.value = this.speed;
+        time.textContent = `${formatDuration(this.currentTime)} / ${formatDuration(this.duration)}`;
+    }
+
+    /**
+     * Stop playback and release the animation frame
+     */
+    destroy() {
+        this.pause();
+        this.controls = null;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FlightPlayback;
+}
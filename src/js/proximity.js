@@ -0,0 +1,218 @@
+/**
+ * Proximity events for Mapbox Flight Path Visualization
+ * Watches the distance from the aircraft to POI and story markers, reports when it
+ * comes near one and on which side of the track it lies, and points it out on the map
+ */
+
+class ProximityMonitor {
+    /**
+     * @param {FlightPathMap} flightPathMap - Map whose aircraft and markers are watched
+     */
+    constructor(flightPathMap) {
+        this.flightPathMap = flightPathMap;
+        this.nearby = new Map();
+        this.activeId = null;
+        this.lastPosition = null;
+
+        // Bind methods to preserve context
+        this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+
+        document.addEventListener('layerVisibilityChange', this.handleVisibilityChange);
+    }
+
+    /**
+     * Distance at which markers of a type count as near
+     * @param {string} type - Marker type
+     * @returns {number|null} Radius in km, or null when the type is not watched
+     */
+    getRadius(type) {
+        if (PROXIMITY_CONFIG.radius[type] !== undefined) {
+            return PROXIMITY_CONFIG.radius[type];
+        }
+        // Types a scene adds are POI-like; airports and airlines are not watched
+        if (!BUILT_IN_MARKER_TYPES.includes(type) && !RESERVED_MARKER_TYPES.includes(type)) {
+            return PROXIMITY_CONFIG.defaultRadius;
+        }
+        return null;
+    }
+
+    /**
+     * Markers that can be passed: watched types whose layer is shown
+     * @returns {Array<Object>} Marker data
+     */
+    getWatchedMarkers() {
+        const { markerManager, hiddenLayers } = this.flightPathMap;
+        if (!markerManager) {
+            return [];
+        }
+
+        return [...markerManager.markers.values()]
+            .map(entry => entry.data)
+            .filter(data => this.getRadius(data.type) !== null && !hiddenLayers.has(data.type.toLowerCase()));
+    }
+
+    /**
+     * Where a marker lies as seen from the aircraft
+     * @param {Array} position - Aircraft [longitude, latitude]
+     * @param {number} heading - Aircraft heading in degrees (optional)
+     * @param {Array} coordinates - Marker [longitude, latitude]
+     * @returns {Object} { distance: km, relativeBearing: degrees from the nose, -180..180, side: 'left', 'right' or null without a heading }
+     */
+    measure(position, heading, coordinates) {
+        const distance = calculateGreatCircleDistance(position, coordinates);
+        if (!Number.isFinite(heading)) {
+            return { distance, relativeBearing: null, side: null };
+        }
+
+        let relativeBearing = calculateBearing(position, coordinates) - heading;
+        relativeBearing = ((relativeBearing + 540) % 360) - 180;
+        return {
+            distance,
+            relativeBearing,
+            side: relativeBearing < 0 ? 'left' : 'right'
+        };
+    }
+
+    /**
+     * Check every watched marker against a new aircraft position, dispatching
+     * proximityEnter and proximityExit as markers come into and leave range
+     * @param {Array} position - Aircraft [longitude, latitude]
+     * @param {number} heading - Aircraft heading in degrees (optional)
+     */
+    update(position, heading) {
+        if (!isValidCoordinates(position)) {
+            return;
+        }
+        this.lastPosition = { position, heading };
+
+        const inRange = new Map();
+        this.getWatchedMarkers().forEach(marker => {
+            const radius = this.getRadius(marker.type);
+            const limit = this.nearby.has(marker.id) ? radius * PROXIMITY_CONFIG.exitFactor : radius;
+
+            // Skip the trigonometry for markers a latitude band away (1° of latitude ≈ 111.2 km)
+            if (Math.abs(marker.coordinates[1] - position[1]) * 111.2 > limit) {
+                return;
+            }
+
+            const measured = this.measure(position, heading, marker.coordinates);
+            if (measured.distance <= limit) {
+                inRange.set(marker.id, { marker, radius, ...measured });
+            }
+        });
+
+        this.nearby.forEach((passing, id) => {
+            if (!inRange.has(id)) {
+                this.exit(id, passing);
+            }
+        });
+
+        inRange.forEach((passing, id) => {
+            const entered = !this.nearby.has(id);
+            this.nearby.set(id, passing);
+            if (entered) {
+                this.enter(passing);
+            }
+        });
+
+        this.updateActive();
+    }
+
+    /**
+     * A marker came into range
+     * @param {Object} passing - { marker, radius, distance, relativeBearing, side }
+     */
+    enter(passing) {
+        const { marker, distance, side } = passing;
+        console.log(`Passing ${marker.name}: ${distance.toFixed(1)} km${side ? ` on the ${side}` : ''}`);
+
+        if (PROXIMITY_CONFIG.highlight) {
+            this.flightPathMap.markerManager.setMarkerHighlight(marker.id, true);
+        }
+        this.flightPathMap.dispatchEvent('proximityEnter', passing);
+    }
+
+    /**
+     * A marker left range (or stopped being watched)
+     * @param {string} id - Marker ID
+     * @param {Object} passing - Last state recorded for the marker
+     */
+    exit(id, passing) {
+        this.nearby.delete(id);
+
+        const { markerManager } = this.flightPathMap;
+        if (markerManager) {
+            markerManager.setMarkerHighlight(id, false);
+        }
+        this.flightPathMap.dispatchEvent('proximityExit', passing);
+    }
+
+    /**
+     * Open the popup of the nearest marker in range, closing the previous one
+     */
+    updateActive() {
+        let nearest = null;
+        this.nearby.forEach(passing => {
+            if (!nearest || passing.distance < nearest.distance) {
+                nearest = passing;
+            }
+        });
+
+        const activeId = nearest ? nearest.marker.id : null;
+        if (activeId === this.activeId) {
+            return;
+        }
+
+        const { markerManager } = this.flightPathMap;
+        if (PROXIMITY_CONFIG.openPopup && markerManager) {
+            if (this.activeId !== null) {
+                markerManager.setPopupOpen(this.activeId, false);
+            }
+            if (activeId !== null) {
+                markerManager.setPopupOpen(activeId, true);
+            }
+        }
+        this.activeId = activeId;
+    }
+
+    /**
+     * Markers currently in range, nearest first
+     * @returns {Array<Object>} { marker, radius, distance, relativeBearing, side }
+     */
+    getNearby() {
+        return [...this.nearby.values()].sort((a, b) => a.distance - b.distance);
+    }
+
+    /**
+     * Re-check when layers are toggled: hidden markers leave range, shown ones may enter it
+     */
+    handleVisibilityChange() {
+        if (this.lastPosition) {
+            this.update(this.lastPosition.position, this.lastPosition.heading);
+        }
+    }
+
+    /**
+     * Leave every marker, e.g. before markers are rebuilt
+     */
+    reset() {
+        this.nearby.forEach((passing, id) => this.exit(id, passing));
+        this.updateActive();
+    }
+
+    /**
+     * Leave every marker and stop listening
+     */
+    destroy() {
+        this.reset();
+        this.lastPosition = null;
+        document.removeEventListener('layerVisibilityChange', this.handleVisibilityChange);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ProximityMonitor
+    };
+}
@@ -0,0 +1,758 @@
+/**
+ * Scene loading for Mapbox Flight Path Visualization
+ * Loads, validates and normalizes the scene files that describe a flight
+ */
+
+/**
+ * Resolve the scene file URL from the query string or configuration
+ * @param {string} search - Query string to read (default: current location)
+ * @returns {string} Scene file URL
+ */
+function getSceneUrl(search = (typeof window !== 'undefined' ? window.location.search : '')) {
+    const params = new URLSearchParams(search);
+    const requested = params.get(SCENE_CONFIG.queryParam);
+
+    if (!requested) {
+        return SCENE_CONFIG.defaultScene;
+    }
+
+    // Explicit paths and file names are used as-is, bare IDs resolve to the scenes directory
+    if (requested.includes('/') || /\.(geo)?json$/i.test(requested)) {
+        return requested;
+    }
+
+    return `${SCENE_CONFIG.directory}${requested}.json`;
+}
+
+/**
+ * Resolve the recorded track to load for a scene, if any
+ * @param {Object} scene - Normalized scene
+ * @param {string} search - Query string to read (default: current location)
+ * @returns {Object|null} Track source ({ url, format }) or null to fly the great circle route
+ */
+function getSceneTrackSource(scene, search = (typeof window !== 'undefined' ? window.location.search : '')) {
+    const requested = new URLSearchParams(search).get(SCENE_CONFIG.trackQueryParam);
+    if (requested) {
+        return { url: requested, format: null };
+    }
+    return scene.trackSource;
+}
+
+/**
+ * Fly a scene along a recorded track instead of its great circle legs.
+ * The track's first position is minute 0 of the flight.
+ * @param {Object} scene - Normalized scene
+ * @param {Object} track - Track from parseTrack()
+ * @returns {Object} The scene, with track and flight times updated
+ */
+function attachSceneTrack(scene, track) {
+    // Untimed tracks (e.g. a KML LineString) are spread over the itinerary duration
+    const timedTrack = track.timed ? track : timeTrackByDistance(track, scene.flight.totalFlightTime);
+
+    scene.track = timedTrack;
+    scene.flight.totalFlightTime = timedTrack.duration;
+    scene.flight.aircraftTime = Math.min(scene.flight.aircraftTime, timedTrack.duration);
+    return scene;
+}
+
+/**
+ * Add the markers of loaded datasets to a scene.
+ * Markers whose ID is already taken are skipped with a warning.
+ * @param {Object} scene - Normalized scene
+ * @param {Array<Array<Object>>} datasets - Markers from loadDataset(), one list per scene dataset
+ * @returns {Object} The scene, with its markers extended
+ */
+function attachSceneDatasets(scene, datasets) {
+    const ids = new Set(['aircraft', ...scene.stops.map(stop => stop.id)]);
+    Object.values(scene.markers).forEach(list => list.forEach(marker => ids.add(marker.id)));
+
+    datasets.forEach((markers, index) => {
+        const duplicates = [];
+        markers.forEach(marker => {
+            if (ids.has(marker.id)) {
+                duplicates.push(marker.id);
+                return;
+            }
+            ids.add(marker.id);
+
+            const key = marker.type.toLowerCase();
+            if (!scene.markers[key]) {
+                scene.markers[key] = [];
+            }
+            scene.markers[key].push(marker);
+        });
+
+        if (duplicates.length > 0) {
+            console.warn(`Dataset "${scene.datasets[index].url}": skipped ${duplicates.length} markers with duplicate IDs (${duplicates.slice(0, 5).join(', ')})`);
+        }
+    });
+    return scene;
+}
+
+/**
+ * Get the aircraft state at a moment of the scene's flight
+ * @param {Object} scene - Normalized scene
+ * @param {number} minutes - Time from first departure (or the first track position) in minutes
+ * @returns {Object} Aircraft state ({ coordinates, heading, altitude, groundSpeed, ... })
+ */
+function getSceneAircraftState(scene, minutes) {
+    if (scene.track) {
+        return getTrackState(scene.track, minutes);
+    }
+    return calculateItineraryState(scene.legs, minutes, scene.flight.profile);
+}
+
+/**
+ * Fetch and normalize a scene file
+ * @param {string} url - Scene file URL
+ * @returns {Promise<Object>} Normalized scene
+ */
+async function loadScene(url) {
+    let response;
+    try {
+        response = await fetch(url);
+    } catch (error) {
+        throw new Error(`Scene file "${url}" could not be loaded: ${error.message}`);
+    }
+
+    if (!response.ok) {
+        throw new Error(`Scene file "${url}" could not be loaded (HTTP ${response.status})`);
+    }
+
+    let rawScene;
+    try {
+        rawScene = await response.json();
+    } catch (error) {
+        throw new Error(`Scene file "${url}" is not valid JSON`);
+    }
+
+    return normalizeScene(rawScene, url);
+}
+
+/**
+ * Check whether a value is a valid [longitude, latitude] pair
+ * @param {*} coordinates - Value to check
+ * @returns {boolean} True when the coordinates are usable
+ */
+function isValidCoordinates(coordinates) {
+    return Array.isArray(coordinates) &&
+        coordinates.length >= 2 &&
+        Number.isFinite(coordinates[0]) &&
+        Number.isFinite(coordinates[1]) &&
+        Math.abs(coordinates[0]) <= 180 &&
+        Math.abs(coordinates[1]) <= 90;
+}
+
+/**
+ * Check whether a value is valid camera padding
+ * @param {*} padding - Pixels on every side, or { top, right, bottom, left }
+ * @returns {boolean} True when every side is a non-negative number
+ */
+function isValidPadding(padding) {
+    const isPixels = value => Number.isFinite(value) && value >= 0;
+    if (typeof padding === 'number') {
+        return isPixels(padding);
+    }
+    return Boolean(padding) && typeof padding === 'object' &&
+        Object.keys(padding).every(side => ['top', 'right', 'bottom', 'left'].includes(side) && isPixels(padding[side]));
+}
+
+/**
+ * Convert the scene marker declaration into plain marker lists by category.
+ * Accepts either { poi: [...], story: [...] } or a GeoJSON FeatureCollection
+ * whose features carry a `type` or `category` property.
+ * @param {Object} markers - Scene marker declaration
+ * @returns {Object} Marker lists keyed by lowercase marker type
+ */
+function collectSceneMarkers(markers) {
+    if (!markers) {
+        return {};
+    }
+
+    if (markers.type === 'FeatureCollection') {
+        const collected = {};
+        (markers.features || []).forEach((feature, index) => {
+            const { fields, properties } = splitDatasetRecord((feature && feature.properties) || {});
+            const geometry = feature && feature.geometry;
+            const marker = createDatasetMarker(fields, properties, geometry ? geometry.coordinates : undefined);
+            const type = resolveDatasetType(marker);
+            const key = type.toLowerCase();
+
+            if (!collected[key]) {
+                collected[key] = [];
+            }
+
+            collected[key].push({
+                ...marker,
+                id: marker.id || (feature && feature.id) || `${key}-${index + 1}`,
+                type
+            });
+        });
+        return collected;
+    }
+
+    const collected = {};
+    Object.keys(markers).forEach(key => {
+        const list = Array.isArray(markers[key]) ? markers[key] : [];
+        collected[key.toLowerCase()] = list.map(marker => ({
+            description: '',
+            ...marker,
+            type: String(marker.type || key).toUpperCase()
+        }));
+    });
+    return collected;
+}
+
+/**
+ * Resolve a scene airport declaration, filling gaps from the airport database.
+ * Accepts an IATA/ICAO code string, or an object whose `code` (or map key)
+ * is looked up when it does not declare its own coordinates.
+ * @param {string|Object} entry - Airport declaration
+ * @param {string} key - Map key the declaration was found under, if any
+ * @returns {Object|null} Airport with id, name and coordinates, or null when unknown
+ */
+function resolveSceneAirport(entry, key) {
+    const declared = typeof entry === 'string' ? { code: entry } : { ...entry };
+    const code = declared.code || (declared.coordinates ? null : (declared.id || key));
+    const record = code ? lookupAirport(code) : null;
+
+    if (code && !record) {
+        return null;
+    }
+
+    if (!record) {
+        return { id: declared.id || key, ...declared };
+    }
+
+    return {
+        id: record.iata.toLowerCase(),
+        name: `${record.iata} - ${record.name}`,
+        location: `${record.city}, ${record.country}`,
+        iata: record.iata,
+        icao: record.icao,
+        city: record.city,
+        country: record.country,
+        elevation: record.elevation,
+        timezone: record.timezone,
+        coordinates: record.coordinates,
+        ...declared,
+        ...(declared.id || key ? { id: declared.id || key } : {})
+    };
+}
+
+/**
+ * Convert the scene route declaration into airports and legs.
+ * Accepts a `route` string such as "CVG-ATL-MCO", a single
+ * `origin`/`destination` pair, or an `airports` map with an ordered `legs` list.
+ * Legs without a flightTime get one estimated from their distance.
+ * @param {Object} scene - Raw scene as read from the file
+ * @returns {Object} { airports, legs, unknown } with legs referencing airport IDs
+ */
+function collectSceneItinerary(scene) {
+    const airports = {};
+    const unknown = [];
+    const addAirport = (entry, key, label) => {
+        const airport = resolveSceneAirport(entry, key);
+        if (!airport) {
+            const code = typeof entry === 'string' ? entry : (entry.code || entry.id || key);
+            unknown.push(`"${label}" references unknown airport code "${code}"`);
+            return key;
+        }
+        airports[airport.id] = airport;
+        return airport.id;
+    };
+
+    let legs;
+    if (typeof scene.route === 'string') {
+        const codes = scene.route.split('-').map(code => code.trim()).filter(Boolean);
+        const ids = codes.map(code => addAirport(code, undefined, 'route'));
+        const legTimes = Array.isArray(scene.legs) ? scene.legs : [];
+        legs = ids.slice(1).map((to, index) => ({
+            ...(codes.length === 2 && scene.flight ? { flightTime: scene.flight.totalFlightTime } : {}),
+            ...legTimes[index],
+            from: ids[index],
+            to
+        }));
+    } else if (Array.isArray(scene.legs)) {
+        Object.keys(scene.airports || {}).forEach(key => {
+            addAirport(scene.airports[key], key, `airports.${key}`);
+        });
+        legs = scene.legs.map(leg => ({ ...leg }));
+    } else {
+        const from = scene.origin ? addAirport(scene.origin, undefined, 'origin') : undefined;
+        const to = scene.destination ? addAirport(scene.destination, undefined, 'destination') : undefined;
+        legs = [{ from, to, flightTime: (scene.flight || {}).totalFlightTime }];
+    }
+
+    legs.forEach(leg => {
+        if (leg.flightTime === undefined && airports[leg.from] && airports[leg.to]) {
+            leg.flightTime = estimateFlightTime(
+                airports[leg.from].coordinates,
+                airports[leg.to].coordinates,
+                FLIGHT_CONFIG.estimatedCruiseSpeed,
+                FLIGHT_CONFIG.estimatedOverheadTime
+            );
+            leg.estimated = true;
+        }
+    });
+
+    return { airports, legs, unknown };
+}
+
+/**
+ * Validate a raw scene object
+ * @param {Object} scene - Raw scene as read from the file
+ * @returns {Array<string>} List of problems, empty when the scene is valid
+ */
+function validateScene(scene) {
+    const errors = [];
+
+    if (!scene || typeof scene !== 'object' || Array.isArray(scene)) {
+        return ['scene must be a JSON object'];
+    }
+
+    const flight = scene.flight || {};
+
+    if (scene.route !== undefined) {
+        if (typeof scene.route !== 'string' || scene.route.split('-').filter(Boolean).length < 2) {
+            errors.push('"route" must list at least two airport codes, e.g. "CVG-MCO"');
+        }
+        if (scene.legs !== undefined && !Array.isArray(scene.legs)) {
+            errors.push('"legs" must be an array of { flightTime, layover } when "route" is used');
+        }
+    } else if (scene.legs !== undefined) {
+        if (!Array.isArray(scene.legs) || scene.legs.length === 0) {
+            errors.push('"legs" must be a non-empty array');
+        }
+        if (!scene.airports || typeof scene.airports !== 'object') {
+            errors.push('"airports" is required when "legs" is used');
+        }
+    } else {
+        ['origin', 'destination'].forEach(key => {
+            const airport = scene[key];
+            if (typeof airport === 'string') {
+                return;
+            }
+            if (!airport || typeof airport !== 'object') {
+                errors.push(`"${key}" is required`);
+                return;
+            }
+            if (!airport.id && !airport.code) {
+                errors.push(`"${key}.id" is required`);
+            }
+            if (!airport.code && !isValidCoordinates(airport.coordinates)) {
+                errors.push(`"${key}.coordinates" must be [longitude, latitude]`);
+            }
+        });
+    }
+
+    if (flight.totalFlightTime !== undefined && (!Number.isFinite(flight.totalFlightTime) || flight.totalFlightTime <= 0)) {
+        errors.push('"flight.totalFlightTime" must be a positive number of minutes');
+    }
+
+    if (Array.isArray(scene.legs)) {
+        scene.legs.forEach((leg, index) => {
+            if (!leg || typeof leg !== 'object') {
+                errors.push(`"legs[${index}]" must be an object`);
+            }
+        });
+    }
+
+    if (errors.length > 0) {
+        return errors;
+    }
+
+    const { airports, legs, unknown } = collectSceneItinerary(scene);
+    if (unknown.length > 0) {
+        return unknown;
+    }
+
+    Object.keys(airports).forEach(id => {
+        if (!isValidCoordinates(airports[id].coordinates)) {
+            errors.push(`"airports.${id}.coordinates" must be [longitude, latitude]`);
+        }
+    });
+
+    legs.forEach((leg, index) => {
+        const label = `legs[${index}]`;
+
+        ['from', 'to'].forEach(key => {
+            if (!airports[leg[key]]) {
+                errors.push(`"${label}.${key}" references unknown airport "${leg[key]}"`);
+            }
+        });
+        if (index > 0 && leg.from !== legs[index - 1].to) {
+            errors.push(`"${label}.from" must be "${legs[index - 1].to}" to continue the itinerary`);
+        }
+        if (!Number.isFinite(leg.flightTime) || leg.flightTime <= 0) {
+            errors.push(`"${label}.flightTime" must be a positive number of minutes`);
+        }
+        if (leg.layover !== undefined && (!Number.isFinite(leg.layover) || leg.layover < 0)) {
+            errors.push(`"${label}.layover" must be a non-negative number of minutes`);
+        }
+    });
+
+    if (flight.profile !== undefined) {
+        if (!flight.profile || typeof flight.profile !== 'object') {
+            errors.push('"flight.profile" must be an object');
+        } else {
+            Object.keys(flight.profile).forEach(key => {
+                const value = flight.profile[key];
+                const minimum = key === 'taxiOutTime' || key === 'taxiInTime' ? 0 : Number.MIN_VALUE;
+                if (!(key in FLIGHT_PROFILE)) {
+                    errors.push(`"flight.profile.${key}" is not a known profile setting`);
+                } else if (!Number.isFinite(value) || value < minimum) {
+                    errors.push(`"flight.profile.${key}" must be a ${minimum === 0 ? 'non-negative' : 'positive'} number`);
+                }
+            });
+        }
+    }
+
+    if (errors.length === 0) {
+        // No leg may need more than maxCruiseSpeed on average, gate to gate
+        const profile = { ...FLIGHT_PROFILE, ...(flight.profile || {}) };
+        if (profile.minCruiseSpeed > profile.maxCruiseSpeed) {
+            errors.push('"flight.profile.minCruiseSpeed" cannot exceed "maxCruiseSpeed"');
+        }
+        legs.forEach((leg, index) => {
+            const distance = calculateDistanceNauticalMiles(airports[leg.from].coordinates, airports[leg.to].coordinates);
+            const minimumTime = Math.ceil(distance / profile.maxCruiseSpeed * 60);
+            if (leg.flightTime < minimumTime) {
+                errors.push(`"legs[${index}].flightTime" is too short for ${Math.round(distance)} nm (at least ${minimumTime} minutes)`);
+            }
+        });
+    }
+
+    if (flight.aircraftTime !== undefined) {
+        const totalFlightTime = legs.every(leg => Number.isFinite(leg.flightTime))
+            ? calculateItineraryDuration(legs)
+            : NaN;
+
+        if (!Number.isFinite(flight.aircraftTime) || flight.aircraftTime < 0) {
+            errors.push('"flight.aircraftTime" must be a non-negative number of minutes');
+        } else if (flight.aircraftTime > totalFlightTime) {
+            errors.push(`"flight.aircraftTime" cannot exceed the itinerary duration (${totalFlightTime} minutes)`);
+        }
+    }
+
+    if (scene.track !== undefined) {
+        const track = typeof scene.track === 'string' ? { url: scene.track } : scene.track;
+        if (!track || typeof track.url !== 'string' || !track.url) {
+            errors.push('"track" must be a track file URL or { url, format }');
+        } else if (track.format !== undefined && !TRACK_FORMATS.includes(track.format)) {
+            errors.push(`"track.format" must be one of ${TRACK_FORMATS.join(', ')}`);
+        }
+    }
+
+    if (scene.overview) {
+        if (scene.overview.center !== undefined && !isValidCoordinates(scene.overview.center)) {
+            errors.push('"overview.center" must be [longitude, latitude]');
+        }
+        if (scene.overview.zoom !== undefined && !Number.isFinite(scene.overview.zoom)) {
+            errors.push('"overview.zoom" must be a number');
+        }
+        if (scene.overview.fit !== undefined && typeof scene.overview.fit !== 'boolean') {
+            errors.push('"overview.fit" must be true or false');
+        }
+        if (scene.overview.padding !== undefined && !isValidPadding(scene.overview.padding)) {
+            errors.push('"overview.padding" must be a non-negative number or { top, right, bottom, left }');
+        }
+    }
+
+    const declaredTypes = scene.markerTypes && typeof scene.markerTypes === 'object' ? scene.markerTypes : {};
+    if (scene.markerTypes !== undefined) {
+        if (!scene.markerTypes || typeof scene.markerTypes !== 'object' || Array.isArray(scene.markerTypes)) {
+            errors.push('"markerTypes" must map type names to { label, color, icon }');
+        } else {
+            Object.keys(declaredTypes).forEach(type => {
+                const definition = declaredTypes[type];
+                const label = `markerTypes.${type}`;
+                if (!/^[A-Za-z][A-Za-z0-9_]*$/.test(type)) {
+                    errors.push(`"${label}" must be a name of letters, digits and underscores`);
+                } else if (BUILT_IN_MARKER_TYPES.includes(type.toUpperCase())) {
+                    errors.push(`"${label}" redefines a built-in marker type`);
+                }
+                if (!definition || typeof definition !== 'object') {
+                    errors.push(`"${label}" must be { label, color, icon }`);
+                    return;
+                }
+                ['label', 'color', 'icon'].forEach(key => {
+                    if (definition[key] !== undefined && (typeof definition[key] !== 'string' || !definition[key])) {
+                        errors.push(`"${label}.${key}" must be a non-empty string`);
+                    }
+                });
+            });
+        }
+    }
+
+    // Scene markers may use the editable built-in types and the types the scene declares
+    const markerTypes = [
+        ...BUILT_IN_MARKER_TYPES.filter(type => !RESERVED_MARKER_TYPES.includes(type)),
+        ...Object.keys(declaredTypes).map(type => type.toUpperCase())
+    ];
+    const isMarkerType = type => markerTypes.includes(String(type).toUpperCase());
+
+    if (scene.datasets !== undefined) {
+        if (!Array.isArray(scene.datasets)) {
+            errors.push('"datasets" must be an array of dataset file URLs or { url, format, type, categories }');
+        } else {
+            scene.datasets.forEach((entry, index) => {
+                const label = `datasets[${index}]`;
+                const dataset = typeof entry === 'string' ? { url: entry } : entry;
+                if (!dataset || typeof dataset.url !== 'string' || !dataset.url) {
+                    errors.push(`"${label}" must be a dataset file URL or { url, format, type, categories }`);
+                    return;
+                }
+                if (dataset.format !== undefined && !DATASET_FORMATS.includes(dataset.format)) {
+                    errors.push(`"${label}.format" must be one of ${DATASET_FORMATS.join(', ')}`);
+                }
+                if (dataset.type !== undefined && !isMarkerType(dataset.type)) {
+                    errors.push(`"${label}.type" must be one of ${markerTypes.join(', ')}, got "${dataset.type}"`);
+                }
+                if (dataset.categories !== undefined) {
+                    if (!dataset.categories || typeof dataset.categories !== 'object' || Array.isArray(dataset.categories)) {
+                        errors.push(`"${label}.categories" must map category names to marker types`);
+                    } else {
+                        Object.keys(dataset.categories).forEach(category => {
+                            if (!isMarkerType(dataset.categories[category])) {
+                                errors.push(`"${label}.categories.${category}" must be one of ${markerTypes.join(', ')}, got "${dataset.categories[category]}"`);
+                            }
+                        });
+                    }
+                }
+            });
+        }
+    }
+
+    if (scene.tour !== undefined) {
+        errors.push(...validateSceneTour(scene.tour));
+    }
+
+    // Marker lists must be arrays of objects before they can be collected
+    if (scene.markers && scene.markers.type !== 'FeatureCollection') {
+        if (typeof scene.markers !== 'object' || Array.isArray(scene.markers)) {
+            errors.push('"markers" must map marker types to lists, or be a GeoJSON FeatureCollection');
+            return errors;
+        }
+
+        const listErrors = [];
+        Object.keys(scene.markers).forEach(key => {
+            const list = scene.markers[key];
+            if (!Array.isArray(list)) {
+                listErrors.push(`"markers.${key}" must be an array`);
+                return;
+            }
+            list.forEach((marker, index) => {
+                if (!marker || typeof marker !== 'object') {
+                    listErrors.push(`"markers.${key}[${index}]" must be an object`);
+                }
+            });
+        });
+        if (listErrors.length > 0) {
+            return [...errors, ...listErrors];
+        }
+    }
+
+    const ids = new Set([...Object.keys(airports), 'aircraft']);
+    const markers = collectSceneMarkers(scene.markers);
+
+    Object.keys(markers).forEach(key => {
+        markers[key].forEach((marker, index) => {
+            const label = `markers.${key}[${index}]`;
+
+            if (!marker.id) {
+                errors.push(`"${label}.id" is required`);
+            } else if (ids.has(marker.id)) {
+                errors.push(`"${label}.id" duplicates marker ID "${marker.id}"`);
+            } else {
+                ids.add(marker.id);
+            }
+
+            if (!marker.name) {
+                errors.push(`"${label}.name" is required`);
+            }
+            if (!isValidCoordinates(marker.coordinates)) {
+                errors.push(`"${label}.coordinates" must be [longitude, latitude]`);
+            }
+            if (!isMarkerType(marker.type)) {
+                errors.push(`"${label}.type" must be one of ${markerTypes.join(', ')}, got "${marker.type}"`);
+            }
+        });
+    });
+
+    return errors;
+}
+
+/**
+ * Check a scene's story tour. Marker IDs are checked when the tour starts,
+ * because dataset markers are only known once their files are loaded.
+ * @param {Object} tour - Raw tour ({ title, autoAdvance, steps })
+ * @returns {Array<string>} List of problems, empty when the tour is valid
+ */
+function validateSceneTour(tour) {
+    if (!tour || typeof tour !== 'object' || !Array.isArray(tour.steps) || tour.steps.length === 0) {
+        return ['"tour" must be { title, steps: [...] } with at least one step'];
+    }
+
+    const errors = [];
+    if (tour.autoAdvance !== undefined && typeof tour.autoAdvance !== 'boolean') {
+        errors.push('"tour.autoAdvance" must be true or false');
+    }
+
+    tour.steps.forEach((step, index) => {
+        const label = `tour.steps[${index}]`;
+        if (!step || typeof step !== 'object') {
+            errors.push(`"${label}" must be an object`);
+            return;
+        }
+
+        const camera = step.camera || {};
+        if (step.marker === undefined && camera.center === undefined) {
+            errors.push(`"${label}" needs a "marker" ID or a "camera.center"`);
+        }
+        if (step.marker !== undefined && (typeof step.marker !== 'string' || !step.marker)) {
+            errors.push(`"${label}.marker" must be a marker ID`);
+        }
+        ['title', 'caption'].forEach(key => {
+            if (step[key] !== undefined && typeof step[key] !== 'string') {
+                errors.push(`"${label}.${key}" must be a string`);
+            }
+        });
+        if (step.dwell !== undefined && (!Number.isFinite(step.dwell) || step.dwell <= 0)) {
+            errors.push(`"${label}.dwell" must be a positive number of seconds`);
+        }
+        if (step.flightTime !== undefined && (!Number.isFinite(step.flightTime) || step.flightTime < 0)) {
+            errors.push(`"${label}.flightTime" must be a non-negative number of minutes`);
+        }
+        if (camera.center !== undefined && !isValidCoordinates(camera.center)) {
+            errors.push(`"${label}.camera.center" must be [longitude, latitude]`);
+        }
+        ['zoom', 'bearing', 'pitch'].forEach(key => {
+            if (camera[key] !== undefined && !Number.isFinite(camera[key])) {
+                errors.push(`"${label}.camera.${key}" must be a number`);
+            }
+        });
+        if (camera.anchor !== undefined && (!Array.isArray(camera.anchor) || camera.anchor.length !== 2 ||
+            !camera.anchor.every(value => Number.isFinite(value) && value >= 0 && value <= 1))) {
+            errors.push(`"${label}.camera.anchor" must be [x, y] fractions of the viewport`);
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Validate a raw scene and convert it into the shape used by the map
+ * @param {Object} scene - Raw scene as read from the file
+ * @param {string} source - Where the scene came from, used in error messages
+ * @returns {Object} Normalized scene
+ */
+function normalizeScene(scene, source = 'scene') {
+    const errors = validateScene(scene);
+    if (errors.length > 0) {
+        throw new Error(`Invalid scene "${source}": ${errors.join('; ')}`);
+    }
+
+    // Custom marker types must exist before markers, the legend and the URL state use them
+    Object.keys(scene.markerTypes || {}).forEach(type => {
+        registerMarkerType(type, scene.markerTypes[type]);
+    });
+
+    const { airports, legs: rawLegs } = collectSceneItinerary(scene);
+    const lastIndex = rawLegs.length - 1;
+
+    // Resolve every stop in itinerary order, describing its role in the trip
+    const toStop = (id, index) => {
+        const airport = airports[id];
+        let description = 'Connecting airport';
+        if (index === 0) {
+            description = 'Departure airport';
+        } else if (index === lastIndex + 1) {
+            description = 'Destination airport';
+        } else if (rawLegs[index - 1].layover) {
+            description = `Connection (${rawLegs[index - 1].layover} min layover)`;
+        }
+        // Database airports carry their location, e.g. "Departure airport · Cincinnati, US"
+        if (airport.location) {
+            description = `${description} · ${airport.location}`;
+        }
+        return { name: id, ...airport, description: airport.description || description };
+    };
+
+    const stops = [rawLegs[0].from, ...rawLegs.map(leg => leg.to)].map(toStop);
+    const legs = rawLegs.map((leg, index) => ({
+        from: stops[index],
+        to: stops[index + 1],
+        flightTime: leg.flightTime,
+        // A layover after the final arrival would never be flown
+        layover: index < lastIndex ? (leg.layover || 0) : 0
+    }));
+
+    const origin = stops[0];
+    const destination = stops[stops.length - 1];
+    const overview = scene.overview || {};
+
+    return {
+        id: scene.id || source,
+        name: scene.name || stops.map(stop => stop.id.toUpperCase()).join(' → '),
+        origin,
+        destination,
+        stops,
+        legs,
+        flight: {
+            totalFlightTime: calculateItineraryDuration(legs),
+            aircraftTime: scene.flight && scene.flight.aircraftTime !== undefined
+                ? scene.flight.aircraftTime
+                : FLIGHT_CONFIG.aircraftTimeFromCVG,
+            profile: { ...FLIGHT_PROFILE, ...((scene.flight && scene.flight.profile) || {}) }
+        },
+        overview: {
+            center: overview.center || calculateIntermediatePoint(origin.coordinates, destination.coordinates, 0.5),
+            zoom: overview.zoom !== undefined ? overview.zoom : MAP_CONFIG.overview.zoom,
+            fit: overview.fit !== undefined ? overview.fit : MAP_CONFIG.overview.fit,
+            padding: overview.padding !== undefined ? overview.padding : MAP_CONFIG.overview.padding
+        },
+        markers: collectSceneMarkers(scene.markers),
+        // Marker datasets, loaded and merged into markers by attachSceneDatasets()
+        datasets: (scene.datasets || []).map(entry => {
+            const dataset = typeof entry === 'string' ? { url: entry } : entry;
+            return {
+                id: dataset.id || null,
+                url: dataset.url,
+                format: dataset.format || null,
+                type: (dataset.type || 'POI').toUpperCase(),
+                categories: dataset.categories || {}
+            };
+        }),
+        tour: scene.tour ? {
+            title: scene.tour.title || scene.name || null,
+            autoAdvance: Boolean(scene.tour.autoAdvance),
+            steps: scene.tour.steps.map(step => ({ ...step, camera: { ...step.camera } }))
+        } : null,
+        trackSource: typeof scene.track === 'string'
+            ? { url: scene.track, format: null }
+            : (scene.track ? { url: scene.track.url, format: scene.track.format || null } : null),
+        // Filled in by attachSceneTrack() once the track file is loaded
+        track: null
+    };
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        getSceneUrl,
+        getSceneTrackSource,
+        attachSceneTrack,
+        attachSceneDatasets,
+        getSceneAircraftState,
+        loadScene,
+        isValidCoordinates,
+        isValidPadding,
+        collectSceneMarkers,
+        validateSceneTour,
+        resolveSceneAirport,
+        collectSceneItinerary,
+        validateScene,
+        normalizeScene
+    };
+}
@@ -0,0 +1,466 @@
+/**
+ * Symbol layer marker rendering for Mapbox Flight Path Visualization
+ * Draws cities, POIs and story markers as clustered GeoJSON symbol layers instead of
+ * one DOM marker each, so scenes with thousands of markers stay responsive.
+ * The aircraft remains a DOM marker: it moves and rotates every frame.
+ */
+
+class SymbolMarkerRenderer extends MarkerManager {
+    /**
+     * @param {Object} map - Mapbox map instance
+     * @param {Object} scene - Normalized scene
+     * @param {Object} theme - Definition from getThemeDefinition() (default: MAP_CONFIG.defaultTheme)
+     */
+    constructor(map, scene, theme) {
+        super(map, scene, theme);
+        this.symbolTypes = new Set();
+        this.layerHandlers = [];
+        this.popup = null;
+        this.popupId = null;
+        this.popupType = null;
+    }
+
+    /**
+     * Create the markers of one type: a clustered GeoJSON source for every type but the aircraft
+     * @param {string} type - Marker type
+     * @param {Array} markers - Marker data objects of that type
+     */
+    async createMarkerLayer(type, markers) {
+        if (type === 'AIRCRAFT') {
+            await super.createMarkerLayer(type, markers);
+            return;
+        }
+
+        if (markers.length === 0) return;
+
+        const { cluster, clusterRadius, clusterMaxZoom } = MAP_CONFIG.symbolMarkers;
+        const { layer: layerId } = MARKER_TYPES[type];
+        const color = getThemeMarkerColor(this.theme, type);
+        const { ui } = this.theme;
+        const ids = this.getSymbolLayerIds(type);
+
+        // Keep the marker data where the DOM markers keep theirs (framing, legend counts)
+        markers.forEach(data => {
+            this.markers.set(data.id, { marker: null, popup: null, data });
+        });
+        this.layers.set(layerId, [...markers]);
+
+        // Register the icon before the layer lays out its tiles; a failed icon is
+        // reported through whenIconsLoaded() and leaves the markers without one
+        await this.loadIcon(type).catch(() => {});
+
+        this.map.addSource(ids.source, {
+            type: 'geojson',
+            data: {
+                type: 'FeatureCollection',
+                features: markers.map(({ id, name, coordinates }) => ({
+                    type: 'Feature',
+                    properties: { id, name },
+                    geometry: { type: 'Point', coordinates }
+                }))
+            },
+            cluster,
+            clusterRadius,
+            clusterMaxZoom,
+            // Feature state (highlights) is keyed by marker ID
+            promoteId: 'id'
+        });
+
+        this.map.addLayer({
+            id: ids.clusters,
+            type: 'circle',
+            source: ids.source,
+            filter: ['has', 'point_count'],
+            paint: {
+                'circle-color': color,
+                'circle-opacity': 0.85,
+                'circle-stroke-color': ui.text,
+                'circle-stroke-width': 2,
+                // Bubbles grow with the number of markers they hold
+                'circle-radius': ['step', ['get', 'point_count'], 14, 10, 18, 100, 24, 1000, 30]
+            }
+        });
+
+        this.map.addLayer({
+            id: ids.count,
+            type: 'symbol',
+            source: ids.source,
+            filter: ['has', 'point_count'],
+            layout: {
+                'text-field': ['get', 'point_count_abbreviated'],
+                'text-font': ['DIN Pro Medium', 'Arial Unicode MS Bold'],
+                'text-size': 12,
+                'text-allow-overlap': true
+            },
+            paint: {
+                'text-color': ui.text
+            }
+        });
+
+        // Halo behind highlighted markers, see setMarkerHighlight()
+        const highlighted = ['boolean', ['feature-state', 'highlighted'], false];
+        this.map.addLayer({
+            id: ids.highlight,
+            type: 'circle',
+            source: ids.source,
+            filter: ['!', ['has', 'point_count']],
+            paint: {
+                'circle-color': color,
+                'circle-radius': this.theme.markerSize.normal * 0.75,
+                'circle-opacity': ['case', highlighted, 0.35, 0],
+                'circle-stroke-color': ui.text,
+                'circle-stroke-width': ['case', highlighted, 2, 0]
+            }
+        });
+
+        this.map.addLayer({
+            id: ids.icons,
+            type: 'symbol',
+            source: ids.source,
+            filter: ['!', ['has', 'point_count']],
+            layout: this.getIconLayout(this.getIconImageId(type)),
+            paint: {
+                'text-color': ui.text,
+                'text-halo-color': ui.panel,
+                'text-halo-width': 1.5
+            }
+        });
+
+        this.bindLayerEvents(type);
+        this.symbolTypes.add(type);
+    }
+
+    /**
+     * Map source and layer ids used for one marker type
+     * @param {string} type - Marker type
+     * @returns {Object} { source, clusters, count, highlight, icons }
+     */
+    getSymbolLayerIds(type) {
+        const { layer } = MARKER_TYPES[type];
+        return {
+            source: `${layer}-source`,
+            clusters: `${layer}-clusters`,
+            count: `${layer}-cluster-count`,
+            highlight: `${layer}-highlight`,
+            icons: layer
+        };
+    }
+
+    /**
+     * Map layers of one marker type, bottom to top
+     * @param {string} type - Marker type
+     * @returns {Array<string>} Layer ids
+     */
+    getSymbolLayers(type) {
+        const { clusters, count, highlight, icons } = this.getSymbolLayerIds(type);
+        return [clusters, count, highlight, icons];
+    }
+
+    /**
+     * Layout of the unclustered marker layer: the type's icon, and the marker name once zoomed in
+     * @param {string} imageId - Registered map image
+     * @returns {Object} Symbol layer layout
+     */
+    getIconLayout(imageId) {
+        const { showLabels, labelMinZoom } = MAP_CONFIG.symbolMarkers;
+        const layout = {
+            'icon-image': imageId,
+            'icon-allow-overlap': true,
+            'icon-ignore-placement': true
+        };
+
+        if (showLabels) {
+            Object.assign(layout, {
+                'text-field': ['step', ['zoom'], '', labelMinZoom, ['get', 'name']],
+                'text-font': ['DIN Pro Medium', 'Arial Unicode MS Bold'],
+                'text-size': 12,
+                'text-anchor': 'top',
+                'text-offset': [0, 1.4],
+                'text-optional': true
+            });
+        }
+
+        return layout;
+    }
+
+    /**
+     * Map image id of a marker type's icon
+     * @param {string} type - Marker type
+     * @returns {string} Image id
+     */
+    getIconImageId(type) {
+        return `marker-icon-${type.toLowerCase()}`;
+    }
+
+    /**
+     * Register a marker type's SVG icon as a map image, colored like the DOM markers.
+     * Each icon is fetched once however many markers use it.
+     * @param {string} type - Marker type
+     * @returns {Promise<void>} Resolves once the image is registered
+     */
+    loadIcon(type) {
+        const { icon } = MARKER_TYPES[type];
+        const color = getThemeMarkerColor(this.theme, type);
+        const imageId = this.getIconImageId(type);
+
+        // Rasterize at twice the size so icons stay sharp on high density screens
+        const pixelRatio = 2;
+        const pixels = this.theme.markerSize.normal * pixelRatio;
+
+        this.pendingIcons++;
+        const iconLoad = fetch(icon)
+            .then(res => {
+                if (!res.ok) {
+                    throw new Error(`Marker icon "${icon}" could not be loaded (HTTP ${res.status})`);
+                }
+                return res.text();
+            })
+            .then(svg => new Promise((resolve, reject) => {
+                svg = svg.replace(/stroke="currentColor"/g, `stroke="${color}"`);
+                svg = svg.replace(/fill="currentColor"/g, `fill="${color}"`);
+                svg = svg.replace(/<svg[^>]*>/, tag => tag
+                    .replace(/\swidth="[^"]*"/, ` width="${pixels}"`)
+                    .replace(/\sheight="[^"]*"/, ` height="${pixels}"`));
+
+                const image = new Image(pixels, pixels);
+                image.onload = () => {
+                    // An image left from another theme has the old color and size
+                    if (this.map.hasImage(imageId)) {
+                        this.map.removeImage(imageId);
+                    }
+                    this.map.addImage(imageId, image, { pixelRatio });
+                    resolve();
+                };
+                image.onerror = () => reject(new Error(`Marker icon "${icon}" could not be decoded`));
+                image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+            }))
+            .finally(() => {
+                this.pendingIcons--;
+            });
+        // Failures are reported through whenIconsLoaded()
+        iconLoad.catch(error => console.warn(error.message));
+        this.iconLoads.push(iconLoad);
+
+        return iconLoad;
+    }
+
+    /**
+     * Open popups on marker clicks and zoom into clusters
+     * @param {string} type - Marker type
+     */
+    bindLayerEvents(type) {
+        const ids = this.getSymbolLayerIds(type);
+
+        const showPointer = () => {
+            this.map.getCanvas().style.cursor = 'pointer';
+        };
+        const hidePointer = () => {
+            this.map.getCanvas().style.cursor = '';
+        };
+
+        const openMarker = (event) => {
+            const feature = event.features && event.features[0];
+            const entry = feature && this.markers.get(feature.properties.id);
+            if (entry) {
+                this.showPopup(entry.data);
+            }
+        };
+
+        const expandCluster = (event) => {
+            const feature = event.features && event.features[0];
+            if (!feature) return;
+
+            const source = this.map.getSource(ids.source);
+            source.getClusterExpansionZoom(feature.properties.cluster_id, (error, zoom) => {
+                if (error) {
+                    console.warn('Could not expand marker cluster:', error.message);
+                    return;
+                }
+                this.map.easeTo({ center: feature.geometry.coordinates, zoom });
+            });
+        };
+
+        [
+            ['click', ids.icons, openMarker],
+            ['click', ids.clusters, expandCluster],
+            ['mouseenter', ids.icons, showPointer],
+            ['mouseenter', ids.clusters, showPointer],
+            ['mouseleave', ids.icons, hidePointer],
+            ['mouseleave', ids.clusters, hidePointer]
+        ].forEach(([event, layer, handler]) => {
+            this.map.on(event, layer, handler);
+            this.layerHandlers.push([event, layer, handler]);
+        });
+    }
+
+    /**
+     * Show the popup of a symbol layer marker; one is open at a time, as with closeOnClick on DOM markers
+     * @param {Object} markerData - Marker data object
+     */
+    showPopup(markerData) {
+        this.closePopup();
+
+        this.popup = new mapboxgl.Popup({
+            closeButton: true,
+            closeOnClick: false,
+            maxWidth: '300px'
+        })
+        .setLngLat(markerData.coordinates)
+        .setHTML(buildPopupHTML(markerData))
+        .addTo(this.map);
+        this.popupId = markerData.id;
+        this.popupType = markerData.type;
+    }
+
+    /**
+     * Close the open symbol layer popup, if any
+     */
+    closePopup() {
+        if (this.popup) {
+            this.popup.remove();
+            this.popup = null;
+            this.popupId = null;
+            this.popupType = null;
+        }
+    }
+
+    /**
+     * Emphasize a marker, e.g. while the aircraft is near it
+     * @param {string} id - Marker ID
+     * @param {boolean} highlighted - Highlight state
+     */
+    setMarkerHighlight(id, highlighted) {
+        const entry = this.markers.get(id);
+        if (!entry || !this.symbolTypes.has(entry.data.type)) {
+            super.setMarkerHighlight(id, highlighted);
+            return;
+        }
+
+        const { source } = this.getSymbolLayerIds(entry.data.type);
+        this.map.setFeatureState({ source, id }, { highlighted });
+    }
+
+    /**
+     * Open or close a marker's popup
+     * @param {string} id - Marker ID
+     * @param {boolean} open - Popup state
+     */
+    setPopupOpen(id, open) {
+        const entry = this.markers.get(id);
+        if (!entry || !this.symbolTypes.has(entry.data.type)) {
+            super.setPopupOpen(id, open);
+            return;
+        }
+
+        if (open && this.popupId !== id) {
+            this.showPopup(entry.data);
+        } else if (!open && this.popupId === id) {
+            this.closePopup();
+        }
+    }
+
+    /**
+     * Create the flight path, keeping the marker layers drawn above it
+     */
+    createFlightPath() {
+        super.createFlightPath();
+
+        this.symbolTypes.forEach(type => {
+            this.getSymbolLayers(type).forEach(id => this.map.moveLayer(id));
+        });
+    }
+
+    /**
+     * Show/hide marker layers
+     * @param {string} type - Marker type
+     * @param {boolean} visible - Visibility state
+     */
+    setLayerVisibility(type, visible) {
+        if (!this.symbolTypes.has(type)) {
+            super.setLayerVisibility(type, visible);
+            return;
+        }
+
+        this.getSymbolLayers(type).forEach(id => {
+            if (this.map.getLayer(id)) {
+                this.map.setLayoutProperty(id, 'visibility', visible ? 'visible' : 'none');
+            }
+        });
+
+        if (!visible && this.popupType === type) {
+            this.closePopup();
+        }
+    }
+
+    /**
+     * Remove all markers, including the symbol layers and their sources
+     */
+    removeAllMarkers() {
+        this.closePopup();
+
+        this.layerHandlers.forEach(([event, layer, handler]) => {
+            this.map.off(event, layer, handler);
+        });
+        this.layerHandlers = [];
+
+        this.symbolTypes.forEach(type => {
+            const { source } = this.getSymbolLayerIds(type);
+            this.getSymbolLayers(type).reverse().forEach(id => {
+                if (this.map.getLayer(id)) {
+                    this.map.removeLayer(id);
+                }
+            });
+            if (this.map.getSource(source)) {
+                this.map.removeSource(source);
+            }
+
+            // Symbol markers have no DOM marker to remove
+            this.getMarkersByType(type).forEach(({ id }) => this.markers.delete(id));
+        });
+        this.symbolTypes.clear();
+
+        super.removeAllMarkers();
+    }
+}
+
+/**
+ * Choose the marker renderer from MAP_CONFIG.markerRenderMode
+ * @param {Object} scene - Normalized scene
+ * @returns {string} 'dom' or 'symbol'
+ */
+function getMarkerRenderMode(scene) {
+    const { markerRenderMode, symbolThreshold } = MAP_CONFIG;
+
+    if (markerRenderMode === 'dom' || markerRenderMode === 'symbol') {
+        return markerRenderMode;
+    }
+    if (markerRenderMode !== 'auto') {
+        console.warn(`Unknown marker render mode "${markerRenderMode}", using DOM markers`);
+        return 'dom';
+    }
+
+    const count = Object.values(scene.markers).reduce((total, list) => total + list.length, scene.stops.length);
+    return count > symbolThreshold ? 'symbol' : 'dom';
+}
+
+/**
+ * Create the marker manager for a scene
+ * @param {Object} map - Mapbox map instance
+ * @param {Object} scene - Normalized scene
+ * @param {Object} theme - Definition from getThemeDefinition()
+ * @returns {MarkerManager} DOM marker manager or SymbolMarkerRenderer
+ */
+function createMarkerManager(map, scene, theme) {
+    const mode = getMarkerRenderMode(scene);
+    console.log(`Rendering markers as ${mode === 'symbol' ? 'symbol layers' : 'DOM markers'}`);
+    return mode === 'symbol' ? new SymbolMarkerRenderer(map, scene, theme) : new MarkerManager(map, scene, theme);
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SymbolMarkerRenderer,
+        getMarkerRenderMode,
+        createMarkerManager
+    };
+}
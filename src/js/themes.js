@@ -0,0 +1,145 @@
+/**
+ * Map themes for Mapbox Flight Path Visualization
+ * Resolves the named themes in MAP_CONFIG.themes into one definition of the base style,
+ * paint overrides, marker colors and sizes, and panel colors, and applies it to the page
+ */
+
+// What a theme does not set; matches the dark look of the stylesheet
+const THEME_DEFAULTS = {
+    paint: {},
+    markers: {},
+    markerSize: { normal: 32, zoom: 36 },
+    flightPath: {
+        color: 'rgba(255, 255, 255, 0.3)',
+        width: 2,
+        trackColor: 'rgba(255, 255, 255, 0.8)'
+    },
+    ui: {
+        background: '#1a1a1a',
+        panel: 'rgba(26, 26, 26, 0.92)',
+        popup: '#2d2d2d',
+        text: '#ffffff',
+        muted: '#9ca3af',
+        accent: '#3B82F6',
+        accentText: '#ffffff',
+        border: '#444444',
+        glow: 'rgba(255, 255, 255, 0.3)'
+    }
+};
+
+/**
+ * Whether the map renders from the local style served by server.js
+ * @param {string} search - Query string to read (default: current location)
+ * @returns {boolean} True when MAP_CONFIG.offline is enabled or the URL has ?offline
+ */
+function isOfflineMode(search = (typeof window !== 'undefined' ? window.location.search : '')) {
+    const param = new URLSearchParams(search).get(MAP_CONFIG.offline.queryParam);
+    if (param !== null) {
+        return param !== '0' && param !== 'false';
+    }
+    return MAP_CONFIG.offline.enabled;
+}
+
+/**
+ * Check a theme name
+ * @param {string} name - Theme name
+ * @returns {boolean} True when MAP_CONFIG.themes defines it
+ */
+function isThemeName(name) {
+    return Object.prototype.hasOwnProperty.call(MAP_CONFIG.themes, name);
+}
+
+/**
+ * Full definition of a named theme, with THEME_DEFAULTS filled in
+ * @param {string} name - Theme name from MAP_CONFIG.themes
+ * @returns {Object} { name, label, style, paint, markers, markerSize, flightPath, ui }
+ */
+function getThemeDefinition(name) {
+    if (!isThemeName(name)) {
+        throw new Error(`Unknown theme "${name}" (expected one of ${Object.keys(MAP_CONFIG.themes).join(', ')})`);
+    }
+
+    const theme = MAP_CONFIG.themes[name];
+    return {
+        name,
+        label: theme.label || name,
+        // Offline, the themes share the local style; their paint overrides still apply
+        style: isOfflineMode() ? MAP_CONFIG.offline.style : theme.style,
+        paint: { ...THEME_DEFAULTS.paint, ...theme.paint },
+        markers: { ...THEME_DEFAULTS.markers, ...theme.markers },
+        markerSize: { ...THEME_DEFAULTS.markerSize, ...theme.markerSize },
+        flightPath: { ...THEME_DEFAULTS.flightPath, ...theme.flightPath },
+        ui: { ...THEME_DEFAULTS.ui, ...theme.ui }
+    };
+}
+
+/**
+ * Color of a marker type in a theme
+ * @param {Object} theme - Definition from getThemeDefinition()
+ * @param {string} type - Marker type
+ * @returns {string} CSS color; types the theme does not color keep their MARKER_TYPES color
+ */
+function getThemeMarkerColor(theme, type) {
+    return theme.markers[type] || MARKER_TYPES[type].color;
+}
+
+/**
+ * Apply a theme's paint overrides to the map's style layers. Layers the style does not have are skipped.
+ * @param {Object} map - Mapbox map instance with a loaded style
+ * @param {Object} theme - Definition from getThemeDefinition()
+ */
+function applyThemePaint(map, theme) {
+    Object.keys(theme.paint).forEach(layerId => {
+        if (!map.getLayer(layerId)) {
+            return;
+        }
+
+        const properties = theme.paint[layerId];
+        Object.keys(properties).forEach(property => {
+            map.setPaintProperty(layerId, property, properties[property]);
+        });
+    });
+}
+
+/**
+ * Expose a theme to the stylesheet: CSS custom properties on the root element,
+ * and data-theme on the body for rules specific to one theme
+ * @param {Object} theme - Definition from getThemeDefinition()
+ */
+function applyThemeToPage(theme) {
+    const root = document.documentElement.style;
+    const { ui, markerSize, flightPath } = theme;
+
+    root.setProperty('--theme-background', ui.background);
+    root.setProperty('--theme-panel', ui.panel);
+    root.setProperty('--theme-popup', ui.popup);
+    root.setProperty('--theme-text', ui.text);
+    root.setProperty('--theme-muted', ui.muted);
+    root.setProperty('--theme-accent', ui.accent);
+    root.setProperty('--theme-accent-text', ui.accentText);
+    root.setProperty('--theme-border', ui.border);
+    root.setProperty('--theme-glow', ui.glow);
+    root.setProperty('--theme-path', flightPath.color);
+    root.setProperty('--theme-marker-size', `${markerSize.normal}px`);
+    root.setProperty('--theme-marker-zoom-size', `${markerSize.zoom}px`);
+
+    // e.g. --marker-story for the tour caption accent
+    Object.keys(MARKER_TYPES).forEach(type => {
+        root.setProperty(`--marker-${type.toLowerCase()}`, getThemeMarkerColor(theme, type));
+    });
+
+    document.body.dataset.theme = theme.name;
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        THEME_DEFAULTS,
+        isOfflineMode,
+        isThemeName,
+        getThemeDefinition,
+        getThemeMarkerColor,
+        applyThemePaint,
+        applyThemeToPage
+    };
+}
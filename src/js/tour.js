@@ -0,0 +1,347 @@
+/**
+ * Story tours for Mapbox Flight Path Visualization
+ * Flies the camera through a scene's scripted steps with a caption for each,
+ * stepping manually or advancing on its own, optionally moving the flight clock along
+ */
+
+/**
+ * Read the tour step to open from the query string
+ * @param {string} search - Query string to read (default: current location)
+ * @returns {number|null} Zero-based step index, or null when the tour was not requested
+ */
+function getTourStartStep(search = (typeof window !== 'undefined' ? window.location.search : '')) {
+    const requested = new URLSearchParams(search).get(TOUR_CONFIG.queryParam);
+    if (requested === null) {
+        return null;
+    }
+
+    // ?tour and ?tour=1 both open the first step
+    const step = requested === '' ? 1 : Number(requested);
+    if (!Number.isInteger(step) || step < 1) {
+        console.warn(`Ignoring invalid tour step in URL: ${requested}`);
+        return null;
+    }
+    return step - 1;
+}
+
+class StoryTour {
+    /**
+     * @param {FlightPathMap} flightPathMap - Map the tour moves
+     * @param {Object} tour - Normalized scene tour ({ title, autoAdvance, steps })
+     */
+    constructor(flightPathMap, tour) {
+        this.flightPathMap = flightPathMap;
+        this.title = tour.title;
+        this.autoAdvance = tour.autoAdvance;
+        this.steps = this.resolveSteps(tour.steps);
+        this.index = -1;
+        this.isActive = false;
+        this.isPlaying = false;
+        this.timer = null;
+        this.stepToken = 0;
+        this.controls = null;
+
+        // Bind methods to preserve context
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+    }
+
+    /**
+     * Look up each step's marker. Steps whose marker does not exist are skipped with a warning.
+     * @param {Array<Object>} steps - Steps from the scene
+     * @returns {Array<Object>} Steps with coordinates and a title
+     */
+    resolveSteps(steps) {
+        const { markerManager } = this.flightPathMap;
+
+        return steps.map((step, index) => {
+            const entry = step.marker ? markerManager.getMarker(step.marker) : null;
+            if (step.marker && !entry) {
+                console.warn(`Tour step ${index + 1}: unknown marker "${step.marker}", skipped`);
+                return null;
+            }
+
+            return {
+                ...step,
+                title: step.title || (entry ? entry.data.name : ''),
+                caption: step.caption || (entry ? entry.data.description : ''),
+                coordinates: step.camera.center || entry.data.coordinates
+            };
+        }).filter(Boolean);
+    }
+
+    /**
+     * Camera for a step: its marker (or camera.center) at the step's viewport anchor
+     * @param {Object} step - Resolved step
+     * @returns {Object} { center, zoom, bearing, pitch }
+     */
+    getStepCamera(step) {
+        const { zoom = TOUR_CONFIG.zoom, bearing = 0, pitch = 0, anchor = TOUR_CONFIG.anchor } = step.camera;
+        return this.flightPathMap.getAnchoredCamera(step.coordinates, { zoom, bearing, pitch, anchor });
+    }
+
+    /**
+     * Open the tour at a step
+     * @param {number} index - Zero-based step index (default: the first step)
+     * @param {Object} options - { animate: fly to the step (default: true), play: auto-advance (default: tour.autoAdvance) }
+     * @returns {Promise<Object>} The step shown
+     */
+    async start(index = 0, options = {}) {
+        this.checkStepIndex(index);
+
+        const { play = this.autoAdvance } = options;
+
+        if (!this.isActive) {
+            this.isActive = true;
+
+            // The tour sets the flight time; running playback would fight it
+            if (this.flightPathMap.playback) {
+                this.flightPathMap.playback.pause();
+            }
+            document.addEventListener('keydown', this.handleKeyDown);
+            this.flightPathMap.dispatchEvent('tourStateChange', { active: true, playing: play });
+        }
+
+        this.isPlaying = play;
+        return this.goTo(index, options);
+    }
+
+    /**
+     * Show a step: set its flight time, move the camera and show its caption.
+     * Resolves once the step has rendered; auto-advance then waits the step's dwell time.
+     * @param {number} index - Zero-based step index
+     * @param {Object} options - { animate: fly to the step (default: true) }
+     * @returns {Promise<Object>} The step shown
+     */
+    async goTo(index, options = {}) {
+        if (!this.isActive) {
+            return this.start(index, { ...options, play: false });
+        }
+        this.checkStepIndex(index);
+
+        const { animate = true } = options;
+        const app = this.flightPathMap;
+        const step = this.steps[index];
+
+        // A newer step supersedes this one if it is requested while the camera is flying
+        const token = ++this.stepToken;
+        clearTimeout(this.timer);
+        this.index = index;
+
+        // A live feed owns the aircraft position
+        if (Number.isFinite(step.flightTime) && !app.liveFeed) {
+            app.seek(step.flightTime);
+        }
+
+        const camera = this.getStepCamera(step);
+        if (animate) {
+            app.map.flyTo({ ...camera, duration: TOUR_CONFIG.flyDuration, essential: true });
+        } else {
+            app.map.jumpTo(camera);
+        }
+
+        this.updateControls();
+        app.dispatchEvent('tourStepChange', { index, step, total: this.steps.length });
+
+        await app.whenReady();
+
+        if (token === this.stepToken && this.isPlaying) {
+            this.scheduleNext();
+        }
+        return step;
+    }
+
+    /**
+     * Make sure a step exists
+     * @param {number} index - Zero-based step index
+     */
+    checkStepIndex(index) {
+        if (this.steps.length === 0) {
+            throw new Error('This tour has no steps with a marker on the map');
+        }
+        if (!Number.isInteger(index) || index < 0 || index >= this.steps.length) {
+            throw new Error(`Tour step must be between 1 and ${this.steps.length}, got ${index + 1}`);
+        }
+    }
+
+    /**
+     * Go to the next step after the current one's dwell time; auto-advance stops at the last step
+     */
+    scheduleNext() {
+        clearTimeout(this.timer);
+
+        const step = this.steps[this.index];
+        const dwell = step.dwell || TOUR_CONFIG.dwell;
+        this.timer = setTimeout(() => {
+            if (this.index < this.steps.length - 1) {
+                this.next();
+            } else {
+                this.pause();
+            }
+        }, dwell * 1000);
+    }
+
+    /**
+     * Show the next step
+     */
+    next() {
+        if (this.index < this.steps.length - 1) {
+            this.goTo(this.index + 1).catch(error => console.warn('Tour step failed:', error.message));
+        }
+    }
+
+    /**
+     * Show the previous step
+     */
+    previous() {
+        if (this.index > 0) {
+            this.goTo(this.index - 1).catch(error => console.warn('Tour step failed:', error.message));
+        }
+    }
+
+    /**
+     * Advance through the steps on their own, starting over from the last step
+     */
+    play() {
+        if (!this.isActive || this.index === this.steps.length - 1) {
+            this.start(0, { play: true }).catch(error => console.warn('Tour failed to start:', error.message));
+            return;
+        }
+
+        this.isPlaying = true;
+        this.scheduleNext();
+        this.updateControls();
+        this.flightPathMap.dispatchEvent('tourStateChange', { active: true, playing: true });
+    }
+
+    /**
+     * Stop advancing, staying on the current step
+     */
+    pause() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (!this.isPlaying) return;
+
+        this.isPlaying = false;
+        this.updateControls();
+        this.flightPathMap.dispatchEvent('tourStateChange', { active: this.isActive, playing: false });
+    }
+
+    /**
+     * Toggle auto-advance
+     */
+    toggle() {
+        if (this.isPlaying) {
+            this.pause();
+        } else {
+            this.play();
+        }
+    }
+
+    /**
+     * Leave the tour and hide its caption; the camera stays where it is
+     */
+    stop() {
+        if (!this.isActive) return;
+
+        this.pause();
+        this.stepToken++;
+        this.isActive = false;
+        this.index = -1;
+        document.removeEventListener('keydown', this.handleKeyDown);
+        this.updateControls();
+        this.flightPathMap.dispatchEvent('tourStateChange', { active: false, playing: false });
+    }
+
+    /**
+     * Wire up the tour caption and controls in the page
+     * @param {HTMLElement} container - Element holding the tour controls
+     */
+    bindControls(container) {
+        if (!container) return;
+
+        const control = name => container.querySelector(`[data-tour="${name}"]`);
+        const controls = {
+            container,
+            start: control('start'),
+            progress: control('progress'),
+            title: control('title'),
+            caption: control('caption'),
+            previous: control('previous'),
+            toggle: control('toggle'),
+            next: control('next'),
+            close: control('close')
+        };
+
+        const report = error => console.warn('Tour failed:', error.message);
+        controls.start.addEventListener('click', () => this.start().catch(report));
+        controls.previous.addEventListener('click', () => this.previous());
+        controls.toggle.addEventListener('click', () => this.toggle());
+        controls.next.addEventListener('click', () => this.next());
+        controls.close.addEventListener('click', () => this.stop());
+
+        this.controls = controls;
+        container.classList.remove('hidden');
+        this.updateControls();
+    }
+
+    /**
+     * Reflect the current step and state in the caption and controls
+     */
+    updateControls() {
+        if (!this.controls) return;
+
+        const { container, start, progress, title, caption, previous, toggle, next } = this.controls;
+        container.classList.toggle('tour-active', this.isActive);
+        start.textContent = this.title ? `▶ Tour: ${this.title}` : '▶ Story tour';
+
+        if (!this.isActive) return;
+
+        const step = this.steps[this.index];
+        progress.textContent = `${this.index + 1} / ${this.steps.length}`;
+        title.textContent = step.title;
+        caption.textContent = step.caption;
+        previous.disabled = this.index === 0;
+        next.disabled = this.index === this.steps.length - 1;
+        toggle.textContent = this.isPlaying ? '❚❚' : '▶';
+        toggle.setAttribute('aria-label', this.isPlaying ? 'Pause tour' : 'Play tour');
+    }
+
+    /**
+     * Arrow keys step through the tour, Escape leaves it
+     * @param {KeyboardEvent} event - Key press
+     */
+    handleKeyDown(event) {
+        if (event.ctrlKey || event.metaKey || event.altKey || event.shiftKey) return;
+
+        const target = event.target;
+        const isTyping = target && (['INPUT', 'SELECT', 'TEXTAREA'].includes(target.tagName) || target.isContentEditable);
+        if (isTyping) return;
+
+        if (event.key === 'ArrowRight') {
+            this.next();
+        } else if (event.key === 'ArrowLeft') {
+            this.previous();
+        } else if (event.key === 'Escape') {
+            this.stop();
+        } else {
+            return;
+        }
+        event.preventDefault();
+    }
+
+    /**
+     * Leave the tour and release the controls
+     */
+    destroy() {
+        this.stop();
+        this.controls = null;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        StoryTour,
+        getTourStartStep
+    };
+}
@@ -0,0 +1,418 @@
+/**
+ * Recorded track import for Mapbox Flight Path Visualization
+ * Parses GPX, KML, CSV and IGC flight logs into a timed track that replaces
+ * the idealized great circle route
+ */
+
+// Supported track file formats
+const TRACK_FORMATS = ['gpx', 'kml', 'csv', 'igc'];
+
+const FEET_PER_METER = 3.28084;
+
+/**
+ * Decode the XML entities that can appear in track names
+ * @param {string} text - Raw XML text
+ * @returns {string} Decoded text
+ */
+function decodeXmlText(text) {
+    return text
+        .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&amp;/g, '&')
+        .trim();
+}
+
+/**
+ * Read the text content of the first matching XML element
+ * @param {string} xml - XML fragment
+ * @param {string} tag - Element name, including any namespace prefix
+ * @returns {string|null} Element text or null when absent
+ */
+function getXmlElementText(xml, tag) {
+    const match = xml.match(new RegExp(`<${tag}\\b[^>]*>([\\s\\S]*?)</${tag}>`));
+    return match ? decodeXmlText(match[1]) : null;
+}
+
+/**
+ * Read an attribute from an XML start tag's attribute string
+ * @param {string} attributes - Attribute text, e.g. 'lat="39.04" lon="-84.66"'
+ * @param {string} name - Attribute name
+ * @returns {string|null} Attribute value or null when absent
+ */
+function getXmlAttribute(attributes, name) {
+    const match = attributes.match(new RegExp(`\\b${name}\\s*=\\s*["']([^"']*)["']`));
+    return match ? match[1] : null;
+}
+
+/**
+ * Parse a timestamp into milliseconds since the epoch
+ * @param {string} value - ISO 8601 date/time
+ * @returns {number|null} Milliseconds, or null when missing or unparseable
+ */
+function parseTrackTime(value) {
+    if (!value) return null;
+    const time = Date.parse(value);
+    return Number.isFinite(time) ? time : null;
+}
+
+/**
+ * Parse a GPX file (<trkpt> points with optional <ele> and <time>)
+ * @param {string} text - GPX XML
+ * @returns {Object} Parsed track ({ name, points })
+ */
+function parseGPX(text) {
+    const points = [];
+    const pattern = /<trkpt\b([^>]*?)(?:\/>|>([\s\S]*?)<\/trkpt>)/g;
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+        const body = match[2] || '';
+        const elevation = parseFloat(getXmlElementText(body, 'ele'));
+        points.push({
+            coordinates: [parseFloat(getXmlAttribute(match[1], 'lon')), parseFloat(getXmlAttribute(match[1], 'lat'))],
+            altitude: Number.isFinite(elevation) ? elevation * FEET_PER_METER : undefined,
+            time: parseTrackTime(getXmlElementText(body, 'time'))
+        });
+    }
+
+    const track = text.match(/<trk\b[^>]*>([\s\S]*?)<\/trk>/);
+    return {
+        name: track ? getXmlElementText(track[1].split(/<trkseg\b/)[0], 'name') : null,
+        points
+    };
+}
+
+/**
+ * Parse a KML file, preferring a timed <gx:Track> over a plain <LineString>
+ * @param {string} text - KML XML
+ * @returns {Object} Parsed track ({ name, points })
+ */
+function parseKML(text) {
+    const points = [];
+    const gxTrack = text.match(/<gx:Track\b[^>]*>([\s\S]*?)<\/gx:Track>/);
+
+    /**
+     * Convert a KML "lon lat alt" or "lon,lat,alt" tuple into a track point
+     * @param {string} tuple - Coordinate tuple
+     * @param {number|null} time - Point time in milliseconds
+     * @returns {Object} Track point
+     */
+    const toPoint = (tuple, time) => {
+        const [lon, lat, alt] = tuple.trim().split(/[\s,]+/).map(parseFloat);
+        return {
+            coordinates: [lon, lat],
+            altitude: Number.isFinite(alt) ? alt * FEET_PER_METER : undefined,
+            time
+        };
+    };
+
+    if (gxTrack) {
+        const times = [...gxTrack[1].matchAll(/<when>([^<]*)<\/when>/g)].map(match => parseTrackTime(match[1]));
+        const coords = [...gxTrack[1].matchAll(/<gx:coord>([^<]*)<\/gx:coord>/g)].map(match => match[1]);
+        coords.forEach((tuple, index) => points.push(toPoint(tuple, times[index] ?? null)));
+    } else {
+        const lineString = text.match(/<LineString\b[^>]*>([\s\S]*?)<\/LineString>/);
+        const coordinates = lineString ? getXmlElementText(lineString[1], 'coordinates') : null;
+        if (coordinates) {
+            coordinates.split(/\s+/).filter(Boolean).forEach(tuple => points.push(toPoint(tuple, null)));
+        }
+    }
+
+    const placemark = text.match(/<Placemark\b[^>]*>([\s\S]*?)<\/Placemark>/);
+    return {
+        name: getXmlElementText(placemark ? placemark[1] : text, 'name'),
+        points
+    };
+}
+
+/**
+ * Parse a CSV track with time, lat, lon and optional altitude columns.
+ * Altitude is read in feet from "alt"/"altitude"/"alt_ft", or in meters from "alt_m"/"ele"/"elevation".
+ * Times may be ISO 8601, epoch seconds or milliseconds, or seconds from the start of the track.
+ * @param {string} text - CSV text with a header row
+ * @returns {Object} Parsed track ({ name, points })
+ */
+function parseCSVTrack(text) {
+    const records = parseCSV(text);
+
+    /**
+     * Find the first column present in a record
+     * @param {Object} record - CSV record
+     * @param {Array<string>} names - Candidate column names (lowercase)
+     * @returns {string|undefined} Column value
+     */
+    const column = (record, names) => {
+        const key = Object.keys(record).find(header => names.includes(header.toLowerCase()));
+        return key !== undefined ? record[key] : undefined;
+    };
+
+    const points = records.map(record => {
+        const timeValue = column(record, ['time', 'timestamp', 'datetime', 'utc']);
+        let time = null;
+        if (timeValue && /^-?\d+(\.\d+)?$/.test(timeValue)) {
+            const number = parseFloat(timeValue);
+            // Epoch milliseconds, epoch seconds, or seconds from the start of the track
+            time = number > 1e11 ? number : number * 1000;
+        } else {
+            time = parseTrackTime(timeValue);
+        }
+
+        const feet = parseFloat(column(record, ['alt', 'altitude', 'alt_ft', 'altitude_ft']));
+        const meters = parseFloat(column(record, ['alt_m', 'altitude_m', 'ele', 'elevation']));
+
+        return {
+            coordinates: [
+                parseFloat(column(record, ['lon', 'lng', 'long', 'longitude'])),
+                parseFloat(column(record, ['lat', 'latitude']))
+            ],
+            altitude: Number.isFinite(feet) ? feet : (Number.isFinite(meters) ? meters * FEET_PER_METER : undefined),
+            time
+        };
+    });
+
+    return { name: null, points };
+}
+
+/**
+ * Parse an IGC flight recorder file (B fix records, date from the HFDTE header)
+ * @param {string} text - IGC text
+ * @returns {Object} Parsed track ({ name, points })
+ */
+function parseIGC(text) {
+    const lines = text.split(/\r?\n/);
+    const dateLine = lines.find(line => line.startsWith('HFDTE'));
+    const date = dateLine && dateLine.match(/(\d{2})(\d{2})(\d{2})/);
+    const day = date
+        ? Date.UTC(2000 + parseInt(date[3], 10), parseInt(date[2], 10) - 1, parseInt(date[1], 10))
+        : 0;
+
+    const gliderLine = lines.find(line => /^HFGID/.test(line));
+    const points = [];
+    let dayOffset = 0;
+    let previousSeconds = -1;
+
+    lines.forEach(line => {
+        const fix = line.match(/^B(\d{2})(\d{2})(\d{2})(\d{2})(\d{5})([NS])(\d{3})(\d{5})([EW])([AV])([-\d]{5})([-\d]{5})/);
+        if (!fix) return;
+
+        const seconds = parseInt(fix[1], 10) * 3600 + parseInt(fix[2], 10) * 60 + parseInt(fix[3], 10);
+        // Fix times are UTC time of day, so a smaller time means the flight crossed midnight
+        if (seconds < previousSeconds) {
+            dayOffset += 86400;
+        }
+        previousSeconds = seconds;
+
+        const lat = (parseInt(fix[4], 10) + parseInt(fix[5], 10) / 60000) * (fix[6] === 'S' ? -1 : 1);
+        const lon = (parseInt(fix[7], 10) + parseInt(fix[8], 10) / 60000) * (fix[9] === 'W' ? -1 : 1);
+        const pressureAltitude = parseInt(fix[11], 10);
+        const gnssAltitude = parseInt(fix[12], 10);
+
+        points.push({
+            coordinates: [lon, lat],
+            // GNSS altitude is zero when the recorder has no 3D fix
+            altitude: (gnssAltitude || pressureAltitude) * FEET_PER_METER,
+            time: day + (seconds + dayOffset) * 1000
+        });
+    });
+
+    return {
+        name: gliderLine ? gliderLine.split(':').slice(1).join(':').trim() || null : null,
+        points
+    };
+}
+
+/**
+ * Work out a track file's format from its name or contents
+ * @param {string} text - File contents
+ * @param {string} fileName - File name or URL (optional)
+ * @returns {string|null} One of TRACK_FORMATS, or null when unrecognized
+ */
+function detectTrackFormat(text, fileName = '') {
+    const extension = fileName.split(/[?#]/)[0].split('.').pop().toLowerCase();
+    if (TRACK_FORMATS.includes(extension)) {
+        return extension;
+    }
+
+    const start = text.trimStart().slice(0, 1000);
+    if (/<gpx\b/.test(start)) return 'gpx';
+    if (/<kml\b/.test(start)) return 'kml';
+    if (/^A\w{3}/.test(start) && /^B\d{6}/m.test(text)) return 'igc';
+    if (/lat/i.test(start.split(/\r?\n/)[0])) return 'csv';
+
+    return null;
+}
+
+/**
+ * Parse track file contents into a timed track
+ * @param {string} text - File contents
+ * @param {string} format - One of TRACK_FORMATS
+ * @param {string} source - Where the track came from, used in names and error messages
+ * @returns {Object} Track ({ name, format, points: [{ coordinates, altitude, time, offset }], timed, duration })
+ */
+function parseTrack(text, format, source = 'track') {
+    const parsers = { gpx: parseGPX, kml: parseKML, csv: parseCSVTrack, igc: parseIGC };
+    if (!parsers[format]) {
+        throw new Error(`Track "${source}" has unsupported format "${format}" (expected ${TRACK_FORMATS.join(', ')})`);
+    }
+
+    const parsed = parsers[format](text);
+    let points = parsed.points.filter(point => isValidCoordinates(point.coordinates));
+
+    // Points without a timestamp cannot be placed on a timed track
+    const timedPoints = points.filter(point => point.time !== null);
+    const timed = timedPoints.length > 0;
+    if (timed && timedPoints.length < points.length) {
+        console.warn(`Track "${source}": skipped ${points.length - timedPoints.length} points without a timestamp`);
+        points = timedPoints;
+    }
+
+    if (timed) {
+        points.sort((a, b) => a.time - b.time);
+        points = points.filter((point, index) => index === 0 || point.time > points[index - 1].time);
+    }
+
+    if (points.length < 2) {
+        throw new Error(`Track "${source}" needs at least two positions, found ${points.length}`);
+    }
+
+    const startTime = timed ? points[0].time : null;
+    const trackPoints = points.map(point => ({
+        coordinates: point.coordinates,
+        altitude: point.altitude,
+        time: point.time,
+        offset: timed ? (point.time - startTime) / 60000 : null
+    }));
+
+    return {
+        name: parsed.name || source,
+        format,
+        points: trackPoints,
+        timed,
+        startTime,
+        duration: timed ? trackPoints[trackPoints.length - 1].offset : null
+    };
+}
+
+/**
+ * Spread an untimed track over a duration in proportion to distance flown
+ * @param {Object} track - Track from parseTrack()
+ * @param {number} duration - Duration in minutes
+ * @returns {Object} Timed copy of the track
+ */
+function timeTrackByDistance(track, duration) {
+    const distances = [0];
+    for (let i = 1; i < track.points.length; i++) {
+        distances.push(distances[i - 1] + calculateGreatCircleDistance(track.points[i - 1].coordinates, track.points[i].coordinates));
+    }
+    const total = distances[distances.length - 1] || 1;
+
+    return {
+        ...track,
+        points: track.points.map((point, index) => ({ ...point, offset: (distances[index] / total) * duration })),
+        timed: true,
+        duration
+    };
+}
+
+/**
+ * Fetch and parse a track file
+ * @param {string} url - Track file URL
+ * @param {string} format - One of TRACK_FORMATS (default: detected from the URL or contents)
+ * @returns {Promise<Object>} Track from parseTrack()
+ */
+async function loadTrack(url, format) {
+    let response;
+    try {
+        response = await fetch(url);
+    } catch (error) {
+        throw new Error(`Track file "${url}" could not be loaded: ${error.message}`);
+    }
+
+    if (!response.ok) {
+        throw new Error(`Track file "${url}" could not be loaded (HTTP ${response.status})`);
+    }
+
+    const text = await response.text();
+    const trackFormat = format || detectTrackFormat(text, url);
+    if (!trackFormat) {
+        throw new Error(`Track file "${url}" is not a recognized GPX, KML, CSV or IGC file`);
+    }
+
+    return parseTrack(text, trackFormat, url);
+}
+
+/**
+ * Get the aircraft state at a moment of a recorded track
+ * @param {Object} track - Timed track
+ * @param {number} minutes - Time from the first track point in minutes
+ * @returns {Object} { coordinates, heading, altitude (ft), groundSpeed (kt), phase: 'track', legIndex: 0 }
+ */
+function getTrackState(track, minutes) {
+    const { points } = track;
+    const time = Math.min(Math.max(minutes, 0), track.duration);
+
+    // Binary search for the segment containing the time
+    let low = 0;
+    let high = points.length - 1;
+    while (high - low > 1) {
+        const middle = Math.floor((low + high) / 2);
+        if (points[middle].offset <= time) {
+            low = middle;
+        } else {
+            high = middle;
+        }
+    }
+
+    const from = points[low];
+    const to = points[high];
+    const span = to.offset - from.offset;
+    const fraction = span > 0 ? Math.min(Math.max((time - from.offset) / span, 0), 1) : 0;
+    const distance = calculateDistanceNauticalMiles(from.coordinates, to.coordinates);
+    const moved = distance > 0.001;
+
+    // A stationary aircraft keeps facing along the nearest movement in the track
+    let heading;
+    if (moved) {
+        heading = calculateBearing(from.coordinates, to.coordinates);
+    } else {
+        const next = points.slice(high).find(point => calculateDistanceNauticalMiles(from.coordinates, point.coordinates) > 0.001);
+        const previous = points.slice(0, low).reverse().find(point => calculateDistanceNauticalMiles(point.coordinates, from.coordinates) > 0.001);
+        if (next) {
+            heading = calculateBearing(from.coordinates, next.coordinates);
+        } else if (previous) {
+            heading = calculateBearing(previous.coordinates, from.coordinates);
+        }
+    }
+
+    const altitude = Number.isFinite(from.altitude) && Number.isFinite(to.altitude)
+        ? from.altitude + (to.altitude - from.altitude) * fraction
+        : from.altitude;
+
+    return {
+        coordinates: moved ? calculateIntermediatePoint(from.coordinates, to.coordinates, fraction) : from.coordinates,
+        heading,
+        altitude,
+        groundSpeed: span > 0 ? distance / (span / 60) : 0,
+        legIndex: 0,
+        phase: 'track'
+    };
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        TRACK_FORMATS,
+        parseGPX,
+        parseKML,
+        parseCSVTrack,
+        parseIGC,
+        detectTrackFormat,
+        parseTrack,
+        timeTrackByDistance,
+        loadTrack,
+        getTrackState
+    };
+}
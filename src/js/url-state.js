@@ -0,0 +1,264 @@
+/**
+ * Shareable map state for Mapbox Flight Path Visualization
+ * Restores the camera, flight time, hidden layers and theme from the query string
+ * and keeps the URL up to date as the user interacts, so any view can be linked
+ */
+
+/**
+ * Layer keys used in the URL: lowercase marker types plus the flight path
+ * @returns {Array<string>} e.g. ['cities', 'poi', 'story', 'aircraft', 'path']
+ */
+function getUrlLayerKeys() {
+    return [...Object.keys(MARKER_TYPES).map(type => type.toLowerCase()), URL_STATE_CONFIG.pathLayer];
+}
+
+/**
+ * Read the map state from a query string. Invalid values are ignored with a warning.
+ * @param {string} search - Query string to read (default: current location)
+ * @returns {Object} { camera: { center, zoom, bearing, pitch } or null, time: minutes or null,
+ *                     hidden: layer keys or null, theme: theme name or null }
+ */
+function parseUrlState(search = (typeof window !== 'undefined' ? window.location.search : '')) {
+    const params = new URLSearchParams(search);
+    const { params: names } = URL_STATE_CONFIG;
+    const state = { camera: null, time: null, hidden: null, theme: null };
+
+    // map=zoom/lat/lng[/bearing/pitch], the same order as Mapbox's own URL hash
+    const camera = params.get(names.camera);
+    if (camera) {
+        const parts = camera.split('/');
+        const [zoom, lat, lng, bearing = 0, pitch = 0] = parts.map(Number);
+        if (parts.length >= 3 && [zoom, bearing, pitch].every(Number.isFinite) && isValidCoordinates([lng, lat])) {
+            state.camera = { center: [lng, lat], zoom, bearing, pitch };
+        } else {
+            console.warn(`Ignoring invalid map position in URL: ${camera}`);
+        }
+    }
+
+    const time = params.get(names.time);
+    if (time !== null) {
+        const minutes = Number(time);
+        if (time !== '' && Number.isFinite(minutes) && minutes >= 0) {
+            state.time = minutes;
+        } else {
+            console.warn(`Ignoring invalid flight time in URL: ${time}`);
+        }
+    }
+
+    const hidden = params.get(names.hidden);
+    if (hidden !== null) {
+        const layerKeys = getUrlLayerKeys();
+        const requested = hidden.split(',').map(key => key.trim().toLowerCase()).filter(Boolean);
+        const unknown = requested.filter(key => !layerKeys.includes(key));
+        if (unknown.length > 0) {
+            console.warn(`Ignoring unknown layers in URL: ${unknown.join(', ')}`);
+        }
+        state.hidden = requested.filter(key => layerKeys.includes(key));
+    }
+
+    const theme = params.get(names.theme);
+    if (theme) {
+        if (isThemeName(theme)) {
+            state.theme = theme;
+        } else {
+            console.warn(`Ignoring unknown theme in URL: ${theme}`);
+        }
+    }
+
+    return state;
+}
+
+/**
+ * Write map state into a query string, keeping parameters this module does not own
+ * (scene, track, live, ...)
+ * @param {Object} state - { camera, time, hidden, theme } as returned by parseUrlState();
+ *                         null or empty values remove their parameter
+ * @param {string} search - Query string to start from
+ * @returns {string} Query string without the leading "?"
+ */
+function formatUrlState(state, search = '') {
+    const params = new URLSearchParams(search);
+    const { params: names, precision } = URL_STATE_CONFIG;
+
+    /**
+     * Format a number without trailing zeros
+     * @param {number} value - Number to format
+     * @param {number} digits - Maximum decimal places
+     * @returns {string} Formatted number
+     */
+    const round = (value, digits) => String(Number(value.toFixed(digits)));
+
+    /**
+     * Set a parameter, or remove it when there is no value
+     * @param {string} name - Parameter name
+     * @param {string|null} value - Parameter value
+     */
+    const set = (name, value) => {
+        if (value === null || value === '') {
+            params.delete(name);
+        } else {
+            params.set(name, value);
+        }
+    };
+
+    const { camera } = state;
+    let position = null;
+    if (camera) {
+        const parts = [
+            round(camera.zoom, precision.zoom),
+            round(camera.center[1], precision.coordinates),
+            round(camera.center[0], precision.coordinates)
+        ];
+        // Bearing and pitch are left out for a flat, north-up view
+        if (camera.bearing || camera.pitch) {
+            parts.push(round(camera.bearing || 0, precision.angle), round(camera.pitch || 0, precision.angle));
+        }
+        position = parts.join('/');
+    }
+
+    set(names.camera, position);
+    set(names.time, Number.isFinite(state.time) ? round(state.time, precision.time) : null);
+    set(names.hidden, state.hidden && state.hidden.length > 0 ? state.hidden.join(',') : null);
+    set(names.theme, state.theme && state.theme !== MAP_CONFIG.defaultTheme ? state.theme : null);
+
+    // Slashes and commas are valid in a query string; keep them readable
+    return params.toString().replace(/%2F/gi, '/').replace(/%2C/gi, ',');
+}
+
+class UrlStateManager {
+    /**
+     * @param {FlightPathMap} flightPathMap - Map whose state is mirrored in the URL
+     * @param {string} search - Query string to restore from (default: current location)
+     */
+    constructor(flightPathMap, search) {
+        this.flightPathMap = flightPathMap;
+        this.initialState = parseUrlState(search);
+        this.isTracking = false;
+
+        // Bind methods to preserve context
+        this.handleChange = debounce(this.writeState.bind(this), URL_STATE_CONFIG.updateDelay);
+    }
+
+    /**
+     * Theme requested by the URL, for creating the map
+     * @returns {string} Theme name
+     */
+    getTheme() {
+        return this.initialState.theme || MAP_CONFIG.defaultTheme;
+    }
+
+    /**
+     * Whether the URL sets the camera (the map then skips its default overview)
+     * @returns {boolean} True when a camera was restored
+     */
+    hasCamera() {
+        return Boolean(this.initialState.camera);
+    }
+
+    /**
+     * Apply the URL's camera, flight time and hidden layers to the loaded map
+     */
+    restore() {
+        const app = this.flightPathMap;
+        const { camera, time, hidden } = this.initialState;
+
+        if (camera) {
+            app.map.jumpTo(camera);
+        }
+
+        // A live feed owns the aircraft position
+        if (time !== null && !app.liveFeed) {
+            app.seek(time);
+        }
+
+        if (hidden) {
+            hidden.forEach(key => {
+                if (key === URL_STATE_CONFIG.pathLayer) {
+                    app.setFlightPathVisibility(false);
+                } else {
+                    app.setMarkerVisibility(key.toUpperCase(), false);
+                }
+            });
+        }
+
+        console.log('URL state restored:', this.initialState);
+    }
+
+    /**
+     * Start updating the URL as the camera, flight time, layers and theme change
+     */
+    start() {
+        if (this.isTracking) return;
+
+        this.isTracking = true;
+        this.flightPathMap.map.on('moveend', this.handleChange);
+        document.addEventListener('flightTimeChange', this.handleChange);
+        document.addEventListener('layerVisibilityChange', this.handleChange);
+        document.addEventListener('themeChange', this.handleChange);
+    }
+
+    /**
+     * Stop updating the URL
+     */
+    stop() {
+        if (!this.isTracking) return;
+
+        this.isTracking = false;
+        this.flightPathMap.map.off('moveend', this.handleChange);
+        document.removeEventListener('flightTimeChange', this.handleChange);
+        document.removeEventListener('layerVisibilityChange', this.handleChange);
+        document.removeEventListener('themeChange', this.handleChange);
+    }
+
+    /**
+     * Current map state in URL form
+     * @returns {Object} { camera, time, hidden, theme }
+     */
+    getState() {
+        const app = this.flightPathMap;
+        const center = app.map.getCenter();
+
+        return {
+            camera: {
+                center: [center.lng, center.lat],
+                zoom: app.map.getZoom(),
+                bearing: app.map.getBearing(),
+                pitch: app.map.getPitch()
+            },
+            time: app.liveFeed ? null : app.flightTime,
+            hidden: [...app.hiddenLayers],
+            theme: app.theme
+        };
+    }
+
+    /**
+     * Link to the current view
+     * @returns {string} Absolute URL
+     */
+    getUrl() {
+        const query = formatUrlState(this.getState(), window.location.search);
+        return `${window.location.origin}${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`;
+    }
+
+    /**
+     * Replace the current history entry with the current view
+     */
+    writeState() {
+        if (!this.isTracking) return;
+
+        const url = this.getUrl();
+        if (url !== window.location.href) {
+            window.history.replaceState(window.history.state, '', url);
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        UrlStateManager,
+        parseUrlState,
+        formatUrlState,
+        getUrlLayerKeys
+    };
+}
@@ -83,19 +83,464 @@ function calculateIntermediatePoint(startPoint, endPoint, fraction) {
     return [radiansToDegrees(lon), radiansToDegrees(lat)];
 }
 
+/**
+ * Calculate initial great circle bearing from one point to another
+ * @param {Array} point1 - [longitude, latitude] of start point
+ * @param {Array} point2 - [longitude, latitude] of end point
+ * @returns {number} Bearing in degrees clockwise from true north (0 to 360)
+ */
+function calculateBearing(point1, point2) {
+    const [lon1, lat1] = point1;
+    const [lon2, lat2] = point2;
+    
+    const lat1Rad = degreesToRadians(lat1);
+    const lat2Rad = degreesToRadians(lat2);
+    const dLon = degreesToRadians(lon2 - lon1);
+    
+    const y = Math.sin(dLon) * Math.cos(lat2Rad);
+    const x = Math.cos(lat1Rad) * Math.sin(lat2Rad) -
+              Math.sin(lat1Rad) * Math.cos(lat2Rad) * Math.cos(dLon);
+    
+    return (radiansToDegrees(Math.atan2(y, x)) + 360) % 360;
+}
+
+/**
+ * Calculate the point reached by travelling along a bearing
+ * @param {Array} point - [longitude, latitude] of start point
+ * @param {number} bearing - Bearing in degrees clockwise from true north
+ * @param {number} distance - Distance in kilometers
+ * @param {number} earthRadius - Earth radius in km (default: 6371)
+ * @returns {Array} [longitude, latitude] of destination point
+ */
+function calculateDestinationPoint(point, bearing, distance, earthRadius = 6371) {
+    const [lon, lat] = point;
+    const latRad = degreesToRadians(lat);
+    const lonRad = degreesToRadians(lon);
+    const bearingRad = degreesToRadians(bearing);
+    const angularDistance = distance / earthRadius;
+    
+    const destLat = Math.asin(
+        Math.sin(latRad) * Math.cos(angularDistance) +
+        Math.cos(latRad) * Math.sin(angularDistance) * Math.cos(bearingRad)
+    );
+    const destLon = lonRad + Math.atan2(
+        Math.sin(bearingRad) * Math.sin(angularDistance) * Math.cos(latRad),
+        Math.cos(angularDistance) - Math.sin(latRad) * Math.sin(destLat)
+    );
+    
+    // Normalize longitude to [-180, 180]
+    return [((radiansToDegrees(destLon) + 540) % 360) - 180, radiansToDegrees(destLat)];
+}
+
+/**
+ * Calculate the instantaneous great circle heading at a point on a route
+ * @param {Array} startPoint - [longitude, latitude] of route start
+ * @param {Array} endPoint - [longitude, latitude] of route end
+ * @param {Array} position - [longitude, latitude] of the current position on the route
+ * @returns {number} Heading in degrees clockwise from true north
+ */
+function calculateRouteHeading(startPoint, endPoint, position) {
+    // At the destination the bearing to it is undefined, so use the final bearing instead
+    if (calculateGreatCircleDistance(position, endPoint) < 0.01) {
+        return (calculateBearing(endPoint, startPoint) + 180) % 360;
+    }
+    return calculateBearing(position, endPoint);
+}
+
+/**
+ * Densify a great circle route into evenly spaced points
+ * @param {Array} startPoint - [longitude, latitude] of start point
+ * @param {Array} endPoint - [longitude, latitude] of end point
+ * @param {number} maxSegmentLength - Maximum distance between points in km (default: 50)
+ * @returns {Array} Points along the great circle, including both ends
+ */
+function calculateGreatCirclePath(startPoint, endPoint, maxSegmentLength = 50) {
+    const distance = calculateGreatCircleDistance(startPoint, endPoint);
+    const segments = Math.max(1, Math.ceil(distance / maxSegmentLength));
+    const points = [startPoint];
+    
+    for (let i = 1; i < segments; i++) {
+        points.push(calculateIntermediatePoint(startPoint, endPoint, i / segments));
+    }
+    
+    points.push(endPoint);
+    return points;
+}
+
+/**
+ * Split a densified line where it crosses the antimeridian or passes a pole,
+ * so it renders correctly on a single Web Mercator world copy
+ * @param {Array} coordinates - Points with longitudes in [-180, 180]
+ * @returns {Array} Array of line coordinate arrays
+ */
+function splitAtAntimeridian(coordinates) {
+    // Latitude where Web Mercator ends; polar passes are cut at the map edge
+    const maxLatitude = 85.051129;
+    
+    // A point exactly on a pole has no meaningful longitude
+    const points = coordinates.filter((point, index) =>
+        index === 0 || index === coordinates.length - 1 || Math.abs(point[1]) < 89.9999
+    );
+    
+    const lines = [];
+    let current = [points[0]];
+    
+    for (let i = 1; i < points.length; i++) {
+        const [lon1, lat1] = points[i - 1];
+        const [lon2, lat2] = points[i];
+        const delta = lon2 - lon1;
+        const wrappedDelta = Math.abs(delta) > 180 ? delta - 360 * Math.sign(delta) : delta;
+        
+        if (Math.abs(wrappedDelta) > 90) {
+            // Consecutive points half a world apart in longitude: the path goes over a pole
+            const poleLatitude = Math.sign(lat1 + lat2) * maxLatitude;
+            current.push([lon1, poleLatitude]);
+            lines.push(current);
+            current = [[lon2, poleLatitude], [lon2, lat2]];
+        } else if (Math.abs(delta) > 180) {
+            // Crossing the antimeridian: end at the map edge and resume on the other side
+            const edge = 180 * Math.sign(lon1);
+            const fraction = (edge - lon1) / wrappedDelta;
+            const crossingLatitude = lat1 + fraction * (lat2 - lat1);
+            current.push([edge, crossingLatitude]);
+            lines.push(current);
+            current = [[-edge, crossingLatitude], [lon2, lat2]];
+        } else {
+            current.push([lon2, lat2]);
+        }
+    }
+    
+    lines.push(current);
+    return lines;
+}
+
+/**
+ * Shift longitudes by 360° so points on both sides of the antimeridian form one
+ * continuous range, for fitting bounds to a route split by splitAtAntimeridian()
+ * @param {Array} points - [longitude, latitude] points with longitudes in [-180, 180]
+ * @returns {Array} The points, with longitudes above 180 where the range crosses the antimeridian
+ */
+function unwrapLongitudes(points) {
+    const longitudes = points.map(point => point[0]).sort((a, b) => a - b);
+    if (longitudes.length < 2) {
+        return points;
+    }
+
+    // The widest gap between neighbouring longitudes is the part of the world left out;
+    // unless that is the one across the antimeridian, the range continues past 180
+    let widestGap = longitudes[0] + 360 - longitudes[longitudes.length - 1];
+    let rangeStart = null;
+    for (let i = 1; i < longitudes.length; i++) {
+        const gap = longitudes[i] - longitudes[i - 1];
+        if (gap > widestGap) {
+            widestGap = gap;
+            rangeStart = longitudes[i];
+        }
+    }
+
+    if (rangeStart === null) {
+        return points;
+    }
+    return points.map(point => (point[0] < rangeStart ? [point[0] + 360, ...point.slice(1)] : point));
+}
+
+/**
+ * Wrap a longitude into [-180, 180)
+ * @param {number} longitude - Longitude in degrees
+ * @returns {number} Equivalent longitude
+ */
+function wrapLongitude(longitude) {
+    return ((longitude + 180) % 360 + 360) % 360 - 180;
+}
+
+/**
+ * Create a renderable great circle geometry between two points
+ * @param {Array} startPoint - [longitude, latitude] of start point
+ * @param {Array} endPoint - [longitude, latitude] of end point
+ * @param {number} maxSegmentLength - Maximum distance between points in km (default: 50)
+ * @returns {Object} GeoJSON MultiLineString geometry
+ */
+function createGreatCircleGeometry(startPoint, endPoint, maxSegmentLength = 50) {
+    return {
+        type: 'MultiLineString',
+        coordinates: splitAtAntimeridian(calculateGreatCirclePath(startPoint, endPoint, maxSegmentLength))
+    };
+}
+
+/**
+ * Build a phased flight profile (taxi, climb, cruise, descent, taxi) for one leg.
+ * Cruise speed is solved so the profile fits the scheduled block time exactly,
+ * within minCruiseSpeed and maxCruiseSpeed: slow schedules spend the spare time
+ * taxiing, fast ones taxi less and level off lower. On short legs the cruise
+ * altitude is also lowered so climb and descent still fit.
+ * @param {number} distance - Leg great circle distance in nautical miles
+ * @param {number} blockTime - Gate-to-gate time in minutes
+ * @param {Object} profile - Profile settings (see FLIGHT_PROFILE in config.js)
+ * @returns {Object} { phases, distance } with per-phase times, speeds and altitudes
+ */
+function createFlightProfile(distance, blockTime, profile) {
+    let taxiOutTime = profile.taxiOutTime;
+    let taxiInTime = profile.taxiInTime;
+    
+    // Never let taxiing take more than a quarter of the block time
+    const maxTaxiTime = blockTime * 0.25;
+    if (taxiOutTime + taxiInTime > maxTaxiTime) {
+        const scale = maxTaxiTime / (taxiOutTime + taxiInTime);
+        taxiOutTime *= scale;
+        taxiInTime *= scale;
+    }
+    
+    let airborneTime = blockTime - taxiOutTime - taxiInTime;
+    let altitude = profile.cruiseAltitude;
+    let climbTime = altitude / profile.climbRate;
+    let descentTime = altitude / profile.descentRate;
+    
+    // Short legs level off lower so climb and descent fit in the airborne time
+    const maxClimbDescentTime = airborneTime * 0.8;
+    if (climbTime + descentTime > maxClimbDescentTime) {
+        const scale = maxClimbDescentTime / (climbTime + descentTime);
+        altitude *= scale;
+        climbTime *= scale;
+        descentTime *= scale;
+    }
+    
+    // Distances in nautical miles: speeds are knots, times are minutes
+    const climbGroundSpeed = (profile.takeoffSpeed + profile.climbSpeed) / 2;
+    const descentGroundSpeed = (profile.descentSpeed + profile.approachSpeed) / 2;
+    const getCruiseDistance = () => Math.max(0, distance - (climbGroundSpeed * climbTime + descentGroundSpeed * descentTime) / 60);
+    
+    // Very short legs level off lower still, so climb and descent alone do not overfly the route
+    const climbDescentDistance = (climbGroundSpeed * climbTime + descentGroundSpeed * descentTime) / 60;
+    if (climbDescentDistance > distance) {
+        const scale = distance / climbDescentDistance;
+        altitude *= scale;
+        climbTime *= scale;
+        descentTime *= scale;
+    }
+    
+    let cruiseTime = airborneTime - climbTime - descentTime;
+    let cruiseDistance = getCruiseDistance();
+    const { minCruiseSpeed, maxCruiseSpeed } = profile;
+    
+    if (cruiseDistance > maxCruiseSpeed * cruiseTime / 60) {
+        // Too far for maxCruiseSpeed: give up taxi time first...
+        const shortfall = cruiseDistance / maxCruiseSpeed * 60 - cruiseTime;
+        const taxiTime = taxiOutTime + taxiInTime;
+        const taxiScale = taxiTime > 0 ? Math.max(0, 1 - shortfall / taxiTime) : 0;
+        taxiOutTime *= taxiScale;
+        taxiInTime *= taxiScale;
+        airborneTime = blockTime - taxiOutTime - taxiInTime;
+        cruiseTime = airborneTime - climbTime - descentTime;
+        
+        // ...then level off lower, trading slow climb and descent time for cruise time.
+        // Legs too long to fly at maxCruiseSpeed at all are rejected by validateScene().
+        if (cruiseDistance > maxCruiseSpeed * cruiseTime / 60) {
+            const climbDescentTime = climbTime + descentTime;
+            const scale = Math.min(Math.max(
+                (maxCruiseSpeed * airborneTime / 60 - distance) / (maxCruiseSpeed * climbDescentTime / 60 - climbDescentDistance),
+                0), 1);
+            altitude *= scale;
+            climbTime *= scale;
+            descentTime *= scale;
+            cruiseTime = airborneTime - climbTime - descentTime;
+            cruiseDistance = getCruiseDistance();
+        }
+    } else if (cruiseDistance < minCruiseSpeed * cruiseTime / 60) {
+        // Too slow for minCruiseSpeed: spend the spare time taxiing instead
+        const spareTime = cruiseTime - cruiseDistance / minCruiseSpeed * 60;
+        const taxiTime = taxiOutTime + taxiInTime;
+        cruiseTime -= spareTime;
+        taxiOutTime += taxiTime > 0 ? spareTime * taxiOutTime / taxiTime : spareTime;
+        taxiInTime += taxiTime > 0 ? spareTime * taxiInTime / taxiTime : 0;
+    }
+    
+    const cruiseSpeed = cruiseTime > 0
+        ? Math.min(Math.max(cruiseDistance / (cruiseTime / 60), minCruiseSpeed), maxCruiseSpeed)
+        : minCruiseSpeed;
+    
+    const phaseSpecs = [
+        { name: 'taxi-out', duration: taxiOutTime, speeds: [0, 0], altitudes: [0, 0] },
+        { name: 'climb', duration: climbTime, speeds: [profile.takeoffSpeed, profile.climbSpeed], altitudes: [0, altitude] },
+        { name: 'cruise', duration: cruiseTime, speeds: [cruiseSpeed, cruiseSpeed], altitudes: [altitude, altitude] },
+        { name: 'descent', duration: descentTime, speeds: [profile.descentSpeed, profile.approachSpeed], altitudes: [altitude, 0] },
+        { name: 'taxi-in', duration: taxiInTime, speeds: [0, 0], altitudes: [0, 0] }
+    ];
+    
+    let start = 0;
+    let startDistance = 0;
+    const phases = phaseSpecs.map(spec => {
+        const phase = {
+            name: spec.name,
+            start,
+            end: start + spec.duration,
+            startDistance,
+            startSpeed: spec.speeds[0],
+            endSpeed: spec.speeds[1],
+            startAltitude: spec.altitudes[0],
+            endAltitude: spec.altitudes[1]
+        };
+        start = phase.end;
+        startDistance += (spec.speeds[0] + spec.speeds[1]) / 2 * spec.duration / 60;
+        return phase;
+    });
+    
+    // When the leg is too short for the configured speeds, the profile covers
+    // more ground than the route; scale everything back onto the real distance
+    return {
+        phases,
+        distance,
+        distanceScale: startDistance > 0 ? distance / startDistance : 0
+    };
+}
+
+/**
+ * Get position along the route, altitude and ground speed from a flight profile
+ * @param {Object} flightProfile - Profile created by createFlightProfile()
+ * @param {number} time - Time from leg departure (off-block) in minutes
+ * @returns {Object} { fraction, altitude (ft), groundSpeed (kt), phase }
+ */
+function getFlightProfileState(flightProfile, time) {
+    const { phases, distance, distanceScale } = flightProfile;
+    const lastPhase = phases[phases.length - 1];
+    const clampedTime = Math.min(Math.max(time, 0), lastPhase.end);
+    const phase = phases.find(candidate => clampedTime <= candidate.end) || lastPhase;
+    
+    const duration = phase.end - phase.start;
+    const progress = duration > 0 ? (clampedTime - phase.start) / duration : 1;
+    const elapsed = clampedTime - phase.start;
+    
+    // Speed changes linearly within a phase, so distance is its integral
+    const speed = phase.startSpeed + (phase.endSpeed - phase.startSpeed) * progress;
+    const phaseDistance = (phase.startSpeed + speed) / 2 * elapsed / 60;
+    const flownDistance = (phase.startDistance + phaseDistance) * distanceScale;
+    
+    return {
+        fraction: distance > 0 ? Math.min(flownDistance / distance, 1) : 1,
+        altitude: phase.startAltitude + (phase.endAltitude - phase.startAltitude) * progress,
+        groundSpeed: speed * distanceScale,
+        phase: phase.name
+    };
+}
+
 /**
  * Calculate aircraft position based on flight time
- * @param {Array} startPoint - CVG coordinates
- * @param {Array} endPoint - MCO coordinates
+ * @param {Array} startPoint - Departure coordinates
+ * @param {Array} endPoint - Arrival coordinates
  * @param {number} timeFromStart - Time from start in minutes
  * @param {number} totalFlightTime - Total flight time in minutes
+ * @param {Object} profile - Flight profile settings; omit for constant speed along the path
  * @returns {Array} Aircraft coordinates [longitude, latitude]
  */
-function calculateAircraftPosition(startPoint, endPoint, timeFromStart, totalFlightTime) {
-    const fraction = timeFromStart / totalFlightTime;
+function calculateAircraftPosition(startPoint, endPoint, timeFromStart, totalFlightTime, profile) {
+    if (!profile) {
+        const fraction = timeFromStart / totalFlightTime;
+        return calculateIntermediatePoint(startPoint, endPoint, fraction);
+    }
+    
+    const flightProfile = createFlightProfile(
+        calculateDistanceNauticalMiles(startPoint, endPoint),
+        totalFlightTime,
+        profile
+    );
+    const { fraction } = getFlightProfileState(flightProfile, timeFromStart);
     return calculateIntermediatePoint(startPoint, endPoint, fraction);
 }
 
+/**
+ * Estimate block time for a leg from its great circle distance
+ * @param {Array} startPoint - [longitude, latitude] of departure
+ * @param {Array} endPoint - [longitude, latitude] of arrival
+ * @param {number} cruiseSpeed - Average cruise speed in km/h (default: 780)
+ * @param {number} overheadTime - Taxi, climb and approach allowance in minutes (default: 30)
+ * @returns {number} Estimated flight time in whole minutes
+ */
+function estimateFlightTime(startPoint, endPoint, cruiseSpeed = 780, overheadTime = 30) {
+    const distance = calculateGreatCircleDistance(startPoint, endPoint);
+    return Math.round(overheadTime + (distance / cruiseSpeed) * 60);
+}
+
+/**
+ * Calculate total itinerary duration including layovers
+ * @param {Array} legs - Ordered legs, each with flightTime and optional layover (minutes)
+ * @returns {number} Total duration in minutes
+ */
+function calculateItineraryDuration(legs) {
+    return legs.reduce((total, leg, index) => {
+        const layover = index < legs.length - 1 ? (leg.layover || 0) : 0;
+        return total + leg.flightTime + layover;
+    }, 0);
+}
+
+/**
+ * Calculate aircraft state across a multi-leg itinerary
+ * @param {Array} legs - Ordered legs with from/to ({ coordinates }), flightTime and layover
+ * @param {number} timeFromStart - Time from first departure in minutes
+ * @param {Object} profile - Flight profile settings; omit for constant speed along each leg
+ * @returns {Object} { coordinates, heading, legIndex, phase ('flight' | 'layover'), legTime,
+ *                     and with a profile: flightPhase, altitude (ft), groundSpeed (kt) }
+ */
+function calculateItineraryState(legs, timeFromStart, profile) {
+    let elapsed = 0;
+    const time = Math.max(0, timeFromStart);
+    
+    for (let index = 0; index < legs.length; index++) {
+        const leg = legs[index];
+        const isLastLeg = index === legs.length - 1;
+        const legTime = time - elapsed;
+        
+        if (legTime <= leg.flightTime || isLastLeg) {
+            const clampedTime = Math.min(legTime, leg.flightTime);
+            const state = {
+                legIndex: index,
+                phase: 'flight',
+                legTime: clampedTime
+            };
+            
+            if (profile) {
+                const flightProfile = createFlightProfile(
+                    calculateDistanceNauticalMiles(leg.from.coordinates, leg.to.coordinates),
+                    leg.flightTime,
+                    profile
+                );
+                const profileState = getFlightProfileState(flightProfile, clampedTime);
+                state.coordinates = calculateIntermediatePoint(leg.from.coordinates, leg.to.coordinates, profileState.fraction);
+                state.flightPhase = profileState.phase;
+                state.altitude = profileState.altitude;
+                state.groundSpeed = profileState.groundSpeed;
+            } else {
+                state.coordinates = calculateAircraftPosition(
+                    leg.from.coordinates,
+                    leg.to.coordinates,
+                    clampedTime,
+                    leg.flightTime
+                );
+            }
+            
+            state.heading = calculateRouteHeading(leg.from.coordinates, leg.to.coordinates, state.coordinates);
+            return state;
+        }
+        
+        elapsed += leg.flightTime;
+        
+        // On the ground at the connecting airport, facing the next departure
+        if (time - elapsed <= (leg.layover || 0)) {
+            const nextLeg = legs[index + 1];
+            return {
+                coordinates: leg.to.coordinates,
+                heading: calculateBearing(nextLeg.from.coordinates, nextLeg.to.coordinates),
+                legIndex: index,
+                phase: 'layover',
+                legTime: leg.flightTime,
+                ...(profile ? { flightPhase: 'layover', altitude: 0, groundSpeed: 0 } : {})
+            };
+        }
+        
+        elapsed += leg.layover || 0;
+    }
+    
+    return null;
+}
+
 /**
  * Format coordinates for display
  * @param {Array} coordinates - [longitude, latitude]
@@ -103,7 +548,19 @@ function calculateAircraftPosition(startPoint, endPoint, timeFromStart, totalFli
  */
 function formatCoordinates(coordinates) {
     const [lon, lat] = coordinates;
-    return `${lat.toFixed(4)}°N, ${Math.abs(lon).toFixed(4)}°${lon < 0 ? 'W' : 'E'}`;
+    return `${Math.abs(lat).toFixed(4)}°${lat < 0 ? 'S' : 'N'}, ${Math.abs(lon).toFixed(4)}°${lon < 0 ? 'W' : 'E'}`;
+}
+
+/**
+ * Format a duration in minutes as hours and minutes
+ * @param {number} minutes - Duration in minutes
+ * @returns {string} Formatted duration, e.g. "1:05"
+ */
+function formatDuration(minutes) {
+    const totalMinutes = Math.max(0, Math.floor(minutes));
+    const hours = Math.floor(totalMinutes / 60);
+    const remainder = totalMinutes % 60;
+    return `${hours}:${String(remainder).padStart(2, '0')}`;
 }
 
 /**
@@ -117,6 +574,94 @@ function calculateDistanceNauticalMiles(point1, point2) {
     return distanceKm * 0.539957; // Convert km to nautical miles
 }
 
+/**
+ * Parse CSV text into records keyed by the header row.
+ * Handles quoted fields with embedded commas, quotes ("") and line breaks.
+ * @param {string} text - CSV text
+ * @returns {Array<Object>} One object per data row, values as trimmed strings
+ */
+function parseCSV(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    row.push(field);
+    rows.push(row);
+    
+    // Skip blank lines, including the one after a trailing newline
+    const lines = rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+    if (lines.length === 0) {
+        return [];
+    }
+    
+    const headers = lines[0].map(header => header.trim().replace(/^\uFEFF/, ''));
+    return lines.slice(1).map(cells => {
+        const record = {};
+        headers.forEach((header, index) => {
+            record[header] = (cells[index] || '').trim();
+        });
+        return record;
+    });
+}
+
+/**
+ * Escape text for HTML
+ * @param {*} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, char => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    }[char]));
+}
+
+/**
+ * Expand camera padding to all four sides
+ * @param {number|Object} padding - Pixels on every side, or { top, right, bottom, left }
+ * @returns {Object} { top, right, bottom, left } in pixels (missing sides are 0)
+ */
+function normalizePadding(padding = 0) {
+    if (typeof padding === 'number') {
+        return { top: padding, right: padding, bottom: padding, left: padding };
+    }
+    return {
+        top: padding.top || 0,
+        right: padding.right || 0,
+        bottom: padding.bottom || 0,
+        left: padding.left || 0
+    };
+}
+
 /**
  * Debounce function to limit function calls
  * @param {Function} func - Function to debounce
@@ -188,9 +733,26 @@ if (typeof module !== 'undefined' && module.exports) {
         radiansToDegrees,
         calculateGreatCircleDistance,
         calculateIntermediatePoint,
+        calculateBearing,
+        calculateDestinationPoint,
+        calculateRouteHeading,
+        calculateGreatCirclePath,
+        splitAtAntimeridian,
+        unwrapLongitudes,
+        wrapLongitude,
+        createGreatCircleGeometry,
+        createFlightProfile,
+        getFlightProfileState,
         calculateAircraftPosition,
+        estimateFlightTime,
+        calculateItineraryDuration,
+        calculateItineraryState,
         formatCoordinates,
+        formatDuration,
         calculateDistanceNauticalMiles,
+        parseCSV,
+        escapeHtml,
+        normalizePadding,
         debounce,
         showError,
         hideError,